@@ -6,7 +6,7 @@
  * Usage: npm run setup
  */
 
-import { ColoniesClient } from 'colonies-ts';
+import { ColoniesClient, ConflictError } from 'colonies-ts';
 import { readFileSync, readdirSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
@@ -48,7 +48,7 @@ async function setupDefinition() {
     await client.addBlueprintDefinition(definition);
     console.log(`  Created: ${definition.metadata.name} (kind: ${definition.kind})`);
   } catch (error) {
-    if (error.message.includes('already exists')) {
+    if (error instanceof ConflictError) {
       console.log(`  Exists: ${definition.metadata.name}`);
     } else {
       console.error(`  Failed: ${error.message}`);
@@ -71,7 +71,7 @@ async function setupBlueprints() {
       await client.addBlueprint(bp);
       console.log(`  Created: ${bp.metadata.name} (${bp.spec.deviceType})`);
     } catch (error) {
-      if (error.message.includes('already exists')) {
+      if (error instanceof ConflictError) {
         console.log(`  Exists: ${bp.metadata.name}`);
       } else {
         console.error(`  Failed: ${bp.metadata.name} - ${error.message}`);
@@ -13,7 +13,7 @@
  * Usage: npm run reconciler
  */
 
-import { ColoniesClient, Crypto } from 'colonies-ts';
+import { ColoniesClient, Crypto, ColoniesTimeoutError, ConflictError } from 'colonies-ts';
 import { WebSocketServer } from 'ws';
 import { createServer } from 'http';
 
@@ -134,7 +134,7 @@ async function registerExecutor() {
     await client.approveExecutor(config.colonyName, 'data-logger-reconciler');
     console.log('Executor registered and approved');
   } catch (error) {
-    if (!error.message.includes('already exists')) {
+    if (!(error instanceof ConflictError)) {
       console.error('Failed to register executor:', error.message);
     }
   }
@@ -304,9 +304,8 @@ async function reconcileLoop() {
         console.log(`[${new Date().toISOString()}] Assign returned null/undefined`);
       }
     } catch (error) {
-      // Timeout and "no process available" are expected when idle
-      const isExpected = error.message.includes('timeout') ||
-                         error.message.includes('No process available');
+      // Assign times out when no process is available
+      const isExpected = error instanceof ColoniesTimeoutError;
       if (!isExpected) {
         console.error('Error in reconcile loop:', error.message);
       } else {
@@ -14,7 +14,7 @@
 import express from 'express';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import { ColoniesClient, Crypto } from 'colonies-ts';
+import { ColoniesClient, Crypto, ColoniesTimeoutError } from 'colonies-ts';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -255,7 +255,7 @@ async function processLoop() {
         }
       }
     } catch (error) {
-      const isExpected = error.message.includes('timeout') || error.message.includes('No process available');
+      const isExpected = error instanceof ColoniesTimeoutError;
       if (!isExpected) {
         console.error('Process loop error:', error.message);
       }
@@ -0,0 +1,271 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest';
+import { ColoniesTestServer } from './testing/server';
+import type { TestColony } from './testing/server';
+import type { ColoniesClient, Process } from './client';
+import { ColoniesExecutor } from './executor';
+import { generatePrivateKey } from './crypto';
+import { AbortError, ColoniesTimeoutError, ConflictError } from './errors';
+import { Channel } from './channel';
+import type { TransferProgress } from './chunking';
+import { FetchTransport } from './transport';
+import { decodePayload } from './test-helpers';
+
+describe('Channel', () => {
+  const server = new ColoniesTestServer();
+  let colony: TestColony;
+  let client: ColoniesClient;
+  let executor: ColoniesClient;
+  let process: Process;
+
+  beforeAll(async () => {
+    await server.start();
+  });
+
+  afterAll(async () => {
+    await server.stop();
+  });
+
+  beforeEach(async () => {
+    server.reset();
+    colony = await server.createColony('test');
+    client = server.client(colony.colonyPrvKey);
+    const { executorPrvKey } = await server.createExecutor(colony, 'worker-1', 'worker');
+    executor = server.client(executorPrvKey);
+    process = await client.submitFunctionSpec({
+      funcname: 'chat',
+      channels: ['chat'],
+      conditions: { colonyname: 'test', executortype: 'worker' },
+    });
+    await executor.assign('test', 1);
+  });
+
+  it('should number messages after the highest sequence on the channel', async () => {
+    await client.channelAppend(process.processid, 'chat', 5, 0, 'earlier');
+    const chat = client.channel(process.processid, 'chat');
+
+    expect(chat).toBeInstanceOf(Channel);
+    expect(await Promise.all([chat.send('a'), chat.send('b')])).toEqual([6, 7]);
+    expect(await chat.send('c')).toBe(8);
+    expect((await chat.read(5)).map((e) => [e.sequence, e.payload])).toEqual([
+      [6, 'a'],
+      [7, 'b'],
+      [8, 'c'],
+    ]);
+  });
+
+  it('should find the highest sequence without reading the whole channel', async () => {
+    for (const sequence of [3, 70, 1000]) {
+      await client.channelAppend(process.processid, 'chat', sequence, 0, `entry ${sequence}`);
+    }
+    const limits: number[] = [];
+    const fetchTransport = new FetchTransport();
+    const reading = server.client(colony.colonyPrvKey, {
+      transport: {
+        send: (request) => {
+          const msg = decodePayload(request.message.payload);
+          if (msg.msgtype === 'channelreadmsg') limits.push(msg.limit);
+          return fetchTransport.send(request);
+        },
+        connect: (url) => fetchTransport.connect(url),
+      },
+    });
+
+    expect(await reading.channel(process.processid, 'chat').send('next')).toBe(1001);
+    expect(limits.length).toBeGreaterThan(0);
+    expect(limits.every((limit) => limit > 0)).toBe(true);
+  });
+
+  it('should reject messages whose sequence another sender used', async () => {
+    const clientSide = client.channel(process.processid, 'chat');
+    const executorSide = executor.channel(process.processid, 'chat');
+
+    expect(await clientSide.send('first')).toBe(1);
+    expect(await executorSide.send('second')).toBe(2);
+    const err = await clientSide.send('third').catch((e) => e);
+
+    expect(err).toBeInstanceOf(ConflictError);
+    expect(err.message).toBe('Sequence 2 on channel chat was also used by another sender');
+    expect(await clientSide.send('fourth')).toBe(3);
+  });
+
+  it('should continue after entries written by the other side', async () => {
+    const clientSide = client.channel(process.processid, 'chat');
+    const executorSide = executor.channel(process.processid, 'chat');
+
+    await clientSide.send('hello');
+    const [hello] = await executorSide.read();
+    expect(await executorSide.reply(hello, 'hi')).toBe(2);
+    await clientSide.read();
+    expect(await clientSide.send('bye')).toBe(3);
+
+    const entries = await client.channelRead(process.processid, 'chat', 0, 0);
+    expect(entries.map((e) => [e.sequence, e.inreplyto, e.payload])).toEqual([
+      [1, 0, 'hello'],
+      [2, 1, 'hi'],
+      [3, 0, 'bye'],
+    ]);
+  });
+
+  it('should resolve requests with the matching reply', async () => {
+    const clientSide = client.channel(process.processid, 'chat', { codec: 'json' });
+    const executorSide = executor.channel(process.processid, 'chat', { codec: 'json' });
+
+    const answers = Promise.all([clientSide.request({ q: 'first' }), clientSide.request({ q: 'second' })]);
+    await vi.waitFor(async () => expect(await executorSide.read()).toHaveLength(2));
+    const [first, second] = await executorSide.read();
+    await executorSide.reply(second, { a: 2 });
+    await executorSide.reply(first, { a: 1 });
+
+    const [firstAnswer, secondAnswer] = await answers;
+    expect(firstAnswer).toMatchObject({ inreplyto: first.sequence, payload: { a: 1 } });
+    expect(secondAnswer).toMatchObject({ inreplyto: second.sequence, payload: { a: 2 } });
+  });
+
+  it('should answer requests from an executor handler', async () => {
+    const worker = new ColoniesExecutor(server.client(), {
+      colonyName: 'test',
+      executorName: 'chat-executor',
+      executorType: 'chat',
+      executorPrvKey: generatePrivateKey(),
+      colonyPrvKey: colony.colonyPrvKey,
+      assignTimeout: 1,
+    });
+    worker.handle('chat', async (_process, context) => {
+      const chat = context.channel('chat');
+      await vi.waitFor(async () => expect(await chat.read()).toHaveLength(1));
+      const [question] = await chat.read();
+      await chat.reply(question, question.payload.toUpperCase());
+      return [];
+    });
+    await worker.register();
+    const submitted = await client.submitFunctionSpec({
+      funcname: 'chat',
+      channels: ['chat'],
+      conditions: { colonyname: 'test', executortype: 'chat' },
+    });
+    const handled = worker.assignAndHandle();
+
+    const answer = await client.channel(submitted.processid, 'chat').request('ping');
+    await handled;
+
+    expect(answer.payload).toBe('PING');
+  });
+
+  it('should time out unanswered requests', async () => {
+    const chat = client.channel(process.processid, 'chat', { requestTimeout: 50 });
+
+    const err = await chat.request('hello?').catch((e) => e);
+
+    expect(err).toBeInstanceOf(ColoniesTimeoutError);
+    expect(err.message).toBe('No reply to message 1 on channel chat within 50 ms');
+  });
+
+  it('should reject pending requests when aborted or closed', async () => {
+    const chat = client.channel(process.processid, 'chat');
+    const controller = new AbortController();
+
+    const aborted = chat.request('a', { signal: controller.signal });
+    const closed = chat.request('b');
+    await vi.waitFor(async () => expect(await chat.read()).toHaveLength(2));
+    controller.abort();
+    await expect(aborted).rejects.toBeInstanceOf(AbortError);
+    chat.close();
+    await expect(closed).rejects.toThrow('Channel closed');
+  });
+
+  it('should poll for replies when subscriptions fail', async () => {
+    const fetchTransport = new FetchTransport();
+    const polling = server.client(colony.colonyPrvKey, {
+      transport: {
+        send: (request) => fetchTransport.send(request),
+        connect: () => {
+          throw new Error('WebSocket unavailable');
+        },
+      },
+    });
+    const chat = polling.channel(process.processid, 'chat', { pollInterval: 10 });
+
+    const answer = chat.request('ping');
+    await vi.waitFor(async () => expect(await executor.channelRead(process.processid, 'chat', 0, 0)).toHaveLength(1));
+    await executor.channel(process.processid, 'chat').reply(1, 'pong');
+
+    expect((await answer).payload).toBe('pong');
+  });
+
+  describe('chunked messages', () => {
+    const large = 'x'.repeat(4000) + 'end';
+
+    it('should split large messages into frames and reassemble them on read', async () => {
+      const progress: TransferProgress[] = [];
+      const sender = client.channel(process.processid, 'chat', {
+        chunkSize: 1024,
+        onProgress: (p) => progress.push(p),
+      });
+
+      expect(await sender.send(large)).toBe(1);
+      expect(await sender.send('small')).toBe(6);
+
+      expect(await client.channelRead(process.processid, 'chat', 0, 0, { codec: 'bytes' })).toHaveLength(6);
+      const entries = await executor.channel(process.processid, 'chat', { chunked: true }).read();
+      expect(entries.map((e) => [e.sequence, e.payload])).toEqual([
+        [1, large],
+        [6, 'small'],
+      ]);
+      expect(progress.map((p) => p.bytes)).toEqual([1024, 2048, 3072, 4003]);
+      expect(progress[3]).toEqual({ direction: 'send', sequence: 1, bytes: 4003, totalBytes: 4003 });
+    });
+
+    it('should omit messages whose frames have not all been read', async () => {
+      await client.channel(process.processid, 'chat', { chunkSize: 1024 }).send(large);
+
+      expect(await executor.channel(process.processid, 'chat', { chunked: true }).read(0, 3)).toEqual([]);
+    });
+
+    it('should return frames as stored unless the handle reassembles chunked messages', async () => {
+      await client.channel(process.processid, 'chat', { chunkSize: 1024 }).send(large);
+      // An ordinary payload that happens to start like a frame
+      const binary = new Uint8Array([0x00, 0x43, 0x48, 0x4b, 0x02, 0, 0, 0, 0, 7]);
+      await client.channel(process.processid, 'chat', { codec: 'bytes' }).send(binary);
+
+      const entries = await executor.channel(process.processid, 'chat', { codec: 'bytes' }).read();
+
+      expect(entries.map((e) => e.sequence)).toEqual([1, 2, 3, 4, 5, 6]);
+      expect(entries[5].payload).toEqual(binary);
+    });
+
+    it('should send chunked requests and receive chunked replies', async () => {
+      const clientSide = client.channel(process.processid, 'chat', { chunkSize: 1000 });
+      const executorSide = executor.channel(process.processid, 'chat', { chunkSize: 1000 });
+
+      const answer = clientSide.request(large);
+      await vi.waitFor(async () => expect(await executorSide.read()).toHaveLength(1));
+      const [question] = await executorSide.read();
+      await executorSide.reply(question, question.payload.toUpperCase());
+
+      expect(await answer).toMatchObject({ inreplyto: question.sequence, payload: large.toUpperCase() });
+    });
+
+    it('should reassemble chunked messages in subscriptions', async () => {
+      const progress: TransferProgress[] = [];
+      const receiver = executor.channel(process.processid, 'chat', {
+        chunked: true,
+        onProgress: (p) => progress.push(p),
+      });
+      const subscription = receiver.subscribe();
+      const received: string[] = [];
+      subscription.on('entries', (entries) => received.push(...entries.map((e) => e.payload)));
+
+      await client.channel(process.processid, 'chat', { chunkSize: 2000 }).send(large);
+
+      await vi.waitFor(() => expect(received).toEqual([large]));
+      const last = progress[progress.length - 1];
+      expect(last).toEqual({ direction: 'receive', sequence: 1, bytes: 4003, totalBytes: 4003 });
+      expect(await receiver.send('next')).toBe(5);
+      subscription.close();
+    });
+
+    it('should reject invalid chunk sizes', () => {
+      expect(() => client.channel(process.processid, 'chat', { chunkSize: 0 })).toThrow('Invalid chunk size: 0');
+    });
+  });
+});
@@ -0,0 +1,390 @@
+/**
+ * Process channel handle
+ * Numbers outgoing messages and matches replies to requests through
+ * inreplyto, so callers never track sequence numbers themselves. Messages
+ * larger than the chunk size are split into frames and reassembled on read.
+ */
+
+import type { ChannelEntry, ChannelOptions, ColoniesClient } from './client';
+import { ChannelCodec, ChannelCodecOption, resolveCodec } from './codec';
+import { ChunkAssembler, splitMessage, TransferProgress } from './chunking';
+import { AbortError, ColoniesTimeoutError, ConflictError } from './errors';
+import type { ChannelSubscription, WatchChannelOptions } from './subscription';
+
+const DEFAULT_REQUEST_TIMEOUT = 30000;
+const DEFAULT_POLL_INTERVAL = 1000;
+// Seconds a reply subscription stays open; it is closed once no request is pending
+const REPLY_SUBSCRIPTION_TIMEOUT = 3600;
+// First distance probed past a known sequence when looking for the highest one
+const DISCOVERY_STEP = 64;
+
+export interface ChannelConfig<C extends ChannelCodecOption = 'utf8'> extends ChannelOptions<C> {
+  /** Milliseconds to wait for a reply to request() (default: 30000) */
+  requestTimeout?: number;
+  /** Milliseconds between reads when subscriptions are unavailable (default: 1000) */
+  pollInterval?: number;
+  /** Split encoded messages larger than this many bytes into chunks (default: no splitting) */
+  chunkSize?: number;
+  /** Reassemble chunked messages on read (default: true with a chunkSize) */
+  chunked?: boolean;
+  /** Called as chunked messages are sent and received */
+  onProgress?: (progress: TransferProgress) => void;
+}
+
+export interface ChannelRequestOptions {
+  /** Milliseconds to wait for the reply, instead of the channel's requestTimeout */
+  timeout?: number;
+  /** Stops waiting for the reply */
+  signal?: AbortSignal;
+}
+
+interface PendingRequest<T> {
+  resolve: (entry: ChannelEntry<T>) => void;
+  reject: (error: Error) => void;
+}
+
+/**
+ * Handle to a process channel, created with ColoniesClient.channel() or
+ * HandlerContext.channel()
+ *
+ * Sequence numbers continue after the highest sequence on the channel,
+ * which is found with a few single-entry reads before the first message is
+ * sent. The other side must use increasing sequence numbers too, as the
+ * server only delivers entries after the last sequence a subscriber has
+ * seen. Every appended entry is read back: when another sender used the
+ * same sequence, the send rejects with ConflictError, since subscribers may
+ * skip one of the two entries.
+ *
+ * With a chunkSize, larger messages are sent as a header frame carrying the
+ * size and SHA-256 checksum, followed by data frames. Reads, subscriptions
+ * and replies to requests reassemble chunked messages when the handle has a
+ * chunkSize or `chunked: true`; otherwise frames are returned as stored.
+ *
+ * @example
+ * const chat = client.channel(processId, 'chat', { codec: 'json' });
+ * const answer = await chat.request({ question: 'What is 2+2?' });
+ * console.log(answer.payload);
+ */
+export class Channel<T = string> {
+  readonly processId: string;
+  readonly name: string;
+  private client: ColoniesClient;
+  private options: ChannelOptions<ChannelCodecOption>;
+  private codec: ChannelCodec<T>;
+  private requestTimeout: number;
+  private pollInterval: number;
+  private chunkSize: number;
+  private chunked: boolean;
+  private onProgress?: (progress: TransferProgress) => void;
+  private lastSequence: number | undefined;
+  private discovering: Promise<void> | null = null;
+  private pending = new Map<number, PendingRequest<T>>();
+  private socket: WebSocket | null = null;
+  private polling = false;
+  private cursor = 0;
+  private assembler: ChunkAssembler | null = null;
+  // Stops the reply subscription and polling of the current listen cycle
+  private listening: AbortController | null = null;
+
+  /** @internal Channels are created by ColoniesClient.channel() */
+  constructor(
+    client: ColoniesClient,
+    processId: string,
+    name: string,
+    config: ChannelConfig<ChannelCodecOption> = {}
+  ) {
+    const {
+      requestTimeout = DEFAULT_REQUEST_TIMEOUT,
+      pollInterval = DEFAULT_POLL_INTERVAL,
+      chunkSize = Infinity,
+      chunked = chunkSize !== Infinity,
+      onProgress,
+      codec = 'utf8',
+      ...options
+    } = config;
+    if (chunkSize !== Infinity && !(Number.isInteger(chunkSize) && chunkSize > 0)) {
+      throw new Error(`Invalid chunk size: ${chunkSize}`);
+    }
+    this.client = client;
+    this.processId = processId;
+    this.name = name;
+    this.options = options;
+    this.codec = resolveCodec(codec) as ChannelCodec<T>;
+    this.requestTimeout = requestTimeout;
+    this.pollInterval = pollInterval;
+    this.chunkSize = chunkSize;
+    this.chunked = chunked;
+    this.onProgress = onProgress;
+    options.signal?.addEventListener('abort', () => this.close(), { once: true });
+  }
+
+  /**
+   * Append a message with the next sequence number
+   * @param payload - Message content, encoded with the channel's codec
+   * @returns Sequence number of the message
+   * @throws ConflictError if another sender appended at the same sequence
+   */
+  async send(payload: T): Promise<number> {
+    return this.append(payload, 0);
+  }
+
+  /**
+   * Append a reply to an entry
+   * @param to - Entry, or sequence number of the entry, being answered
+   * @param payload - Reply content
+   * @returns Sequence number of the reply
+   * @throws ConflictError if another sender appended at the same sequence
+   */
+  async reply(to: ChannelEntry<unknown> | number, payload: T): Promise<number> {
+    return this.append(payload, typeof to === 'number' ? to : to.sequence);
+  }
+
+  /**
+   * Send a message and wait for the first entry that replies to it
+   * @param payload - Message content
+   * @returns The reply
+   * @throws ColoniesTimeoutError if no reply arrives in time
+   * @throws AbortError if the signal aborts or the channel is closed
+   */
+  async request(payload: T, options: ChannelRequestOptions = {}): Promise<ChannelEntry<T>> {
+    const { timeout = this.requestTimeout, signal } = options;
+    if (signal?.aborted) throw new AbortError('Request aborted', { cause: signal.reason });
+
+    const sequence = await this.send(payload);
+    return new Promise<ChannelEntry<T>>((resolve, reject) => {
+      const settle = (err: Error | null, entry?: ChannelEntry<T>) => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        this.pending.delete(sequence);
+        if (this.pending.size === 0) this.stopListening();
+        if (err) {
+          reject(err);
+        } else {
+          resolve(entry!);
+        }
+      };
+
+      const onAbort = () => settle(new AbortError('Request aborted', { cause: signal!.reason }));
+      signal?.addEventListener('abort', onAbort, { once: true });
+      const timer = setTimeout(() => {
+        const message = `No reply to message ${sequence} on channel ${this.name} within ${timeout} ms`;
+        settle(new ColoniesTimeoutError(message, { payloadtype: 'subscribechannelmsg' }));
+      }, timeout);
+
+      this.pending.set(sequence, {
+        resolve: (entry) => settle(null, entry),
+        reject: (err) => settle(err),
+      });
+      this.listen(sequence);
+    });
+  }
+
+  /**
+   * Read entries decoded with the channel's codec. Chunked messages are
+   * returned once all of their frames are among the entries read, unless
+   * the handle does not reassemble them.
+   * @param afterSeq - Read entries after this sequence number (default: 0)
+   * @param limit - Maximum number of entries, counting frames, 0 for no limit (default: 0)
+   * @throws If a chunked message does not match its size and checksum
+   */
+  async read(afterSeq: number = 0, limit: number = 0): Promise<ChannelEntry<T>[]> {
+    let failure: Error | null = null;
+    const assembler = this.chunked ? new ChunkAssembler((err) => (failure ??= err), this.onProgress) : null;
+    const entries = this.assemble(assembler, await this.readEntries(afterSeq, limit));
+    if (failure) throw failure;
+    return entries;
+  }
+
+  /**
+   * Subscribe to the channel with the channel's codec, reconnecting when the
+   * connection drops. Delivered entries move the sequence of later messages
+   * past them.
+   * @param options - Start sequence and reconnect backoff
+   */
+  subscribe(options: Pick<WatchChannelOptions, 'afterSeq' | 'reconnect'> = {}): ChannelSubscription<T> {
+    const subscription = this.client.watchChannel(this.processId, this.name, {
+      ...this.options,
+      codec: this.codec,
+      chunked: this.chunked,
+      onProgress: this.onProgress,
+      ...options,
+    }) as ChannelSubscription<T>;
+    subscription.on('entries', () => this.observe(subscription.lastSequence));
+    return subscription;
+  }
+
+  /**
+   * Stop waiting for replies. Pending requests reject with AbortError; the
+   * channel can still be used afterwards.
+   */
+  close(): void {
+    for (const request of [...this.pending.values()]) {
+      request.reject(new AbortError('Channel closed', { payloadtype: 'subscribechannelmsg' }));
+    }
+    this.stopListening();
+  }
+
+  private async append(payload: T, inReplyTo: number): Promise<number> {
+    if (this.lastSequence === undefined) {
+      this.discovering ??= this.discoverSequence().finally(() => {
+        this.discovering = null;
+      });
+      await this.discovering;
+    }
+    const bytes = this.codec.encode(payload);
+    if (bytes.length <= this.chunkSize) {
+      const sequence = ++this.lastSequence!;
+      await this.client.channelAppend(this.processId, this.name, sequence, inReplyTo, bytes, this.options);
+      await this.verify(sequence);
+      return sequence;
+    }
+
+    // Reserve the sequence numbers of all frames before sending the first
+    const [header, ...chunks] = splitMessage(bytes, this.chunkSize);
+    const sequence = this.lastSequence! + 1;
+    this.lastSequence! += chunks.length + 1;
+    await this.client.channelAppend(this.processId, this.name, sequence, inReplyTo, header, this.options);
+    await this.verify(sequence);
+    for (let i = 0; i < chunks.length; i++) {
+      await this.client.channelAppend(this.processId, this.name, sequence + 1 + i, sequence, chunks[i], this.options);
+      await this.verify(sequence + 1 + i);
+      const sent = Math.min((i + 1) * this.chunkSize, bytes.length);
+      this.onProgress?.({ direction: 'send', sequence, bytes: sent, totalBytes: bytes.length });
+    }
+    return sequence;
+  }
+
+  /**
+   * Find the highest sequence with single-entry reads instead of reading the
+   * whole channel: probe further and further ahead until nothing follows,
+   * then bisect the remaining range
+   */
+  private async discoverSequence(): Promise<void> {
+    // Invariant: low is 0 or an existing sequence, and no entry follows high
+    let low = (await this.sequenceAfter(0)) ?? 0;
+    let high = low;
+    if (low > 0) {
+      for (let step = DISCOVERY_STEP; ; step *= 2) {
+        const next = await this.sequenceAfter(low + step);
+        if (next === undefined) {
+          high = low + step;
+          break;
+        }
+        low = next;
+      }
+    }
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      const next = await this.sequenceAfter(middle);
+      if (next === undefined) {
+        high = middle;
+      } else {
+        low = next;
+      }
+    }
+    this.lastSequence = Math.max(this.lastSequence ?? 0, low);
+  }
+
+  private async sequenceAfter(sequence: number): Promise<number | undefined> {
+    const [entry] = await this.readEntries(sequence, 1);
+    return entry?.sequence;
+  }
+
+  // Another handle that discovered the same sequence may have appended at it too
+  private async verify(sequence: number): Promise<void> {
+    const entries = await this.readEntries(sequence - 1, 2);
+    entries.forEach((entry) => this.observe(entry.sequence));
+    if (entries.filter((entry) => entry.sequence === sequence).length > 1) {
+      throw new ConflictError(`Sequence ${sequence} on channel ${this.name} was also used by another sender`, {
+        payloadtype: 'channelappendmsg',
+      });
+    }
+  }
+
+  // Keep later sequence numbers above entries written by the other side
+  private observe(sequence: number): void {
+    if (this.lastSequence !== undefined && sequence > this.lastSequence) {
+      this.lastSequence = sequence;
+    }
+  }
+
+  private readEntries(afterSeq: number, limit: number, signal?: AbortSignal): Promise<ChannelEntry<Uint8Array>[]> {
+    return this.client.channelRead(this.processId, this.name, afterSeq, limit, {
+      ...this.options,
+      codec: 'bytes',
+      ...(signal && { signal }),
+    });
+  }
+
+  // Observe every frame, then reassemble and decode the complete messages
+  private assemble(assembler: ChunkAssembler | null, entries: ChannelEntry<Uint8Array>[]): ChannelEntry<T>[] {
+    entries.forEach((entry) => this.observe(entry.sequence));
+    return (assembler ? assembler.push(entries) : entries).map((entry) => ({ ...entry, payload: this.codec.decode(entry.payload) }));
+  }
+
+  private deliver(entries: ChannelEntry<Uint8Array>[]): void {
+    const sorted = [...entries].sort((a, b) => a.sequence - b.sequence);
+    sorted.forEach((entry) => (this.cursor = Math.max(this.cursor, entry.sequence)));
+    for (const entry of this.assemble(this.assembler, sorted)) {
+      this.pending.get(entry.inreplyto)?.resolve(entry);
+    }
+  }
+
+  /**
+   * Watch for replies with a subscription, falling back to polling when
+   * subscriptions fail
+   */
+  private listen(afterSeq: number): void {
+    if (this.listening) return;
+    const listening = new AbortController();
+    this.listening = listening;
+    this.cursor = afterSeq;
+    // A reply that fails verification rejects the request it answers
+    this.assembler = this.chunked
+      ? new ChunkAssembler((err, entry) => this.pending.get(entry.inreplyto)?.reject(err), this.onProgress)
+      : null;
+
+    const fallBackToPolling = () => {
+      if (this.listening !== listening || this.polling) return;
+      this.socket?.close();
+      this.socket = null;
+      this.polling = true;
+      this.poll(listening.signal)
+        .catch((err) => {
+          if (!listening.signal.aborted) this.pending.forEach((request) => request.reject(err));
+        })
+        .finally(() => {
+          this.polling = false;
+        });
+    };
+
+    try {
+      this.socket = this.client.subscribeChannel(
+        this.processId,
+        this.name,
+        afterSeq,
+        REPLY_SUBSCRIPTION_TIMEOUT,
+        (entries) => this.deliver(entries),
+        fallBackToPolling,
+        fallBackToPolling,
+        { ...this.options, codec: 'bytes', signal: listening.signal }
+      );
+    } catch {
+      fallBackToPolling();
+    }
+  }
+
+  private async poll(signal: AbortSignal): Promise<void> {
+    while (!signal.aborted && this.pending.size > 0) {
+      await new Promise((resolve) => setTimeout(resolve, this.pollInterval));
+      if (signal.aborted) return;
+      this.deliver(await this.readEntries(this.cursor, 0, signal));
+    }
+  }
+
+  private stopListening(): void {
+    this.listening?.abort();
+    this.listening = null;
+    this.socket = null;
+  }
+}
@@ -0,0 +1,78 @@
+import { describe, it, expect, vi } from 'vitest';
+import { ChunkAssembler, splitMessage } from './chunking';
+import type { TransferProgress } from './chunking';
+import type { ChannelEntry } from './client';
+
+describe('chunking', () => {
+  const message = new TextEncoder().encode('0123456789abcdefghij');
+
+  // Entries as a channel handle appends them, starting at sequence
+  function entries(frames: Uint8Array[], sequence = 1, inReplyTo = 0): ChannelEntry<Uint8Array>[] {
+    return frames.map((payload, i) => ({
+      sequence: sequence + i,
+      inreplyto: i === 0 ? inReplyTo : sequence,
+      payload,
+    }));
+  }
+
+  it('should split messages into a header and data frames', () => {
+    const frames = splitMessage(message, 8);
+
+    expect(frames).toHaveLength(4);
+    const header = JSON.parse(new TextDecoder().decode(frames[0].subarray(5)));
+    expect(header).toMatchObject({ size: 20, chunks: 3 });
+    expect(header.sha256).toMatch(/^[0-9a-f]{64}$/);
+    expect(frames.slice(1).map((f) => f.length - 9)).toEqual([8, 8, 4]);
+  });
+
+  it('should reassemble messages and pass other entries through', () => {
+    const onError = vi.fn();
+    const progress: TransferProgress[] = [];
+    const assembler = new ChunkAssembler(onError, (p) => progress.push(p));
+    const [header, ...chunks] = entries(splitMessage(message, 8), 2, 1);
+    const plain = { sequence: 9, inreplyto: 0, payload: new Uint8Array([1, 2]) };
+
+    expect(assembler.push([header, chunks[0]])).toEqual([]);
+    const [reassembled, other] = assembler.push([...chunks.slice(1), plain]);
+
+    expect(reassembled).toEqual({ sequence: 2, inreplyto: 1, payload: message });
+    expect(other).toBe(plain);
+    expect(progress.map((p) => p.bytes)).toEqual([8, 16, 20]);
+    expect(progress[0]).toEqual({ direction: 'receive', sequence: 2, bytes: 8, totalBytes: 20 });
+    expect(onError).not.toHaveBeenCalled();
+  });
+
+  it('should ignore repeated frames and frames without a header', () => {
+    const assembler = new ChunkAssembler(vi.fn());
+    const [header, ...chunks] = entries(splitMessage(message, 8));
+
+    expect(assembler.push(chunks)).toEqual([]);
+    expect(assembler.push([header, chunks[0], chunks[0], header, chunks[1]])).toEqual([]);
+    expect(assembler.push([chunks[2]]).map((e) => e.payload)).toEqual([message]);
+  });
+
+  it('should drop messages that fail verification', () => {
+    const onError = vi.fn();
+    const assembler = new ChunkAssembler(onError);
+    const [header, ...chunks] = entries(splitMessage(message, 8));
+    chunks[1].payload[9] ^= 0xff;
+
+    expect(assembler.push([header, ...chunks])).toEqual([]);
+    expect(onError).toHaveBeenCalledWith(expect.any(Error), header);
+    expect(onError.mock.calls[0][0].message).toBe('Chunked message 1 does not match its size and checksum');
+  });
+
+  it('should drop the oldest incomplete message when too many are pending', () => {
+    const onError = vi.fn();
+    const assembler = new ChunkAssembler(onError);
+    const transfers = Array.from({ length: 17 }, (_, i) => entries(splitMessage(message, 8), 10 * i + 1));
+
+    expect(assembler.push(transfers.map(([header]) => header))).toEqual([]);
+
+    expect(onError).toHaveBeenCalledOnce();
+    expect(onError).toHaveBeenCalledWith(expect.any(Error), transfers[0][0]);
+    expect(onError.mock.calls[0][0].message).toBe('Chunked message 1 dropped before all of its frames arrived');
+    expect(assembler.push(transfers[0].slice(1))).toEqual([]);
+    expect(assembler.push(transfers[1].slice(1)).map((e) => e.payload)).toEqual([message]);
+  });
+});
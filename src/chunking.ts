@@ -0,0 +1,190 @@
+/**
+ * Chunked transfer of large channel messages
+ * A message larger than the chunk size is sent as a header frame followed by
+ * data frames that reply to it. The header carries the total size and a
+ * SHA-256 checksum, which are verified once every frame has arrived.
+ */
+
+import { sha256 } from '@noble/hashes/sha256';
+import { bytesToHex } from '@noble/hashes/utils';
+import type { ChannelEntry } from './client';
+
+// Frames start with "\0CHK" followed by the frame type
+const FRAME_MAGIC = [0x00, 0x43, 0x48, 0x4b];
+const HEADER_FRAME = 1;
+const DATA_FRAME = 2;
+const PREFIX_LENGTH = FRAME_MAGIC.length + 1;
+// Data frames carry their index as a 32-bit big-endian integer
+const INDEX_LENGTH = 4;
+// Incomplete messages kept at once; the oldest is dropped to make room
+const MAX_PENDING_TRANSFERS = 16;
+
+export interface TransferProgress {
+  /** Whether the message is being sent or received */
+  direction: 'send' | 'receive';
+  /** Sequence number of the message (its header frame) */
+  sequence: number;
+  /** Bytes transferred so far */
+  bytes: number;
+  /** Size of the message in bytes */
+  totalBytes: number;
+}
+
+interface ChunkHeader {
+  size: number;
+  chunks: number;
+  sha256: string;
+}
+
+interface Transfer {
+  entry: ChannelEntry<Uint8Array>;
+  header: ChunkHeader;
+  chunks: (Uint8Array | undefined)[];
+  received: number;
+  bytes: number;
+}
+
+function frame(type: number, body: Uint8Array, index?: number): Uint8Array {
+  const indexLength = index === undefined ? 0 : INDEX_LENGTH;
+  const bytes = new Uint8Array(PREFIX_LENGTH + indexLength + body.length);
+  bytes.set(FRAME_MAGIC);
+  bytes[FRAME_MAGIC.length] = type;
+  if (index !== undefined) new DataView(bytes.buffer).setUint32(PREFIX_LENGTH, index);
+  bytes.set(body, PREFIX_LENGTH + indexLength);
+  return bytes;
+}
+
+function frameType(bytes: Uint8Array): number | null {
+  if (bytes.length < PREFIX_LENGTH) return null;
+  for (let i = 0; i < FRAME_MAGIC.length; i++) {
+    if (bytes[i] !== FRAME_MAGIC[i]) return null;
+  }
+  const type = bytes[FRAME_MAGIC.length];
+  return type === HEADER_FRAME || type === DATA_FRAME ? type : null;
+}
+
+function parseHeader(bytes: Uint8Array): ChunkHeader | null {
+  try {
+    const header = JSON.parse(new TextDecoder('utf-8').decode(bytes.subarray(PREFIX_LENGTH)));
+    const valid =
+      Number.isInteger(header?.size) &&
+      Number.isInteger(header.chunks) &&
+      header.chunks > 0 &&
+      typeof header.sha256 === 'string';
+    return valid ? header : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Split a message into a header frame and data frames of at most chunkSize
+ * bytes of the message each
+ */
+export function splitMessage(bytes: Uint8Array, chunkSize: number): Uint8Array[] {
+  const chunks: Uint8Array[] = [];
+  for (let offset = 0; offset < bytes.length; offset += chunkSize) {
+    chunks.push(bytes.subarray(offset, offset + chunkSize));
+  }
+  const header: ChunkHeader = { size: bytes.length, chunks: chunks.length, sha256: bytesToHex(sha256(bytes)) };
+  return [
+    frame(HEADER_FRAME, new TextEncoder().encode(JSON.stringify(header))),
+    ...chunks.map((chunk, index) => frame(DATA_FRAME, chunk, index)),
+  ];
+}
+
+/**
+ * Reassembles chunked messages from channel entries with raw byte payloads.
+ * Entries that are not frames pass through unchanged. A reassembled message
+ * takes the sequence, inreplyto and sender of its header frame; data frames
+ * whose header was never seen, e.g. when reading starts inside a transfer,
+ * are dropped. At most 16 messages are kept incomplete; a new header drops
+ * the oldest of them, e.g. one whose sender stopped halfway.
+ */
+export class ChunkAssembler {
+  private transfers = new Map<number, Transfer>();
+  private onProgress?: (progress: TransferProgress) => void;
+  private onError: (error: Error, entry: ChannelEntry<Uint8Array>) => void;
+
+  /**
+   * @param onError - Called with the header frame of a message that fails
+   *   verification or is dropped incomplete
+   * @param onProgress - Called as data frames arrive
+   */
+  constructor(
+    onError: (error: Error, entry: ChannelEntry<Uint8Array>) => void,
+    onProgress?: (progress: TransferProgress) => void
+  ) {
+    this.onError = onError;
+    this.onProgress = onProgress;
+  }
+
+  /**
+   * Add entries in sequence order
+   * @returns Plain entries and the messages completed by these entries
+   */
+  push(entries: ChannelEntry<Uint8Array>[]): ChannelEntry<Uint8Array>[] {
+    const messages: ChannelEntry<Uint8Array>[] = [];
+    for (const entry of entries) {
+      const type = frameType(entry.payload);
+      if (type === HEADER_FRAME) {
+        this.start(entry);
+      } else if (type === DATA_FRAME) {
+        const message = this.add(entry);
+        if (message) messages.push(message);
+      } else {
+        messages.push(entry);
+      }
+    }
+    return messages;
+  }
+
+  private start(entry: ChannelEntry<Uint8Array>): void {
+    if (this.transfers.has(entry.sequence)) return;
+    const header = parseHeader(entry.payload);
+    if (!header) {
+      this.onError(new Error(`Invalid header for chunked message ${entry.sequence}`), entry);
+      return;
+    }
+    if (this.transfers.size >= MAX_PENDING_TRANSFERS) {
+      const [sequence, oldest] = this.transfers.entries().next().value!;
+      this.transfers.delete(sequence);
+      this.onError(new Error(`Chunked message ${sequence} dropped before all of its frames arrived`), oldest.entry);
+    }
+    this.transfers.set(entry.sequence, {
+      entry,
+      header,
+      chunks: new Array(header.chunks),
+      received: 0,
+      bytes: 0,
+    });
+  }
+
+  private add(entry: ChannelEntry<Uint8Array>): ChannelEntry<Uint8Array> | null {
+    const transfer = this.transfers.get(entry.inreplyto);
+    if (!transfer || entry.payload.length < PREFIX_LENGTH + INDEX_LENGTH) return null;
+    const index = new DataView(entry.payload.buffer, entry.payload.byteOffset).getUint32(PREFIX_LENGTH);
+    if (index >= transfer.chunks.length || transfer.chunks[index]) return null;
+
+    const chunk = entry.payload.subarray(PREFIX_LENGTH + INDEX_LENGTH);
+    transfer.chunks[index] = chunk;
+    transfer.received++;
+    transfer.bytes += chunk.length;
+    const { sequence } = transfer.entry;
+    this.onProgress?.({ direction: 'receive', sequence, bytes: transfer.bytes, totalBytes: transfer.header.size });
+    if (transfer.received < transfer.chunks.length) return null;
+
+    this.transfers.delete(sequence);
+    const bytes = new Uint8Array(transfer.bytes);
+    let offset = 0;
+    for (const part of transfer.chunks as Uint8Array[]) {
+      bytes.set(part, offset);
+      offset += part.length;
+    }
+    if (bytes.length !== transfer.header.size || bytesToHex(sha256(bytes)) !== transfer.header.sha256) {
+      this.onError(new Error(`Chunked message ${sequence} does not match its size and checksum`), transfer.entry);
+      return null;
+    }
+    return { ...transfer.entry, payload: bytes };
+  }
+}
@@ -1,25 +1,21 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { ColoniesClient } from './client';
-
-// Helper to decode base64 payload
-function decodePayload(base64: string): any {
-  const binaryStr = atob(base64);
-  const bytes = new Uint8Array(binaryStr.length);
-  for (let i = 0; i < binaryStr.length; i++) {
-    bytes[i] = binaryStr.charCodeAt(i);
-  }
-  const jsonStr = new TextDecoder('utf-8').decode(bytes);
-  return JSON.parse(jsonStr);
-}
-
-// Helper to create mock response
-function createMockResponse(data: any): Response {
-  const payload = btoa(JSON.stringify(data));
-  return new Response(JSON.stringify({ payload, error: false }), {
-    status: 200,
-    headers: { 'Content-Type': 'application/json' },
-  });
-}
+import { sign } from './crypto';
+import {
+  AbortError,
+  ColoniesError,
+  ColoniesTimeoutError,
+  ConflictError,
+  NotFoundError,
+  ProcessFailedError,
+  ServerError,
+  TransportError,
+  UnauthorizedError,
+  ValidationError,
+} from './errors';
+import type { RetryPolicy } from './retry';
+import type { Transport, TransportRequest } from './transport';
+import { createMockResponse, decodePayload } from './test-helpers';
 
 describe('ColoniesClient', () => {
   let client: ColoniesClient;
@@ -309,4 +305,949 @@ describe('ColoniesClient', () => {
       await expect(noKeyClient.getBlueprints('test')).rejects.toThrow('Private key not set');
     });
   });
+
+  describe('Signing Identity', () => {
+    const otherKey = 'ba949fa134981372d6da62b6a56f336ab4d843b22c02a4257dcf7d0d73097514';
+    const clientKey = 'ddf7f7791208083b6a9ed975a72684f6406a269cfa36f1b1c32045c0a71fff05';
+
+    function signedWith(callIndex: number, privateKey: string): boolean {
+      const body = JSON.parse(fetchSpy.mock.calls[callIndex][1]!.body as string);
+      return body.signature === sign(body.payload, privateKey);
+    }
+
+    it('should sign with the per-call private key override', async () => {
+      fetchSpy.mockImplementation(async () => createMockResponse([]));
+
+      await client.getBlueprints('test', undefined, undefined, { privateKey: otherKey });
+      await client.getBlueprints('test');
+
+      expect(signedWith(0, otherKey)).toBe(true);
+      expect(signedWith(1, clientKey)).toBe(true);
+    });
+
+    it('should sign assign with the executor key without changing the client key', async () => {
+      const noKeyClient = new ColoniesClient({ host: 'localhost', port: 50080 });
+      fetchSpy.mockResolvedValueOnce(createMockResponse({ processid: 'p1' }));
+
+      await noKeyClient.assign('test', 10, otherKey);
+
+      expect(signedWith(0, otherKey)).toBe(true);
+      await expect(noKeyClient.getBlueprints('test')).rejects.toThrow('Private key not set');
+    });
+
+    it('should sign concurrent calls with their own keys', async () => {
+      fetchSpy.mockImplementation(async () => createMockResponse({}));
+
+      await Promise.all([
+        client.assign('test', 10, otherKey),
+        client.addLog('process-1', 'hello', otherKey),
+        client.getProcess('process-1'),
+      ]);
+
+      expect(signedWith(0, otherKey)).toBe(true);
+      expect(signedWith(1, otherKey)).toBe(true);
+      expect(signedWith(2, clientKey)).toBe(true);
+    });
+
+    it('should create scoped clients with their own key', async () => {
+      fetchSpy.mockImplementation(async () => createMockResponse([]));
+      const scoped = client.as(otherKey);
+
+      await Promise.all([scoped.getBlueprints('test'), client.getBlueprints('test')]);
+
+      expect(fetchSpy.mock.calls[0][0]).toBe('http://localhost:50080/api');
+      expect(signedWith(0, otherKey)).toBe(true);
+      expect(signedWith(1, clientKey)).toBe(true);
+    });
+    it('should sign with a custom async signer', async () => {
+      fetchSpy.mockImplementation(async () => createMockResponse([]));
+      const signer = {
+        id: () => 'external-id',
+        sign: vi.fn(async (payload: string) => sign(payload, otherKey)),
+      };
+      const signerClient = new ColoniesClient({ host: 'localhost', port: 50080, signer });
+
+      await signerClient.getBlueprints('test');
+
+      expect(signer.sign).toHaveBeenCalledTimes(1);
+      expect(signedWith(0, otherKey)).toBe(true);
+    });
+
+    it('should use the signer set with setSigner and per-call signers', async () => {
+      fetchSpy.mockImplementation(async () => createMockResponse([]));
+      const signer = { id: () => 'external-id', sign: (payload: string) => sign(payload, otherKey) };
+
+      client.setSigner(signer);
+      await client.getBlueprints('test');
+      client.setPrivateKey(otherKey);
+      await client.getBlueprints('test', undefined, undefined, {
+        signer: { id: () => 'id', sign: (payload: string) => sign(payload, clientKey) },
+      });
+
+      expect(signedWith(0, otherKey)).toBe(true);
+      expect(signedWith(1, clientKey)).toBe(true);
+    });
+
+    it('should reject when the signer fails', async () => {
+      const signerClient = client.as({
+        id: () => 'external-id',
+        sign: async () => {
+          throw new Error('signing daemon unavailable');
+        },
+      });
+
+      await expect(signerClient.getBlueprints('test')).rejects.toThrow('signing daemon unavailable');
+      expect(fetchSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Errors', () => {
+    async function rejection(promise: Promise<unknown>): Promise<ColoniesError> {
+      try {
+        await promise;
+      } catch (err) {
+        return err as ColoniesError;
+      }
+      throw new Error('Expected promise to reject');
+    }
+
+    it('should throw ColoniesTimeoutError when assign times out', async () => {
+      fetchSpy.mockResolvedValueOnce(
+        createMockResponse({ status: 400, message: 'Failed to assign process, timeout' }, true, 400)
+      );
+
+      const err = await rejection(client.assign('test', 10));
+
+      expect(err).toBeInstanceOf(ColoniesTimeoutError);
+      expect(err).toBeInstanceOf(ColoniesError);
+      expect(err.name).toBe('ColoniesTimeoutError');
+      expect(err.message).toBe('Failed to assign process, timeout');
+      expect(err.serverMessage).toBe('Failed to assign process, timeout');
+      expect(err.status).toBe(400);
+      expect(err.payloadtype).toBe('assignprocessmsg');
+    });
+
+    it('should classify errors by status', async () => {
+      const cases: [number, Function][] = [
+        [401, UnauthorizedError],
+        [403, UnauthorizedError],
+        [404, NotFoundError],
+        [409, ConflictError],
+        [504, ColoniesTimeoutError],
+        [500, ServerError],
+      ];
+      for (const [status, ErrorClass] of cases) {
+        fetchSpy.mockResolvedValueOnce(createMockResponse({ status, message: 'failed' }, true, status));
+        const err = await rejection(client.getProcess('p1'));
+        expect(err).toBeInstanceOf(ErrorClass);
+        expect(err.status).toBe(status);
+      }
+    });
+
+    it('should classify generic server errors by message', async () => {
+      const cases: [string, Function][] = [
+        ['Executor with name test-executor already exists', ConflictError],
+        ['Failed to get process, process not found', NotFoundError],
+        ['Access denied, not a member of colony', UnauthorizedError],
+        ['No process available', ColoniesTimeoutError],
+        ['Something went wrong', ServerError],
+      ];
+      for (const [message, ErrorClass] of cases) {
+        fetchSpy.mockResolvedValueOnce(createMockResponse({ status: 400, message }, true, 400));
+        const err = await rejection(client.getProcess('p1'));
+        expect(err).toBeInstanceOf(ErrorClass);
+        expect(err.serverMessage).toBe(message);
+      }
+    });
+
+    it('should throw typed errors for error replies with status 200', async () => {
+      fetchSpy.mockResolvedValueOnce(createMockResponse({ message: 'process not found' }, true));
+
+      const err = await rejection(client.getProcess('p1'));
+
+      expect(err).toBeInstanceOf(NotFoundError);
+      expect(err.payloadtype).toBe('getprocessmsg');
+    });
+
+    it('should throw TransportError when the request fails', async () => {
+      const cause = new TypeError('fetch failed');
+      fetchSpy.mockRejectedValueOnce(cause);
+
+      const err = await rejection(client.getProcess('p1'));
+
+      expect(err).toBeInstanceOf(TransportError);
+      expect(err.message).toBe('Request failed: fetch failed');
+      expect(err.cause).toBe(cause);
+      expect(err.status).toBeUndefined();
+    });
+
+    it('should throw TransportError for replies that are not RPC messages', async () => {
+      fetchSpy.mockResolvedValueOnce(new Response('<html>Bad Gateway</html>', { status: 502, statusText: 'Bad Gateway' }));
+      const badGateway = await rejection(client.getProcess('p1'));
+      expect(badGateway).toBeInstanceOf(TransportError);
+      expect(badGateway.message).toBe('Request failed with status 502: Bad Gateway');
+      expect(badGateway.status).toBe(502);
+
+      fetchSpy.mockResolvedValueOnce(new Response('', { status: 200 }));
+      const empty = await rejection(client.getProcess('p1'));
+      expect(empty).toBeInstanceOf(TransportError);
+      expect(empty.message).toBe('Server returned empty response');
+    });
+  });
+
+  describe('Retries', () => {
+    const retry = { maxAttempts: 3, initialDelay: 0, jitter: false };
+
+    function createRetryClient(policy: RetryPolicy = retry): ColoniesClient {
+      const retryClient = new ColoniesClient({ host: 'localhost', port: 50080, retry: policy });
+      retryClient.setPrivateKey('ddf7f7791208083b6a9ed975a72684f6406a269cfa36f1b1c32045c0a71fff05');
+      return retryClient;
+    }
+
+    function failWith(error: Error) {
+      return async () => {
+        throw error;
+      };
+    }
+
+    it('should retry read-only calls on transport errors', async () => {
+      const configured = createRetryClient();
+      fetchSpy
+        .mockImplementationOnce(failWith(new TypeError('fetch failed')))
+        .mockImplementationOnce(failWith(new TypeError('fetch failed')))
+        .mockImplementationOnce(async () => createMockResponse({ processid: 'p1' }));
+
+      const process = await configured.getProcess('p1');
+
+      expect(process.processid).toBe('p1');
+      expect(fetchSpy).toHaveBeenCalledTimes(3);
+      // Every attempt sends the same signed message
+      const bodies = fetchSpy.mock.calls.map((c) => c[1]!.body);
+      expect(new Set(bodies).size).toBe(1);
+    });
+
+    it('should give up after maxAttempts', async () => {
+      const configured = createRetryClient();
+      fetchSpy.mockImplementation(failWith(new TypeError('fetch failed')));
+
+      await expect(configured.getBlueprints('test')).rejects.toBeInstanceOf(TransportError);
+      expect(fetchSpy).toHaveBeenCalledTimes(3);
+    });
+
+    it('should not retry errors that are not retryable', async () => {
+      const configured = createRetryClient();
+      fetchSpy.mockImplementation(async () => createMockResponse({ message: 'process not found' }, true, 404));
+
+      await expect(configured.getProcess('p1')).rejects.toBeInstanceOf(NotFoundError);
+      expect(fetchSpy).toHaveBeenCalledTimes(1);
+    });
+
+    it('should retry the configured error classes', async () => {
+      const configured = createRetryClient({ ...retry, retryOn: [ServerError] });
+      fetchSpy
+        .mockImplementationOnce(async () => createMockResponse({ message: 'database unavailable' }, true, 500))
+        .mockImplementationOnce(async () => createMockResponse([]));
+
+      await expect(configured.getProcesses('test', 10, 0)).resolves.toEqual([]);
+      expect(fetchSpy).toHaveBeenCalledTimes(2);
+    });
+
+    it('should only retry mutating calls that opt in', async () => {
+      const configured = createRetryClient();
+      fetchSpy.mockImplementation(failWith(new TypeError('fetch failed')));
+
+      await expect(configured.removeProcess('p1')).rejects.toBeInstanceOf(TransportError);
+      expect(fetchSpy).toHaveBeenCalledTimes(1);
+
+      fetchSpy.mockReset();
+      fetchSpy
+        .mockImplementationOnce(failWith(new TypeError('fetch failed')))
+        .mockImplementationOnce(async () => createMockResponse({}));
+      await configured.removeProcess('p1', { retry: true });
+      expect(fetchSpy).toHaveBeenCalledTimes(2);
+    });
+
+    it('should let read-only calls opt out', async () => {
+      const configured = createRetryClient();
+      fetchSpy.mockImplementation(failWith(new TypeError('fetch failed')));
+
+      await expect(configured.getProcess('p1', { retry: false })).rejects.toBeInstanceOf(TransportError);
+      expect(fetchSpy).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not retry without a retry policy', async () => {
+      fetchSpy.mockImplementation(failWith(new TypeError('fetch failed')));
+
+      await expect(client.getProcess('p1')).rejects.toBeInstanceOf(TransportError);
+      expect(fetchSpy).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Timeouts and cancellation', () => {
+    // fetch that only settles when its request is aborted
+    function hangingFetch() {
+      return (_url: any, init: any) =>
+        new Promise<Response>((_resolve, reject) => {
+          init.signal.addEventListener('abort', () =>
+            reject(new DOMException('This operation was aborted', 'AbortError'))
+          );
+        });
+    }
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should reject with ColoniesTimeoutError when the request times out', async () => {
+      const timeoutClient = new ColoniesClient({ host: 'localhost', port: 50080, timeout: 20 });
+      timeoutClient.setPrivateKey('ddf7f7791208083b6a9ed975a72684f6406a269cfa36f1b1c32045c0a71fff05');
+      fetchSpy.mockImplementation(hangingFetch());
+
+      const err = await timeoutClient.getProcess('p1').catch((e) => e);
+
+      expect(err).toBeInstanceOf(ColoniesTimeoutError);
+      expect(err.message).toBe('Request timed out after 20 ms');
+      expect(err.payloadtype).toBe('getprocessmsg');
+    });
+
+    it('should use the per-call timeout', async () => {
+      fetchSpy.mockImplementation(hangingFetch());
+
+      await expect(client.getProcess('p1', { timeout: 10 })).rejects.toBeInstanceOf(ColoniesTimeoutError);
+    });
+
+    it('should derive the assign timeout from its server-side timeout', async () => {
+      vi.useFakeTimers();
+      fetchSpy.mockImplementation(hangingFetch());
+      let settled: unknown = null;
+
+      client.assign('test', 10).catch((e) => (settled = e));
+      await vi.advanceTimersByTimeAsync(14000);
+      expect(settled).toBeNull();
+      await vi.advanceTimersByTimeAsync(1000);
+
+      expect(settled).toBeInstanceOf(ColoniesTimeoutError);
+    });
+
+    it('should reject with AbortError when the signal aborts', async () => {
+      fetchSpy.mockImplementation(hangingFetch());
+      const controller = new AbortController();
+
+      const promise = client.getProcess('p1', { signal: controller.signal });
+      controller.abort();
+      const err = await promise.catch((e) => e);
+
+      expect(err).toBeInstanceOf(AbortError);
+      expect(err.name).toBe('AbortError');
+      expect(err.payloadtype).toBe('getprocessmsg');
+    });
+
+    it('should not send requests for an already aborted signal', async () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      await expect(client.getProcess('p1', { signal: controller.signal })).rejects.toBeInstanceOf(AbortError);
+      expect(fetchSpy).not.toHaveBeenCalled();
+    });
+
+    it('should stop retrying when the signal aborts', async () => {
+      const retryClient = new ColoniesClient({
+        host: 'localhost',
+        port: 50080,
+        retry: { maxAttempts: 5, initialDelay: 1000, jitter: false },
+      });
+      retryClient.setPrivateKey('ddf7f7791208083b6a9ed975a72684f6406a269cfa36f1b1c32045c0a71fff05');
+      fetchSpy.mockImplementation(async () => {
+        throw new TypeError('fetch failed');
+      });
+      const controller = new AbortController();
+
+      const promise = retryClient.getProcess('p1', { signal: controller.signal });
+      await vi.waitFor(() => expect(fetchSpy).toHaveBeenCalledTimes(1));
+      controller.abort();
+
+      await expect(promise).rejects.toBeInstanceOf(AbortError);
+      expect(fetchSpy).toHaveBeenCalledTimes(1);
+    });
+
+    it('should close subscriptions when the signal aborts', () => {
+      const controller = new AbortController();
+      const onError = vi.fn();
+
+      const ws = client.subscribeProcess('test', 'p1', 2, 60, vi.fn(), onError, vi.fn(), {
+        signal: controller.signal,
+      });
+      const close = vi.spyOn(ws, 'close');
+      controller.abort();
+
+      expect(close).toHaveBeenCalled();
+      expect(() =>
+        client.subscribeChannel('p1', 'chat', 0, 60, vi.fn(), vi.fn(), vi.fn(), { signal: controller.signal })
+      ).toThrow(AbortError);
+    });
+  });
+
+  describe('Transport and Interceptors', () => {
+    const clientKey = 'ddf7f7791208083b6a9ed975a72684f6406a269cfa36f1b1c32045c0a71fff05';
+
+    function reply(data: any, error = false, status = 200) {
+      return { status, body: JSON.stringify({ payload: btoa(JSON.stringify(data)), error }) };
+    }
+
+    function createTransport(respond: (request: TransportRequest) => any = () => reply({})) {
+      const requests: TransportRequest[] = [];
+      const transport: Transport = {
+        send: vi.fn(async (request: TransportRequest) => {
+          requests.push(request);
+          return respond(request);
+        }),
+      };
+      return { transport, requests };
+    }
+
+    it('should send calls through the configured transport', async () => {
+      const { transport, requests } = createTransport(() => reply({ processid: 'p1' }));
+      const transportClient = new ColoniesClient({ host: 'localhost', port: 50080, transport });
+      transportClient.setPrivateKey(clientKey);
+
+      const process = await transportClient.getProcess('p1');
+
+      expect(process.processid).toBe('p1');
+      expect(fetchSpy).not.toHaveBeenCalled();
+      expect(requests[0].url).toBe('http://localhost:50080/api');
+      expect(requests[0].headers).toEqual({ 'Content-Type': 'application/json' });
+      expect(requests[0].message.payloadtype).toBe('getprocessmsg');
+      expect(requests[0].message.signature).toBe(sign(requests[0].message.payload, clientKey));
+      expect(requests[0].signal).toBeInstanceOf(AbortSignal);
+    });
+
+    it('should share the transport and interceptors with scoped clients', async () => {
+      const { transport, requests } = createTransport();
+      const onResponse = vi.fn();
+      const transportClient = new ColoniesClient({
+        host: 'localhost',
+        port: 50080,
+        transport,
+        interceptors: [{ onResponse }],
+      });
+
+      await transportClient.as(clientKey).getProcess('p1');
+
+      expect(requests).toHaveLength(1);
+      expect(onResponse).toHaveBeenCalledTimes(1);
+    });
+
+    it('should report transport failures as TransportError', async () => {
+      const { transport } = createTransport(() => {
+        throw new Error('proxy unreachable');
+      });
+      const transportClient = new ColoniesClient({ host: 'localhost', port: 50080, transport });
+      transportClient.setPrivateKey(clientKey);
+
+      await expect(transportClient.getProcess('p1')).rejects.toThrow(TransportError);
+    });
+
+    it('should run interceptors around each call', async () => {
+      const { transport, requests } = createTransport(() => reply({ processid: 'p1' }));
+      const order: string[] = [];
+      const transportClient = new ColoniesClient({
+        host: 'localhost',
+        port: 50080,
+        transport,
+        interceptors: [
+          {
+            beforeSign: (msg, context) => {
+              order.push(`beforeSign:${context.msgtype}`);
+              return { ...msg, traceid: 'trace-1' };
+            },
+            afterSign: (request) => {
+              order.push('afterSign');
+              return { ...request, headers: { ...request.headers, 'X-Trace-Id': 'trace-1' } };
+            },
+            onResponse: (response) => {
+              order.push(`onResponse:${response.status}`);
+            },
+          },
+          {
+            afterSign: (request) => {
+              order.push(`afterSign:${request.headers['X-Trace-Id']}`);
+            },
+          },
+        ],
+      });
+      transportClient.setPrivateKey(clientKey);
+
+      await transportClient.getProcess('p1');
+
+      expect(order).toEqual(['beforeSign:getprocessmsg', 'afterSign', 'afterSign:trace-1', 'onResponse:200']);
+      expect(decodePayload(requests[0].message.payload).traceid).toBe('trace-1');
+      expect(requests[0].message.signature).toBe(sign(requests[0].message.payload, clientKey));
+      expect(requests[0].headers['X-Trace-Id']).toBe('trace-1');
+    });
+
+    it('should let onResponse replace the reply', async () => {
+      const { transport } = createTransport(() => reply({ processid: 'p1' }));
+      const transportClient = new ColoniesClient({
+        host: 'localhost',
+        port: 50080,
+        transport,
+        interceptors: [{ onResponse: () => reply({ processid: 'p2' }) }],
+      });
+      transportClient.setPrivateKey(clientKey);
+
+      expect((await transportClient.getProcess('p1')).processid).toBe('p2');
+    });
+
+    it('should call onError once with the final error', async () => {
+      let attempts = 0;
+      const { transport } = createTransport(() => {
+        attempts++;
+        throw new Error('connection reset');
+      });
+      const onError = vi.fn();
+      const transportClient = new ColoniesClient({
+        host: 'localhost',
+        port: 50080,
+        transport,
+        retry: { maxAttempts: 2, initialDelay: 0 },
+        interceptors: [{ onError }],
+      });
+      transportClient.setPrivateKey(clientKey);
+
+      await expect(transportClient.getProcess('p1')).rejects.toThrow(TransportError);
+
+      expect(attempts).toBe(2);
+      expect(onError).toHaveBeenCalledTimes(1);
+      expect(onError.mock.calls[0][0]).toBeInstanceOf(TransportError);
+      expect(onError.mock.calls[0][1]).toEqual({ msgtype: 'getprocessmsg' });
+    });
+
+    it('should let onError replace the error', async () => {
+      const { transport } = createTransport(() => reply({ message: 'process not found' }, true, 404));
+      const transportClient = new ColoniesClient({
+        host: 'localhost',
+        port: 50080,
+        transport,
+        interceptors: [
+          {
+            onError: (error) => {
+              throw new Error(`wrapped: ${error.message}`);
+            },
+          },
+        ],
+      });
+      transportClient.setPrivateKey(clientKey);
+
+      await expect(transportClient.getProcess('p1')).rejects.toThrow('wrapped: process not found');
+    });
+
+    it('should open subscriptions through the transport', () => {
+      const socket = { close: vi.fn() } as unknown as WebSocket;
+      const connect = vi.fn(() => socket);
+      const transportClient = new ColoniesClient({
+        host: 'localhost',
+        port: 50080,
+        transport: { send: vi.fn(), connect },
+      });
+      transportClient.setPrivateKey(clientKey);
+
+      const ws = transportClient.subscribeProcess('test', 'p1', 2, 60, vi.fn(), vi.fn(), vi.fn());
+
+      expect(ws).toBe(socket);
+      expect(connect).toHaveBeenCalledWith('ws://localhost:50080/pubsub');
+    });
+  });
+
+  describe('Response validation', () => {
+    const invalidExecutor = { executorId: 'e1', executortype: 'worker', executorname: 'worker-1', colonyname: 'test' };
+
+    it('should not validate responses by default', async () => {
+      fetchSpy.mockResolvedValueOnce(createMockResponse(invalidExecutor));
+
+      await expect(client.getExecutor('test', 'worker-1')).resolves.toEqual(invalidExecutor);
+    });
+
+    it('should throw ValidationError when enabled on the client', async () => {
+      const validatingClient = new ColoniesClient({ host: 'localhost', port: 50080, validate: true });
+      validatingClient.setPrivateKey('ddf7f7791208083b6a9ed975a72684f6406a269cfa36f1b1c32045c0a71fff05');
+      fetchSpy.mockResolvedValueOnce(createMockResponse(invalidExecutor));
+
+      const err = await validatingClient.getExecutor('test', 'worker-1').catch((e) => e);
+      expect(err).toBeInstanceOf(ValidationError);
+      expect(err).toBeInstanceOf(ColoniesError);
+      expect(err.issues).toEqual([{ path: '$.executorid', message: 'expected string, got undefined' }]);
+    });
+
+    it('should let a call override the client setting', async () => {
+      fetchSpy.mockResolvedValueOnce(createMockResponse(invalidExecutor));
+
+      await expect(client.getExecutor('test', 'worker-1', { validate: true })).rejects.toBeInstanceOf(
+        ValidationError
+      );
+    });
+
+    it('should pass valid responses through unchanged', async () => {
+      const executor = { executorid: 'e1', executortype: 'worker', executorname: 'worker-1', colonyname: 'test' };
+      fetchSpy.mockResolvedValueOnce(createMockResponse(executor));
+
+      await expect(client.getExecutor('test', 'worker-1', { validate: true })).resolves.toEqual(executor);
+    });
+  });
+
+  describe('Iterators', () => {
+    function process(id: string, minute: number) {
+      return { processid: id, state: 0, spec: { funcname: 'f' }, submissiontime: `2024-01-01T00:0${minute}:00Z` };
+    }
+
+    async function collect<T>(iterator: AsyncIterable<T>): Promise<T[]> {
+      const items: T[] = [];
+      for await (const item of iterator) items.push(item);
+      return items;
+    }
+
+    function sentPayloads() {
+      return fetchSpy.mock.calls.map((call) => decodePayload(JSON.parse((call[1] as RequestInit).body as string).payload));
+    }
+
+    it('should page through processes by growing the count', async () => {
+      const all = [1, 2, 3, 4, 5].map((n) => process(`p${n}`, n));
+      fetchSpy
+        .mockResolvedValueOnce(createMockResponse(all.slice(0, 2)))
+        .mockResolvedValueOnce(createMockResponse(all.slice(0, 4)))
+        .mockResolvedValueOnce(createMockResponse(all));
+
+      const processes = await collect(client.iterateProcesses('test', -1, { pageSize: 2 }));
+
+      expect(processes.map((p) => p.processid)).toEqual(['p1', 'p2', 'p3', 'p4', 'p5']);
+      const payloads = sentPayloads();
+      expect(payloads.map((p) => p.count)).toEqual([2, 4, 8]);
+      expect(payloads[0]).toEqual({ msgtype: 'getprocessesmsg', colonyname: 'test', count: 2, state: -1 });
+    });
+
+    it('should stop at an empty page', async () => {
+      fetchSpy
+        .mockResolvedValueOnce(createMockResponse([process('p1', 1), process('p2', 2)]))
+        .mockResolvedValueOnce(createMockResponse(null));
+
+      const processes = await collect(client.iterateProcesses('test', -1, { pageSize: 2 }));
+
+      expect(processes).toHaveLength(2);
+      expect(fetchSpy).toHaveBeenCalledTimes(2);
+    });
+
+    it('should throw when a full page of logs has nothing new', async () => {
+      const log = (timestamp: number) => ({ processid: 'p1', message: `m${timestamp}`, timestamp });
+      // A server that ignores `since` returns the oldest logs again
+      fetchSpy.mockImplementation(async (_url, init) => {
+        const { count } = decodePayload(JSON.parse((init as RequestInit).body as string).payload);
+        return createMockResponse([10, 20, 30, 40, 50].slice(0, count).map(log));
+      });
+
+      const logs: string[] = [];
+      const iterating = (async () => {
+        for await (const l of client.iterateLogs('test', 'p1', '', 0, { pageSize: 2 })) logs.push(l.message);
+      })();
+
+      await expect(iterating).rejects.toThrow('Paging stalled: getlogsmsg returned no new items after 29');
+      expect(logs).toEqual(['m10', 'm20', 'm30']);
+    });
+
+    it('should only fetch pages as they are consumed', async () => {
+      fetchSpy.mockResolvedValueOnce(createMockResponse([process('p1', 1), process('p2', 2)]));
+
+      for await (const p of client.iterateProcesses('test', -1, { pageSize: 2 })) {
+        expect(p.processid).toBe('p1');
+        break;
+      }
+
+      expect(fetchSpy).toHaveBeenCalledTimes(1);
+    });
+
+    it('should page through logs by timestamp', async () => {
+      const log = (timestamp: number) => ({ processid: 'p1', message: `m${timestamp}`, timestamp });
+      fetchSpy
+        .mockResolvedValueOnce(createMockResponse([log(10), log(20)]))
+        .mockResolvedValueOnce(createMockResponse([log(20), log(30)]));
+
+      const logs = await collect(client.iterateLogs('test', 'p1', '', 5, { pageSize: 2 }));
+
+      expect(logs.map((l) => l.message)).toEqual(['m10', 'm20', 'm30']);
+      expect(sentPayloads().map((p) => [p.since, p.count])).toEqual([
+        [5, 2],
+        [19, 3],
+      ]);
+    });
+
+    it('should keep logs that share a timestamp across pages', async () => {
+      const log = (message: string, timestamp: number) => ({ processid: 'p1', message, timestamp });
+      const [a, b, c, d, e] = [log('a', 10), log('b', 20), log('same', 20), log('same', 20), log('e', 30)];
+      fetchSpy
+        .mockResolvedValueOnce(createMockResponse([a, b]))
+        .mockResolvedValueOnce(createMockResponse([b, c, d]))
+        .mockResolvedValueOnce(createMockResponse([b, c, d, e]));
+
+      const logs = await collect(client.iterateLogs('test', 'p1', '', 0, { pageSize: 2 }));
+
+      expect(logs.map((l) => l.message)).toEqual(['a', 'b', 'same', 'same', 'e']);
+      expect(sentPayloads().map((p) => [p.since, p.count])).toEqual([
+        [0, 2],
+        [19, 3],
+        [19, 5],
+      ]);
+    });
+
+    it('should page through process graphs and crons', async () => {
+      fetchSpy
+        .mockResolvedValueOnce(createMockResponse([{ processgraphid: 'g1', state: 2, submissiontime: 't1' }]))
+        .mockResolvedValueOnce(createMockResponse([{ cronid: 'c1', colonyname: 'test', name: 'a', cron: '' }]));
+
+      expect(await collect(client.iterateProcessGraphs('test', 2, { pageSize: 5 }))).toHaveLength(1);
+      expect(await collect(client.iterateCrons('test', { pageSize: 5 }))).toHaveLength(1);
+      expect(sentPayloads()).toEqual([
+        { msgtype: 'getprocessgraphsmsg', colonyname: 'test', count: 5, state: 2 },
+        { msgtype: 'getcronsmsg', colonyname: 'test', count: 5 },
+      ]);
+    });
+
+    it('should stop after the limit', async () => {
+      const all = [1, 2, 3, 4, 5].map((n) => process(`p${n}`, n));
+      fetchSpy
+        .mockResolvedValueOnce(createMockResponse(all.slice(0, 2)))
+        .mockResolvedValueOnce(createMockResponse(all.slice(0, 3)));
+
+      const processes = await collect(client.iterateProcesses('test', -1, { pageSize: 2, limit: 3 }));
+
+      expect(processes.map((p) => p.processid)).toEqual(['p1', 'p2', 'p3']);
+      expect(sentPayloads().map((p) => p.count)).toEqual([2, 3]);
+    });
+
+    it('should reject an invalid page size or limit', async () => {
+      await expect(collect(client.iterateCrons('test', { pageSize: 0 }))).rejects.toThrow('Invalid page size: 0');
+      await expect(collect(client.iterateCrons('test', { limit: 0 }))).rejects.toThrow('Invalid limit: 0');
+    });
+  });
+
+  describe('waitForProcess', () => {
+    function process(state: number, errors: string[] = []) {
+      return { processid: 'p1', state, spec: { funcname: 'f', conditions: { colonyname: 'test' } }, errors };
+    }
+
+    // Subscriptions fail to connect, so waiting falls back to polling
+    // Entries with an error are sent back as error replies
+    function pollingClient(states: (ReturnType<typeof process> | { error: string; status: number })[]) {
+      const sent: string[] = [];
+      const client = new ColoniesClient({
+        host: 'localhost',
+        port: 50080,
+        transport: {
+          send: async (request) => {
+            sent.push(request.message.payloadtype);
+            const data = request.message.payloadtype === 'submitfuncspecmsg' ? process(0) : states.shift();
+            if (data && 'error' in data) {
+              const reply = { message: data.error, status: data.status };
+              return { status: 200, body: JSON.stringify({ payload: btoa(JSON.stringify(reply)), error: true }) };
+            }
+            return { status: 200, body: JSON.stringify({ payload: btoa(JSON.stringify(data)), error: false }) };
+          },
+          connect: () => {
+            throw new Error('WebSocket unavailable');
+          },
+        },
+      });
+      client.setPrivateKey('ddf7f7791208083b6a9ed975a72684f6406a269cfa36f1b1c32045c0a71fff05');
+      return { client, sent };
+    }
+
+    it('should resolve immediately when the process is already in the state', async () => {
+      const { client: waitClient, sent } = pollingClient([process(2)]);
+
+      await expect(waitClient.waitForProcess('p1')).resolves.toMatchObject({ state: 2 });
+      expect(sent).toEqual(['getprocessmsg']);
+    });
+
+    it('should poll when subscriptions are unavailable', async () => {
+      const { client: waitClient, sent } = pollingClient([process(0), process(1), process(2)]);
+
+      const result = await waitClient.waitForProcess('p1', { pollInterval: 1 });
+
+      expect(result.state).toBe(2);
+      expect(sent).toEqual(['getprocessmsg', 'getprocessmsg', 'getprocessmsg']);
+    });
+
+    it('should keep polling after a transient error', async () => {
+      const { client: waitClient, sent } = pollingClient([
+        process(0),
+        { error: 'service unavailable', status: 503 },
+        process(2),
+      ]);
+
+      const result = await waitClient.waitForProcess('p1', { pollInterval: 1 });
+
+      expect(result.state).toBe(2);
+      expect(sent).toHaveLength(3);
+    });
+
+    it('should reject when polling fails with a non-transient error', async () => {
+      const { client: waitClient } = pollingClient([process(0), { error: 'process not found', status: 404 }]);
+
+      await expect(waitClient.waitForProcess('p1', { pollInterval: 1 })).rejects.toBeInstanceOf(NotFoundError);
+    });
+
+    it('should reject with the process errors when it fails', async () => {
+      const { client: waitClient } = pollingClient([process(1), process(3, ['boom', 'bad input'])]);
+
+      const err = await waitClient.waitForProcess('p1', { pollInterval: 1 }).catch((e) => e);
+
+      expect(err).toBeInstanceOf(ProcessFailedError);
+      expect(err).toBeInstanceOf(ColoniesError);
+      expect(err.errors).toEqual(['boom', 'bad input']);
+      expect(err.process.processid).toBe('p1');
+      expect(err.message).toBe('Process p1 failed: boom; bad input');
+    });
+
+    it('should resolve when waiting for the FAILED state', async () => {
+      const { client: waitClient } = pollingClient([process(3, ['boom'])]);
+
+      await expect(waitClient.waitForProcess('p1', { state: 3 })).resolves.toMatchObject({ state: 3 });
+    });
+
+    it('should resolve when the process has already passed the state', async () => {
+      const { client: waitClient, sent } = pollingClient([process(2)]);
+
+      await expect(waitClient.waitForProcess('p1', { state: 1, timeout: 1000 })).resolves.toMatchObject({ state: 2 });
+      expect(sent).toEqual(['getprocessmsg']);
+    });
+
+    it('should resolve when the process passes the state between polls', async () => {
+      const { client: waitClient } = pollingClient([process(0), process(2)]);
+
+      await expect(waitClient.waitForProcess('p1', { state: 1, pollInterval: 1 })).resolves.toMatchObject({ state: 2 });
+    });
+
+    it('should reject when the process fails before reaching the state', async () => {
+      const { client: waitClient } = pollingClient([process(3, ['boom'])]);
+
+      await expect(waitClient.waitForProcess('p1', { state: 1 })).rejects.toBeInstanceOf(ProcessFailedError);
+    });
+
+    it('should time out', async () => {
+      const { client: waitClient } = pollingClient(Array.from({ length: 100 }, () => process(1)));
+
+      const err = await waitClient.waitForProcess('p1', { timeout: 30, pollInterval: 5 }).catch((e) => e);
+
+      expect(err).toBeInstanceOf(ColoniesTimeoutError);
+      expect(err.message).toBe('Process p1 did not reach state SUCCESS within 30 ms');
+    });
+
+    it('should be cancelled through its signal', async () => {
+      const { client: waitClient } = pollingClient(Array.from({ length: 100 }, () => process(1)));
+      const controller = new AbortController();
+
+      const waiting = waitClient.waitForProcess('p1', { signal: controller.signal, pollInterval: 5 });
+      setTimeout(() => controller.abort(), 20);
+
+      await expect(waiting).rejects.toBeInstanceOf(AbortError);
+    });
+
+    it('should submit and wait with submitAndWait', async () => {
+      const { client: waitClient, sent } = pollingClient([process(2)]);
+
+      const result = await waitClient.submitAndWait({ funcname: 'f', conditions: { colonyname: 'test' } });
+
+      expect(result.state).toBe(2);
+      expect(sent).toEqual(['submitfuncspecmsg', 'getprocessmsg']);
+    });
+  });
+
+  describe('Channel payloads', () => {
+    const binary = new Uint8Array([0, 255, 128, 10, 0xc3]);
+    const base64 = (bytes: Uint8Array) => btoa(String.fromCharCode(...bytes));
+
+    function lastRequest(): any {
+      const body = JSON.parse(fetchSpy.mock.calls[fetchSpy.mock.calls.length - 1][1].body);
+      return decodePayload(body.payload);
+    }
+
+    it('should decode payloads as UTF-8 text by default', async () => {
+      fetchSpy.mockResolvedValueOnce(
+        createMockResponse([
+          { sequence: 1, inreplyto: 0, payload: base64(new TextEncoder().encode('héllo')) },
+          { sequence: 2, inreplyto: 1, payload: [104, 105] },
+        ])
+      );
+
+      const entries = await client.channelRead('p1', 'chat', 0, 0);
+
+      expect(entries.map((e) => e.payload)).toEqual(['héllo', 'hi']);
+    });
+
+    it('should return raw bytes with the bytes codec', async () => {
+      fetchSpy.mockResolvedValueOnce(
+        createMockResponse([
+          { sequence: 1, inreplyto: 0, payload: base64(binary) },
+          { sequence: 2, inreplyto: 0, payload: Array.from(binary) },
+        ])
+      );
+
+      const entries = await client.channelRead('p1', 'sensor', 0, 0, { codec: 'bytes' });
+
+      expect(entries[0].payload).toEqual(binary);
+      expect(entries[1].payload).toEqual(binary);
+    });
+
+    it('should send bytes unchanged as base64', async () => {
+      fetchSpy.mockResolvedValueOnce(createMockResponse({}));
+
+      await client.channelAppend('p1', 'sensor', 1, 0, binary);
+
+      expect(lastRequest().payload).toBe(base64(binary));
+    });
+
+    it('should send multi-megabyte payloads', async () => {
+      fetchSpy.mockResolvedValueOnce(createMockResponse({}));
+      const large = new Uint8Array(4 * 1024 * 1024).fill(7);
+
+      await client.channelAppend('p1', 'logs', 1, 0, large);
+
+      const { payload } = lastRequest();
+      expect(payload).toHaveLength(Math.ceil(large.length / 3) * 4);
+      expect(atob(payload)).toHaveLength(large.length);
+    });
+
+    it('should encode and decode JSON payloads', async () => {
+      fetchSpy.mockResolvedValueOnce(createMockResponse({}));
+      await client.channelAppend('p1', 'events', 1, 0, { temp: 21.5 }, { codec: 'json' });
+      const sent = lastRequest();
+      expect(atob(sent.payload)).toBe('{"temp":21.5}');
+      expect(sent.codec).toBeUndefined();
+
+      fetchSpy.mockResolvedValueOnce(createMockResponse([{ sequence: 1, inreplyto: 0, payload: sent.payload }]));
+      const entries = await client.channelRead('p1', 'events', 0, 0, { codec: 'json' });
+      expect(entries[0].payload).toEqual({ temp: 21.5 });
+    });
+
+    it('should use custom codecs', async () => {
+      const int16 = {
+        encode: (n: number) => new Uint8Array([n >> 8, n & 0xff]),
+        decode: (bytes: Uint8Array) => (bytes[0] << 8) | bytes[1],
+      };
+      fetchSpy.mockResolvedValueOnce(createMockResponse({}));
+      await client.channelAppend('p1', 'ticks', 1, 0, 1000, { codec: int16 });
+      expect(lastRequest().payload).toBe(base64(new Uint8Array([3, 232])));
+
+      fetchSpy.mockResolvedValueOnce(createMockResponse([{ sequence: 1, inreplyto: 0, payload: [3, 232] }]));
+      const entries = await client.channelRead('p1', 'ticks', 0, 0, { codec: int16 });
+      expect(entries[0].payload).toBe(1000);
+    });
+
+    it('should reject unknown codecs and payloads without a codec', async () => {
+      await expect(client.channelRead('p1', 'chat', 0, 0, { codec: 'xml' as any })).rejects.toThrow(
+        'Unknown channel codec: xml'
+      );
+      await expect(client.channelAppend('p1', 'chat', 1, 0, 5 as any)).rejects.toThrow(
+        'Channel payload must be a string or Uint8Array without a codec'
+      );
+      expect(fetchSpy).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -3,7 +3,22 @@
  * Ported from colonyspace/aila/src/lib/api/colony.ts
  */
 
-import { Crypto } from './crypto';
+import { Signer, toSigner } from './signer';
+import { AbortError, ColoniesTimeoutError, createServerError, ProcessFailedError, ServerError, TransportError } from './errors';
+import {
+  FetchTransport,
+  Interceptor,
+  InterceptorContext,
+  SignedRequest,
+  Transport,
+  TransportResponse,
+} from './transport';
+import { DEFAULT_RETRY_POLICY, isReadOnlyMsgType, isRetryable, retryDelay, RetryPolicy } from './retry';
+import { assertValidResponse } from './validation';
+import { ChannelCodecOption, CodecValue, payloadBytes, resolveCodec } from './codec';
+import { Channel, ChannelConfig } from './channel';
+import { ChannelSubscription, WatchChannelOptions } from './subscription';
+import { ChannelEntriesOptions, channelReadableStream, iterateChannel } from './stream';
 
 // Helper function to decode base64 payload with proper UTF-8 handling
 function decodeBase64Utf8(base64: string): string {
@@ -15,17 +30,66 @@ function decodeBase64Utf8(base64: string): string {
   return new TextDecoder('utf-8').decode(bytes);
 }
 
+// Bytes passed to String.fromCharCode at once; spreading more can overflow the stack
+const BASE64_BLOCK_SIZE = 0x8000;
+
+function encodeBase64(bytes: Uint8Array): string {
+  let binaryStr = '';
+  for (let i = 0; i < bytes.length; i += BASE64_BLOCK_SIZE) {
+    binaryStr += String.fromCharCode(...bytes.subarray(i, i + BASE64_BLOCK_SIZE));
+  }
+  return btoa(binaryStr);
+}
+
 // Helper function to encode string to base64 with proper UTF-8 handling
 function encodeBase64Utf8(str: string): string {
-  const utf8Bytes = new TextEncoder().encode(str);
-  const binaryStr = String.fromCharCode(...utf8Bytes);
-  return btoa(binaryStr);
+  return encodeBase64(new TextEncoder().encode(str));
+}
+
+const DEFAULT_TIMEOUT = 30000;
+// Time allowed on top of the server-side timeout of long-polling calls
+const LONG_POLL_MARGIN = 5000;
+// Seconds a waitForProcess subscription stays open without an overall timeout
+const WAIT_SUBSCRIPTION_TIMEOUT = 3600;
+
+function abortError(signal: AbortSignal, payloadtype?: string): AbortError {
+  return new AbortError('Request aborted', { payloadtype, cause: signal.reason });
+}
+
+function sleep(ms: number, signal?: AbortSignal, payloadtype?: string): Promise<void> {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortError(signal, payloadtype));
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError(signal!, payloadtype));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
 }
 
 export interface ColoniesClientConfig {
   host: string;
   port: number;
   tls?: boolean;
+  /** Signer used for every call, instead of setPrivateKey() */
+  signer?: Signer;
+  /** Retry policy applied to read-only calls, and to other calls that opt in */
+  retry?: RetryPolicy;
+  /** Milliseconds before a request is abandoned, 0 to disable (default: 30000) */
+  timeout?: number;
+  /** Transport that sends requests and opens subscriptions (default: FetchTransport) */
+  transport?: Transport;
+  /** Hooks run around every RPC call, in order */
+  interceptors?: Interceptor[];
+  /** Check responses against the returned types and throw ValidationError on mismatch (default: false) */
+  validate?: boolean;
 }
 
 export interface RPCMessage {
@@ -216,35 +280,114 @@ export interface Blueprint {
   status?: Record<string, unknown>;
 }
 
-export interface ChannelEntry {
+export interface ChannelEntry<T = string> {
   sequence: number;
   inreplyto: number;
-  payload: string;
+  /** Payload decoded by the codec of the read, UTF-8 text by default */
+  payload: T;
 }
 
 export interface Log {
   processid?: string;
   executorname?: string;
   message: string;
-  timestamp?: string;
+  /** Compared against `since` in getLogs() */
+  timestamp?: number;
+}
+
+export interface CallOptions {
+  /** Private key that signs this call instead of the client's signer */
+  privateKey?: string;
+  /** Signer for this call instead of the client's signer */
+  signer?: Signer;
+  /**
+   * Retry this call on retryable errors. Read-only calls retry by default
+   * when the client has a retry policy; other calls retry only when true.
+   */
+  retry?: boolean;
+  /** Milliseconds before this call is abandoned, instead of the client's timeout */
+  timeout?: number;
+  /** Cancels the call, or closes the WebSocket of a subscription */
+  signal?: AbortSignal;
+  /** Check the response against the returned type, instead of the client's setting */
+  validate?: boolean;
+}
+
+export interface IterateOptions extends CallOptions {
+  /** Number of items requested per page (default: 100) */
+  pageSize?: number;
+  /**
+   * Most items yielded by iterateProcesses, iterateProcessGraphs and
+   * iterateCrons, whose requests download the earlier items again (default: 10000)
+   */
+  limit?: number;
+}
+
+export interface ChannelOptions<C extends ChannelCodecOption = 'utf8'> extends CallOptions {
+  /**
+   * Codec for payloads: 'utf8', 'json', 'bytes' or a custom codec. Reads
+   * default to 'utf8'; appends encode strings as UTF-8 and send byte
+   * arrays unchanged.
+   */
+  codec?: C;
+}
+
+export interface WaitOptions extends Omit<CallOptions, 'timeout'> {
+  /** State to wait for; WAITING and RUNNING are also reached by a later state (default: ProcessState.SUCCESS) */
+  state?: ProcessState;
+  /** Milliseconds to wait before rejecting with ColoniesTimeoutError (default: no limit) */
+  timeout?: number;
+  /**
+   * Milliseconds between getProcess calls, which catch failures and states
+   * the subscription does not report (default: 1000)
+   */
+  pollInterval?: number;
 }
 
 export class ColoniesClient {
+  private config: ColoniesClientConfig;
   private host: string;
   private port: number;
   private tls: boolean;
-  private crypto: Crypto;
-  private privateKey: string | null = null;
+  private signer: Signer | null;
+  private transport: Transport;
+  private interceptors: Interceptor[];
 
   constructor(config: ColoniesClientConfig) {
+    this.config = config;
     this.host = config.host;
     this.port = config.port;
     this.tls = config.tls ?? false;
-    this.crypto = new Crypto();
+    this.signer = config.signer ?? null;
+    this.transport = config.transport ?? new FetchTransport();
+    this.interceptors = config.interceptors ?? [];
   }
 
   setPrivateKey(privateKey: string): void {
-    this.privateKey = privateKey;
+    this.signer = toSigner(privateKey);
+  }
+
+  /**
+   * Set the signer used for every call
+   * @param signer - Signer, e.g. backed by an external key store
+   */
+  setSigner(signer: Signer): void {
+    this.signer = signer;
+  }
+
+  /**
+   * Create a client that signs with another identity. The scoped client
+   * shares this client's connection settings, transport and interceptors but
+   * keeps its own signer, so it can be used concurrently with this client.
+   * @param signerOrKey - Signer or hex-encoded private key for the scoped client
+   */
+  as(signerOrKey: Signer | string): ColoniesClient {
+    return new ColoniesClient({
+      ...this.config,
+      transport: this.transport,
+      interceptors: this.interceptors,
+      signer: toSigner(signerOrKey),
+    });
   }
 
   private getBaseUrl(): string {
@@ -252,13 +395,24 @@ export class ColoniesClient {
     return `${protocol}://${this.host}:${this.port}/api`;
   }
 
-  private createRPCMsg(msg: any): RPCMessage {
-    if (!this.privateKey) {
-      throw new Error('Private key not set. Call setPrivateKey() first.');
+  private connect(url: string): WebSocket {
+    return this.transport.connect ? this.transport.connect(url) : new WebSocket(url);
+  }
+
+  private resolveSigner(options?: CallOptions): Signer {
+    if (options?.signer) return options.signer;
+    if (options?.privateKey) return toSigner(options.privateKey);
+    if (!this.signer) {
+      throw new Error('Private key not set. Call setPrivateKey() or setSigner() first.');
     }
+    return this.signer;
+  }
+
+  private async createRPCMsg(msg: any, options?: CallOptions): Promise<RPCMessage> {
+    const signer = this.resolveSigner(options);
 
     const payload = encodeBase64Utf8(JSON.stringify(msg));
-    const signature = this.crypto.sign(payload, this.privateKey);
+    const signature = await signer.sign(payload);
 
     return {
       payloadtype: msg.msgtype,
@@ -267,51 +421,138 @@ export class ColoniesClient {
     };
   }
 
-  private async sendRPC(rpcMessage: RPCMessage): Promise<any> {
-    const url = this.getBaseUrl();
+  private retryPolicyFor(msgtype: string, options?: CallOptions): Required<RetryPolicy> | null {
+    const retry = options?.retry ?? (this.config.retry !== undefined && isReadOnlyMsgType(msgtype));
+    return retry ? { ...DEFAULT_RETRY_POLICY, ...this.config.retry } : null;
+  }
 
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(rpcMessage),
-    });
+  private shouldValidate(options?: CallOptions): boolean {
+    return options?.validate ?? this.config.validate ?? false;
+  }
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      let errorObj;
-      try {
-        errorObj = JSON.parse(errorText);
-      } catch {
-        throw new Error(`Request failed with status ${response.status}: ${response.statusText}`);
+  private async call(msg: any, options?: CallOptions): Promise<any> {
+    const context: InterceptorContext = { msgtype: msg.msgtype };
+    try {
+      const result = await this.callWithRetries(msg, context, options);
+      if (this.shouldValidate(options)) assertValidResponse(msg.msgtype, result);
+      return result;
+    } catch (err) {
+      for (const interceptor of this.interceptors) {
+        await interceptor.onError?.(err as Error, context);
       }
+      throw err;
+    }
+  }
 
-      if (errorObj.payload) {
-        try {
-          const decodedPayload = decodeBase64Utf8(errorObj.payload);
-          const decodedError = JSON.parse(decodedPayload);
-          throw new Error(decodedError.message || JSON.stringify(decodedError));
-        } catch (e) {
-          if (e instanceof Error && e.message !== 'Request failed') {
-            throw e;
-          }
+  private async callWithRetries(msg: any, context: InterceptorContext, options?: CallOptions): Promise<any> {
+    const signal = options?.signal;
+    if (signal?.aborted) throw abortError(signal, msg.msgtype);
+
+    for (const interceptor of this.interceptors) {
+      msg = (await interceptor.beforeSign?.(msg, context)) ?? msg;
+    }
+    let request: SignedRequest = {
+      message: await this.createRPCMsg(msg, options),
+      headers: { 'Content-Type': 'application/json' },
+    };
+    for (const interceptor of this.interceptors) {
+      request = (await interceptor.afterSign?.(request, context)) ?? request;
+    }
+
+    const policy = this.retryPolicyFor(msg.msgtype, options);
+    const timeout = options?.timeout ?? this.config.timeout ?? DEFAULT_TIMEOUT;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.sendRPC(request, context, timeout, signal);
+      } catch (err) {
+        if (!policy || attempt >= policy.maxAttempts || !isRetryable(err, policy)) {
+          throw err;
         }
+        await sleep(retryDelay(policy, attempt), signal, msg.msgtype);
+      }
+    }
+  }
+
+  private async sendRPC(
+    request: SignedRequest,
+    context: InterceptorContext,
+    timeout: number,
+    signal?: AbortSignal
+  ): Promise<any> {
+    const url = this.getBaseUrl();
+    const payloadtype = request.message.payloadtype;
+    if (signal?.aborted) throw abortError(signal, payloadtype);
+
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer =
+      timeout > 0
+        ? setTimeout(() => {
+          timedOut = true;
+          controller.abort();
+        }, timeout)
+        : null;
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    let response: TransportResponse;
+    try {
+      response = await this.transport.send({ ...request, url, signal: controller.signal });
+    } catch (err) {
+      if (signal?.aborted) {
+        throw abortError(signal, payloadtype);
       }
-      throw new Error(JSON.stringify(errorObj));
+      if (timedOut) {
+        throw new ColoniesTimeoutError(`Request timed out after ${timeout} ms`, { payloadtype, cause: err });
+      }
+      const message = err instanceof Error ? err.message : String(err);
+      throw new TransportError(`Request failed: ${message}`, { payloadtype, cause: err });
+    } finally {
+      if (timer) clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+
+    for (const interceptor of this.interceptors) {
+      response = (await interceptor.onResponse?.(response, context)) ?? response;
     }
 
-    const responseText = await response.text();
+    const responseText = response.body;
+    const ok = response.status >= 200 && response.status < 300;
+    const status = response.status;
     if (!responseText || responseText.trim() === '') {
-      throw new Error('Server returned empty response');
+      if (!ok) {
+        throw new TransportError(`Request failed with status ${status}: ${response.statusText ?? ''}`, { status, payloadtype });
+      }
+      throw new TransportError('Server returned empty response', { status, payloadtype });
+    }
+
+    let rpcReplyMsg;
+    try {
+      rpcReplyMsg = JSON.parse(responseText);
+    } catch (err) {
+      const message = ok
+        ? 'Server returned an invalid response'
+        : `Request failed with status ${status}: ${response.statusText ?? ''}`;
+      throw new TransportError(message, { status, payloadtype, cause: err });
     }
 
-    const rpcReplyMsg = JSON.parse(responseText);
-    const msg = JSON.parse(decodeBase64Utf8(rpcReplyMsg.payload));
+    let msg;
+    try {
+      msg = rpcReplyMsg.payload !== undefined ? JSON.parse(decodeBase64Utf8(rpcReplyMsg.payload)) : undefined;
+    } catch (err) {
+      if (ok && rpcReplyMsg.error !== true) {
+        throw new TransportError('Server returned an invalid response', { status, payloadtype, cause: err });
+      }
+    }
 
-    if (rpcReplyMsg.error === true) {
-      const errorMessage = typeof msg === 'object' && msg.message ? msg.message : JSON.stringify(msg);
-      throw new Error(errorMessage);
+    if (!ok || rpcReplyMsg.error === true) {
+      const source = msg ?? rpcReplyMsg;
+      const serverMessage =
+        typeof source === 'object' && source !== null && source.message ? source.message : JSON.stringify(source);
+      // Error replies carry the status the server failed with
+      const replyStatus = typeof msg?.status === 'number' && msg.status >= 400 ? msg.status : status;
+      throw createServerError(serverMessage, { status: replyStatus, payloadtype });
     }
 
     return msg;
@@ -319,195 +560,309 @@ export class ColoniesClient {
 
   // ==================== Colony Methods ====================
 
-  async getColonies(): Promise<Colony[]> {
+  async getColonies(options?: CallOptions): Promise<Colony[]> {
     const msg = { msgtype: 'getcoloniesmsg' };
-    return this.sendRPC(this.createRPCMsg(msg));
+    return this.call(msg, options);
   }
 
-  async getStatistics(): Promise<any> {
+  async getStatistics(options?: CallOptions): Promise<any> {
     const msg = { msgtype: 'getstatisticsmsg' };
-    return this.sendRPC(this.createRPCMsg(msg));
+    return this.call(msg, options);
   }
 
   /**
    * Add a new colony (requires server private key)
    * @param colony - Colony object with colonyid and name
    */
-  async addColony(colony: Colony): Promise<Colony> {
+  async addColony(colony: Colony, options?: CallOptions): Promise<Colony> {
     const msg = {
       msgtype: 'addcolonymsg',
       colony,
     };
-    return this.sendRPC(this.createRPCMsg(msg));
+    return this.call(msg, options);
   }
 
   /**
    * Remove a colony (requires server private key)
    * @param colonyName - Name of the colony to remove
    */
-  async removeColony(colonyName: string): Promise<void> {
+  async removeColony(colonyName: string, options?: CallOptions): Promise<void> {
     const msg = {
       msgtype: 'removecolonymsg',
       colonyname: colonyName,
     };
-    return this.sendRPC(this.createRPCMsg(msg));
+    return this.call(msg, options);
   }
 
   // ==================== Executor Methods ====================
 
-  async getExecutors(colonyName: string): Promise<Executor[]> {
+  async getExecutors(colonyName: string, options?: CallOptions): Promise<Executor[]> {
     const msg = {
       msgtype: 'getexecutorsmsg',
       colonyname: colonyName,
     };
-    return this.sendRPC(this.createRPCMsg(msg));
+    return this.call(msg, options);
   }
 
-  async getExecutor(colonyName: string, executorName: string): Promise<Executor> {
+  async getExecutor(colonyName: string, executorName: string, options?: CallOptions): Promise<Executor> {
     const msg = {
       msgtype: 'getexecutormsg',
       colonyname: colonyName,
       executorname: executorName,
     };
-    return this.sendRPC(this.createRPCMsg(msg));
+    return this.call(msg, options);
   }
 
-  async addExecutor(executor: Executor): Promise<Executor> {
+  async addExecutor(executor: Executor, options?: CallOptions): Promise<Executor> {
     const msg = {
       msgtype: 'addexecutormsg',
       executor,
     };
-    return this.sendRPC(this.createRPCMsg(msg));
+    return this.call(msg, options);
   }
 
-  async approveExecutor(colonyName: string, executorName: string): Promise<Executor> {
+  async approveExecutor(colonyName: string, executorName: string, options?: CallOptions): Promise<Executor> {
     const msg = {
       msgtype: 'approveexecutormsg',
       colonyname: colonyName,
       executorname: executorName,
     };
-    return this.sendRPC(this.createRPCMsg(msg));
+    return this.call(msg, options);
   }
 
-  async removeExecutor(colonyName: string, executorName: string): Promise<void> {
+  async removeExecutor(colonyName: string, executorName: string, options?: CallOptions): Promise<void> {
     const msg = {
       msgtype: 'removeexecutormsg',
       colonyname: colonyName,
       executorname: executorName,
     };
-    return this.sendRPC(this.createRPCMsg(msg));
+    return this.call(msg, options);
   }
 
   // ==================== Process Methods ====================
 
-  async submitFunctionSpec(spec: FunctionSpec): Promise<Process> {
+  async submitFunctionSpec(spec: FunctionSpec, options?: CallOptions): Promise<Process> {
     const msg = {
       msgtype: 'submitfuncspecmsg',
       spec,
     };
-    return this.sendRPC(this.createRPCMsg(msg));
+    return this.call(msg, options);
   }
 
-  async getProcess(processId: string): Promise<Process> {
+  async getProcess(processId: string, options?: CallOptions): Promise<Process> {
     const msg = {
       msgtype: 'getprocessmsg',
       processid: processId,
     };
-    return this.sendRPC(this.createRPCMsg(msg));
+    return this.call(msg, options);
   }
 
-  async getProcesses(colonyName: string, count: number, state: ProcessState): Promise<Process[]> {
+  /**
+   * Wait until a process reaches a state. One subscribeProcess subscription
+   * reports the state as soon as it is reached, while polling getProcess
+   * catches failures, later states and subscriptions that cannot be opened.
+   * Transport, server and timeout errors of single polls are ignored.
+   * @param processId - ID of the process to wait for
+   * @returns The process in the requested state, or in a later state when
+   *   it had already passed WAITING or RUNNING
+   * @throws ProcessFailedError if the process fails while waiting for another state
+   * @throws ColoniesTimeoutError if options.timeout expires first
+   */
+  async waitForProcess(processId: string, options: WaitOptions = {}): Promise<Process> {
+    const { state: target = ProcessState.SUCCESS, timeout, pollInterval = 1000, signal, ...callOptions } = options;
+    if (signal?.aborted) throw abortError(signal, 'getprocessmsg');
+
+    // Stops the subscription and polling once the wait is settled
+    const controller = new AbortController();
+    const requestOptions: CallOptions = { ...callOptions, signal: controller.signal };
+    let socket: WebSocket | null = null;
+
+    return new Promise<Process>((resolve, reject) => {
+      let settled = false;
+
+      const settle = (err: Error | null, process?: Process) => {
+        if (settled) return;
+        settled = true;
+        if (timer) clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        controller.abort();
+        socket?.close();
+        if (err) {
+          reject(err);
+        } else {
+          resolve(process!);
+        }
+      };
+
+      // A process moves from WAITING to RUNNING to SUCCESS or FAILED, so a
+      // later state other than FAILED has passed the target
+      const reached = (state: ProcessState) =>
+        state === target || (target !== ProcessState.FAILED && state !== ProcessState.FAILED && state > target);
+
+      const check = (process: Process): boolean => {
+        if (reached(process.state)) {
+          settle(null, process);
+        } else if (process.state === ProcessState.FAILED) {
+          settle(new ProcessFailedError(process));
+        }
+        return settled;
+      };
+
+      const onAbort = () => settle(abortError(signal!, 'getprocessmsg'));
+      signal?.addEventListener('abort', onAbort, { once: true });
+      const timer =
+        timeout !== undefined
+          ? setTimeout(() => {
+            const message = `Process ${processId} did not reach state ${ProcessState[target]} within ${timeout} ms`;
+            settle(new ColoniesTimeoutError(message, { payloadtype: 'subscribeprocessmsg' }));
+          }, timeout)
+          : null;
+
+      // A single poll that fails this way is retried at the next interval
+      const transient = (err: unknown) =>
+        err instanceof TransportError || err instanceof ServerError || err instanceof ColoniesTimeoutError;
+
+      const poll = async () => {
+        while (!settled) {
+          await sleep(pollInterval, controller.signal);
+          try {
+            check(await this.getProcess(processId, requestOptions));
+          } catch (err) {
+            if (!transient(err)) throw err;
+          }
+        }
+      };
+      const startPolling = () => {
+        poll().catch((err) => settle(err));
+      };
+
+      const start = async () => {
+        let process: Process;
+        try {
+          process = await this.getProcess(processId, requestOptions);
+        } catch (err) {
+          if (!transient(err)) throw err;
+          return startPolling();
+        }
+        if (check(process)) return;
+
+        startPolling();
+        const colonyName = process.spec?.conditions?.colonyname;
+        if (!colonyName) return;
+        const seconds = timeout !== undefined ? Math.ceil(timeout / 1000) : WAIT_SUBSCRIPTION_TIMEOUT;
+        try {
+          // Polling carries on when the subscription fails or closes
+          socket = this.subscribeProcess(colonyName, processId, target, seconds, check, () => {}, () => {}, callOptions);
+        } catch {
+          // Subscriptions are unavailable, e.g. without WebSocket support
+        }
+      };
+      start().catch((err) => settle(err));
+    });
+  }
+
+  /**
+   * Submit a function spec and wait until the process reaches a state
+   * @returns The process in the requested state (default: SUCCESS)
+   * @throws ProcessFailedError if the process fails
+   */
+  async submitAndWait(spec: FunctionSpec, options: WaitOptions = {}): Promise<Process> {
+    const { state: _state, timeout: _timeout, pollInterval: _pollInterval, ...callOptions } = options;
+    const process = await this.submitFunctionSpec(spec, callOptions);
+    return this.waitForProcess(process.processid, options);
+  }
+
+  async getProcesses(colonyName: string, count: number, state: ProcessState, options?: CallOptions): Promise<Process[]> {
     const msg = {
       msgtype: 'getprocessesmsg',
       colonyname: colonyName,
       count,
       state,
     };
-    return this.sendRPC(this.createRPCMsg(msg));
+    return this.call(msg, options);
   }
 
-  async removeProcess(processId: string): Promise<void> {
+  async removeProcess(processId: string, options?: CallOptions): Promise<void> {
     const msg = {
       msgtype: 'removeprocessmsg',
       processid: processId,
       all: false,
     };
-    return this.sendRPC(this.createRPCMsg(msg));
+    return this.call(msg, options);
   }
 
-  async removeAllProcesses(colonyName: string, state: number = -1): Promise<void> {
+  async removeAllProcesses(colonyName: string, state: number = -1, options?: CallOptions): Promise<void> {
     const msg = {
       msgtype: 'removeallprocessesmsg',
       colonyname: colonyName,
       state,
     };
-    return this.sendRPC(this.createRPCMsg(msg));
+    return this.call(msg, options);
   }
 
-  async assign(colonyName: string, timeout: number, executorPrvKey: string): Promise<Process> {
-    // Temporarily set the executor private key for this operation
-    const originalKey = this.privateKey;
-    this.setPrivateKey(executorPrvKey);
-
-    try {
-      const msg = {
-        msgtype: 'assignprocessmsg',
-        colonyname: colonyName,
-        timeout,
-      };
-      return this.sendRPC(this.createRPCMsg(msg));
-    } finally {
-      if (originalKey) {
-        this.setPrivateKey(originalKey);
-      }
-    }
+  /**
+   * Assign a process for execution
+   * @param colonyName - Name of the colony
+   * @param timeout - Seconds to wait for a process
+   * @param executorPrvKey - Executor's private key, signs this call only (defaults to the client's key)
+   */
+  async assign(colonyName: string, timeout: number, executorPrvKey?: string, options?: CallOptions): Promise<Process> {
+    const msg = {
+      msgtype: 'assignprocessmsg',
+      colonyname: colonyName,
+      timeout,
+    };
+    // Long poll: the server holds the request for up to `timeout` seconds
+    const callOptions: CallOptions = { ...options, timeout: options?.timeout ?? timeout * 1000 + LONG_POLL_MARGIN };
+    if (executorPrvKey) callOptions.signer = toSigner(executorPrvKey);
+    return this.call(msg, callOptions);
   }
 
-  async closeProcess(processId: string, output: string[]): Promise<void> {
+  async closeProcess(processId: string, output: string[], options?: CallOptions): Promise<void> {
     const msg = {
       msgtype: 'closesuccessfulmsg',
       processid: processId,
       out: output,
     };
-    return this.sendRPC(this.createRPCMsg(msg));
+    return this.call(msg, options);
   }
 
-  async failProcess(processId: string, errors: string[]): Promise<void> {
+  async failProcess(processId: string, errors: string[], options?: CallOptions): Promise<void> {
     const msg = {
       msgtype: 'closefailedmsg',
       processid: processId,
       errors,
     };
-    return this.sendRPC(this.createRPCMsg(msg));
+    return this.call(msg, options);
   }
 
-  async cancelProcess(processId: string): Promise<void> {
+  async cancelProcess(processId: string, options?: CallOptions): Promise<void> {
     const msg = {
       msgtype: 'cancelprocessmsg',
       processid: processId,
     };
-    await this.sendRPC(this.createRPCMsg(msg));
+    await this.call(msg, options);
   }
 
   // ==================== Workflow Methods ====================
 
-  async submitWorkflowSpec(workflowSpec: WorkflowSpec): Promise<ProcessGraph> {
+  async submitWorkflowSpec(workflowSpec: WorkflowSpec, options?: CallOptions): Promise<ProcessGraph> {
     const msg = {
       msgtype: 'submitworkflowspecmsg',
       spec: workflowSpec,
     };
-    return this.sendRPC(this.createRPCMsg(msg));
+    return this.call(msg, options);
   }
 
-  async getProcessGraph(processGraphId: string): Promise<ProcessGraph> {
+  async getProcessGraph(processGraphId: string, options?: CallOptions): Promise<ProcessGraph> {
     const msg = {
       msgtype: 'getprocessgraphmsg',
       processgraphid: processGraphId,
     };
-    return this.sendRPC(this.createRPCMsg(msg));
+    return this.call(msg, options);
   }
 
-  async getProcessGraphs(colonyName: string, count: number, state?: ProcessState): Promise<ProcessGraph[]> {
+  async getProcessGraphs(colonyName: string, count: number, state?: ProcessState, options?: CallOptions): Promise<ProcessGraph[]> {
     const msg: any = {
       msgtype: 'getprocessgraphsmsg',
       colonyname: colonyName,
@@ -516,18 +871,18 @@ export class ColoniesClient {
     if (state !== undefined) {
       msg.state = state;
     }
-    return this.sendRPC(this.createRPCMsg(msg));
+    return this.call(msg, options);
   }
 
-  async removeProcessGraph(processGraphId: string): Promise<void> {
+  async removeProcessGraph(processGraphId: string, options?: CallOptions): Promise<void> {
     const msg = {
       msgtype: 'removeprocessgraphmsg',
       processgraphid: processGraphId,
     };
-    return this.sendRPC(this.createRPCMsg(msg));
+    return this.call(msg, options);
   }
 
-  async getProcessesForWorkflow(processGraphId: string, colonyName: string, count: number = 100): Promise<Process[]> {
+  async getProcessesForWorkflow(processGraphId: string, colonyName: string, count: number = 100, options?: CallOptions): Promise<Process[]> {
     const msg = {
       msgtype: 'getprocessesmsg',
       processgraphid: processGraphId,
@@ -535,19 +890,18 @@ export class ColoniesClient {
       count,
       state: -1,
     };
-    return this.sendRPC(this.createRPCMsg(msg));
+    return this.call(msg, options);
   }
 
-  async removeAllProcessGraphs(colonyName: string, state?: ProcessState): Promise<void> {
-  async cancelProcessGraph(processGraphId: string): Promise<void> {
+  async cancelProcessGraph(processGraphId: string, options?: CallOptions): Promise<void> {
     const msg = {
       msgtype: 'cancelprocessgraphmsg',
       processgraphid: processGraphId,
     };
-    await this.sendRPC(this.createRPCMsg(msg));
+    await this.call(msg, options);
   }
 
-  async removeAllProcessGraphs(colonyName: string, state?: ProcessState): Promise<any> {
+  async removeAllProcessGraphs(colonyName: string, state?: ProcessState, options?: CallOptions): Promise<any> {
     const msg: any = {
       msgtype: 'removeallprocessgraphsmsg',
       colonyname: colonyName,
@@ -555,30 +909,27 @@ export class ColoniesClient {
     if (state !== undefined) {
       msg.state = state;
     }
-    return this.sendRPC(this.createRPCMsg(msg));
+    return this.call(msg, options);
   }
 
   // ==================== Log Methods ====================
 
-  async addLog(processId: string, message: string, executorPrvKey: string): Promise<void> {
-    const originalKey = this.privateKey;
-    this.setPrivateKey(executorPrvKey);
-
-    try {
-      const msg = {
-        msgtype: 'addlogmsg',
-        processid: processId,
-        message,
-      };
-      return this.sendRPC(this.createRPCMsg(msg));
-    } finally {
-      if (originalKey) {
-        this.setPrivateKey(originalKey);
-      }
-    }
+  /**
+   * Add a log entry to a process
+   * @param processId - ID of the process
+   * @param message - Log message
+   * @param executorPrvKey - Executor's private key, signs this call only (defaults to the client's key)
+   */
+  async addLog(processId: string, message: string, executorPrvKey?: string, options?: CallOptions): Promise<void> {
+    const msg = {
+      msgtype: 'addlogmsg',
+      processid: processId,
+      message,
+    };
+    return this.call(msg, executorPrvKey ? { ...options, signer: toSigner(executorPrvKey) } : options);
   }
 
-  async getLogs(colonyName: string, processId: string, executorName: string, count: number = 100, since: number = 0): Promise<Log[]> {
+  async getLogs(colonyName: string, processId: string, executorName: string, count: number = 100, since: number = 0, options?: CallOptions): Promise<Log[]> {
     const msg = {
       msgtype: 'getlogsmsg',
       colonyname: colonyName,
@@ -587,149 +938,310 @@ export class ColoniesClient {
       count,
       since,
     };
-    return this.sendRPC(this.createRPCMsg(msg));
+    return this.call(msg, options);
   }
 
   // ==================== Function Methods ====================
 
-  async addFunction(func: ColonyFunction): Promise<ColonyFunction> {
+  async addFunction(func: ColonyFunction, options?: CallOptions): Promise<ColonyFunction> {
     const msg = {
       msgtype: 'addfunctionmsg',
       fun: func,
     };
-    return this.sendRPC(this.createRPCMsg(msg));
+    return this.call(msg, options);
   }
 
-  async getFunctions(executorName: string, colonyName: string): Promise<ColonyFunction[]> {
+  async getFunctions(executorName: string, colonyName: string, options?: CallOptions): Promise<ColonyFunction[]> {
     const msg = {
       msgtype: 'getfunctionsmsg',
       executorname: executorName,
       colonyname: colonyName,
     };
-    return this.sendRPC(this.createRPCMsg(msg));
+    return this.call(msg, options);
   }
 
   // ==================== Cron Methods ====================
 
-  async getCrons(colonyName: string, count: number = 100): Promise<Cron[]> {
+  async getCrons(colonyName: string, count: number = 100, options?: CallOptions): Promise<Cron[]> {
     const msg = {
       msgtype: 'getcronsmsg',
       colonyname: colonyName,
       count,
     };
-    return this.sendRPC(this.createRPCMsg(msg));
+    return this.call(msg, options);
   }
 
-  async getCron(cronId: string): Promise<Cron> {
+  async getCron(cronId: string, options?: CallOptions): Promise<Cron> {
     const msg = {
       msgtype: 'getcronmsg',
       cronid: cronId,
     };
-    return this.sendRPC(this.createRPCMsg(msg));
+    return this.call(msg, options);
   }
 
-  async addCron(cronSpec: Cron): Promise<Cron> {
+  async addCron(cronSpec: Cron, options?: CallOptions): Promise<Cron> {
     const msg = {
       msgtype: 'addcronmsg',
       cron: cronSpec,
     };
-    return this.sendRPC(this.createRPCMsg(msg));
+    return this.call(msg, options);
   }
 
-  async removeCron(cronId: string): Promise<void> {
+  async removeCron(cronId: string, options?: CallOptions): Promise<void> {
     const msg = {
       msgtype: 'removecronmsg',
       cronid: cronId,
     };
-    return this.sendRPC(this.createRPCMsg(msg));
+    return this.call(msg, options);
   }
 
-  async runCron(cronId: string): Promise<void> {
+  async runCron(cronId: string, options?: CallOptions): Promise<void> {
     const msg = {
       msgtype: 'runcronmsg',
       cronid: cronId,
     };
-    return this.sendRPC(this.createRPCMsg(msg));
+    return this.call(msg, options);
+  }
+
+  // ==================== Iterators ====================
+
+  /**
+   * Walk the processes of a colony, up to options.limit. The listing has
+   * no cursor, so each request also downloads the processes already seen.
+   * @param colonyName - Name of the colony
+   * @param state - Only processes in this state, -1 for all (default: -1)
+   */
+  iterateProcesses(colonyName: string, state: number = -1, options?: IterateOptions): AsyncIterableIterator<Process> {
+    return this.growingPages<Process>(
+      (count) => this.call({ msgtype: 'getprocessesmsg', colonyname: colonyName, count, state }, options),
+      (process) => process.processid,
+      options
+    );
+  }
+
+  /**
+   * Walk the process graphs of a colony, up to options.limit. Like
+   * iterateProcesses, each request also downloads the graphs already seen.
+   * @param colonyName - Name of the colony
+   * @param state - Only graphs in this state (default: all)
+   */
+  iterateProcessGraphs(colonyName: string, state?: ProcessState, options?: IterateOptions): AsyncIterableIterator<ProcessGraph> {
+    const filter = state !== undefined ? { state } : {};
+    return this.growingPages<ProcessGraph>(
+      (count) => this.call({ msgtype: 'getprocessgraphsmsg', colonyname: colonyName, count, ...filter }, options),
+      (graph) => graph.processgraphid,
+      options
+    );
+  }
+
+  /**
+   * Walk the logs of a process, or of an executor when processId is empty
+   * @param since - Only logs after this timestamp (default: 0)
+   * @throws If a full page holds no new log, e.g. when the server ignores `since`
+   */
+  iterateLogs(
+    colonyName: string,
+    processId: string,
+    executorName: string,
+    since: number = 0,
+    options?: IterateOptions
+  ): AsyncIterableIterator<Log> {
+    return this.paginate<Log>(
+      'getlogsmsg',
+      (after, count) =>
+        this.call(
+          {
+            msgtype: 'getlogsmsg',
+            colonyname: colonyName,
+            processid: processId,
+            executorname: executorName,
+            count,
+            since: after,
+          },
+          options
+        ),
+      (log) => log.timestamp ?? 0,
+      since,
+      options?.pageSize
+    );
+  }
+
+  /**
+   * Walk the crons of a colony, up to options.limit. Like iterateProcesses,
+   * each request also downloads the crons already seen.
+   */
+  iterateCrons(colonyName: string, options?: IterateOptions): AsyncIterableIterator<Cron> {
+    return this.growingPages<Cron>(
+      (count) => this.call({ msgtype: 'getcronsmsg', colonyname: colonyName, count }, options),
+      (cron) => cron.cronid ?? cron.name,
+      options
+    );
+  }
+
+  /**
+   * Walk a list RPC that only takes a count. Without a cursor to continue
+   * from, each request asks for twice as many items as the previous one and
+   * yields the items not seen before, so walking n items downloads about 2n.
+   * Stops at a page shorter than requested or after `limit` items.
+   */
+  private async *growingPages<T>(
+    fetchPage: (count: number) => Promise<T[] | null>,
+    key: (item: T) => string,
+    options: IterateOptions = {}
+  ): AsyncIterableIterator<T> {
+    const { pageSize = 100, limit = 10000 } = options;
+    if (!Number.isInteger(pageSize) || pageSize < 1) {
+      throw new Error(`Invalid page size: ${pageSize}`);
+    }
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error(`Invalid limit: ${limit}`);
+    }
+
+    const seen = new Set<string>();
+    for (let count = Math.min(pageSize, limit); ; count = Math.min(count * 2, limit)) {
+      const page = (await fetchPage(count)) ?? [];
+      for (const item of page) {
+        const id = key(item);
+        if (seen.has(id)) continue;
+        seen.add(id);
+        yield item;
+        if (seen.size === limit) return;
+      }
+      if (page.length < count || count === limit) return;
+    }
+  }
+
+  /**
+   * Request pages of items after an integer cursor, such as a timestamp,
+   * until one comes back short. Later pages start just below the cursor of
+   * the last item, so items sharing that cursor are fetched again: they are
+   * requested on top of pageSize and skipped.
+   * @throws If a full page holds no new items, e.g. when the server ignores the cursor
+   */
+  private async *paginate<T>(
+    msgtype: string,
+    fetchPage: (after: number, count: number) => Promise<T[] | null>,
+    cursor: (item: T) => number,
+    since: number,
+    pageSize: number = 100
+  ): AsyncIterableIterator<T> {
+    if (!Number.isInteger(pageSize) || pageSize < 1) {
+      throw new Error(`Invalid page size: ${pageSize}`);
+    }
+
+    let after = since;
+    // Cursor of the last yielded item, and how many yielded items share it
+    let last: number | undefined;
+    let atLast = 0;
+    for (;;) {
+      const count = pageSize + atLast;
+      const page = (await fetchPage(after, count)) ?? [];
+      let skip = atLast;
+      let fresh = 0;
+      for (const item of page) {
+        const position = cursor(item);
+        if (last !== undefined && position < last) continue;
+        if (position === last && skip > 0) {
+          skip--;
+          continue;
+        }
+        if (position === last) {
+          atLast++;
+        } else {
+          last = position;
+          atLast = 1;
+        }
+        fresh++;
+        yield item;
+      }
+
+      if (page.length < count) return;
+      if (fresh === 0) {
+        throw new Error(`Paging stalled: ${msgtype} returned no new items after ${after}`);
+      }
+      after = last! - 1;
+    }
   }
 
   // ==================== Generator Methods ====================
 
-  async getGenerators(colonyName: string, count: number = 100): Promise<Generator[]> {
+  async getGenerators(colonyName: string, count: number = 100, options?: CallOptions): Promise<Generator[]> {
     const msg = {
       msgtype: 'getgeneratorsmsg',
       colonyname: colonyName,
       count,
     };
-    return this.sendRPC(this.createRPCMsg(msg));
+    return this.call(msg, options);
   }
 
-  async getGenerator(generatorId: string): Promise<Generator> {
+  async getGenerator(generatorId: string, options?: CallOptions): Promise<Generator> {
     const msg = {
       msgtype: 'getgeneratormsg',
       generatorid: generatorId,
     };
-    return this.sendRPC(this.createRPCMsg(msg));
+    return this.call(msg, options);
   }
 
-  async addGenerator(generatorSpec: Generator): Promise<Generator> {
+  async addGenerator(generatorSpec: Generator, options?: CallOptions): Promise<Generator> {
     const msg = {
       msgtype: 'addgeneratormsg',
       generator: generatorSpec,
     };
-    return this.sendRPC(this.createRPCMsg(msg));
+    return this.call(msg, options);
   }
 
   // ==================== User Methods ====================
 
-  async getUsers(colonyName: string): Promise<User[]> {
+  async getUsers(colonyName: string, options?: CallOptions): Promise<User[]> {
     const msg = {
       msgtype: 'getusersmsg',
       colonyname: colonyName,
     };
-    return this.sendRPC(this.createRPCMsg(msg));
+    return this.call(msg, options);
   }
 
-  async addUser(user: User): Promise<User> {
+  async addUser(user: User, options?: CallOptions): Promise<User> {
     const msg = {
       msgtype: 'addusermsg',
       user,
     };
-    return this.sendRPC(this.createRPCMsg(msg));
+    return this.call(msg, options);
   }
 
-  async removeUser(colonyName: string, name: string): Promise<void> {
+  async removeUser(colonyName: string, name: string, options?: CallOptions): Promise<void> {
     const msg = {
       msgtype: 'removeusermsg',
       colonyname: colonyName,
       name,
     };
-    return this.sendRPC(this.createRPCMsg(msg));
+    return this.call(msg, options);
   }
 
   // ==================== File Methods ====================
 
-  async getFileLabels(colonyName: string, name: string = '', exact: boolean = false): Promise<string[]> {
+  async getFileLabels(colonyName: string, name: string = '', exact: boolean = false, options?: CallOptions): Promise<string[]> {
     const msg = {
       msgtype: 'getfilelabelsmsg',
       colonyname: colonyName,
       name,
       exact,
     };
-    return this.sendRPC(this.createRPCMsg(msg));
+    return this.call(msg, options);
   }
 
-  async getFiles(colonyName: string, label: string): Promise<ColonyFile[]> {
+  async getFiles(colonyName: string, label: string, options?: CallOptions): Promise<ColonyFile[]> {
     const msg = {
       msgtype: 'getfilesmsg',
       colonyname: colonyName,
       label,
     };
-    return this.sendRPC(this.createRPCMsg(msg));
+    return this.call(msg, options);
   }
 
   async getFile(
     colonyName: string,
-    options: { fileId: string } | { name: string; label: string; latest?: boolean }
+    options: { fileId: string } | { name: string; label: string; latest?: boolean },
+    callOptions?: CallOptions
   ): Promise<ColonyFile> {
     const msg: any = {
       msgtype: 'getfilemsg',
@@ -746,19 +1258,19 @@ export class ColoniesClient {
       }
     }
 
-    return this.sendRPC(this.createRPCMsg(msg));
+    return this.call(msg, callOptions);
   }
 
   /**
    * Register a file in ColonyFS
    * @param file - File metadata including colony, label, name, size, checksum, and S3 reference
    */
-  async addFile(file: ColonyFile): Promise<ColonyFile> {
+  async addFile(file: ColonyFile, options?: CallOptions): Promise<ColonyFile> {
     const msg = {
       msgtype: 'addfilemsg',
       file,
     };
-    return this.sendRPC(this.createRPCMsg(msg));
+    return this.call(msg, options);
   }
 
   /**
@@ -766,31 +1278,31 @@ export class ColoniesClient {
    * @param colonyName - Name of the colony
    * @param fileId - ID of the file to remove
    */
-  async removeFile(colonyName: string, fileId: string): Promise<void> {
+  async removeFile(colonyName: string, fileId: string, options?: CallOptions): Promise<void> {
     const msg = {
       msgtype: 'removefilemsg',
       colonyname: colonyName,
       fileid: fileId,
     };
-    return this.sendRPC(this.createRPCMsg(msg));
+    return this.call(msg, options);
   }
 
   // ==================== Attribute Methods ====================
 
-  async addAttribute(attribute: Attribute): Promise<Attribute> {
+  async addAttribute(attribute: Attribute, options?: CallOptions): Promise<Attribute> {
     const msg = {
       msgtype: 'addattributemsg',
       attribute,
     };
-    return this.sendRPC(this.createRPCMsg(msg));
+    return this.call(msg, options);
   }
 
-  async getAttribute(attributeId: string): Promise<Attribute> {
+  async getAttribute(attributeId: string, options?: CallOptions): Promise<Attribute> {
     const msg = {
       msgtype: 'getattributemsg',
       attributeid: attributeId,
     };
-    return this.sendRPC(this.createRPCMsg(msg));
+    return this.call(msg, options);
   }
 
   // ==================== Channel Methods ====================
@@ -801,21 +1313,26 @@ export class ColoniesClient {
    * @param channelName - Name of the channel
    * @param sequence - Client-assigned sequence number
    * @param inReplyTo - Sequence number this message is replying to (0 if not a reply)
-   * @param payload - Message content (string or Uint8Array)
+   * @param payload - Message content, encoded with the codec option
    */
-  async channelAppend(
+  async channelAppend<C extends ChannelCodecOption = 'utf8'>(
     processId: string,
     channelName: string,
     sequence: number,
     inReplyTo: number,
-    payload: string | Uint8Array
+    payload: string | Uint8Array | CodecValue<C>,
+    options?: ChannelOptions<C>
   ): Promise<void> {
-    let payloadBytes: number[];
-    if (typeof payload === 'string') {
-      const encoder = new TextEncoder();
-      payloadBytes = Array.from(encoder.encode(payload));
+    const { codec, ...callOptions } = options ?? {};
+    let bytes: Uint8Array;
+    if (codec !== undefined) {
+      bytes = resolveCodec(codec).encode(payload as CodecValue<C>);
+    } else if (typeof payload === 'string') {
+      bytes = new TextEncoder().encode(payload);
+    } else if (payload instanceof Uint8Array) {
+      bytes = payload;
     } else {
-      payloadBytes = Array.from(payload);
+      throw new Error('Channel payload must be a string or Uint8Array without a codec');
     }
 
     const msg = {
@@ -824,9 +1341,10 @@ export class ColoniesClient {
       name: channelName,
       sequence: sequence,
       inreplyto: inReplyTo,
-      payload: payloadBytes,
+      // Base64, as the server encodes byte payloads, rather than a much larger JSON number array
+      payload: encodeBase64(bytes),
     };
-    return this.sendRPC(this.createRPCMsg(msg));
+    return this.call(msg, callOptions);
   }
 
   /**
@@ -835,13 +1353,17 @@ export class ColoniesClient {
    * @param channelName - Name of the channel
    * @param afterSeq - Read messages after this sequence number (use 0 for all)
    * @param limit - Maximum number of messages to return (0 for no limit)
+   * @param options - Call options; codec decodes the payloads (default: 'utf8')
    */
-  async channelRead(
+  async channelRead<C extends ChannelCodecOption = 'utf8'>(
     processId: string,
     channelName: string,
     afterSeq: number,
-    limit: number
-  ): Promise<ChannelEntry[]> {
+    limit: number,
+    options?: ChannelOptions<C>
+  ): Promise<ChannelEntry<CodecValue<C>>[]> {
+    const { codec: codecOption, ...callOptions } = options ?? {};
+    const codec = resolveCodec(codecOption ?? 'utf8');
     const msg = {
       msgtype: 'channelreadmsg',
       processid: processId,
@@ -850,30 +1372,11 @@ export class ColoniesClient {
       limit: limit,
     };
 
-    const response = await this.sendRPC(this.createRPCMsg(msg));
+    const response = await this.call(msg, callOptions);
 
-    // Response is an array of channel entries, decode payload bytes if needed
+    // Response is an array of channel entries with base64 or byte array payloads
     if (Array.isArray(response)) {
-      return response.map((entry) => ({
-        ...entry,
-        payload:
-          typeof entry.payload === 'string'
-            ? (() => {
-              try {
-                const binaryStr = atob(entry.payload);
-                const bytes = new Uint8Array(binaryStr.length);
-                for (let i = 0; i < binaryStr.length; i++) {
-                  bytes[i] = binaryStr.charCodeAt(i);
-                }
-                return new TextDecoder('utf-8').decode(bytes);
-              } catch {
-                return entry.payload;
-              }
-            })()
-            : Array.isArray(entry.payload)
-              ? new TextDecoder('utf-8').decode(new Uint8Array(entry.payload))
-              : entry.payload,
-      }));
+      return response.map((entry) => ({ ...entry, payload: codec.decode(payloadBytes(entry.payload)) }));
     }
 
     return response || [];
@@ -888,27 +1391,32 @@ export class ColoniesClient {
    * @param onMessage - Callback for new messages
    * @param onError - Callback for errors
    * @param onClose - Callback when connection closes
+   * @param options - Call options; codec decodes the payloads (default: 'utf8')
    * @returns WebSocket instance for cleanup
    */
-  subscribeChannel(
+  subscribeChannel<C extends ChannelCodecOption = 'utf8'>(
     processId: string,
     channelName: string,
     afterSeq: number,
     timeout: number,
-    onMessage: (entries: ChannelEntry[]) => void,
+    onMessage: (entries: ChannelEntry<CodecValue<C>>[]) => void,
     onError: (error: Error) => void,
-    onClose: () => void
+    onClose: () => void,
+    options?: ChannelOptions<C>
   ): WebSocket {
-    if (!this.privateKey) {
-      throw new Error('Private key not set. Call setPrivateKey() first.');
-    }
+    this.resolveSigner(options);
+    const codec = resolveCodec(options?.codec ?? 'utf8');
+    const signal = options?.signal;
+    if (signal?.aborted) throw abortError(signal, 'subscribechannelmsg');
 
     const wsProtocol = this.tls ? 'wss' : 'ws';
     const wsUrl = `${wsProtocol}://${this.host}:${this.port}/pubsub`;
 
-    const ws = new WebSocket(wsUrl);
+    const ws = this.connect(wsUrl);
+    const onAbort = () => ws.close();
+    signal?.addEventListener('abort', onAbort, { once: true });
 
-    ws.onopen = () => {
+    ws.onopen = async () => {
       const msg = {
         msgtype: 'subscribechannelmsg',
         processid: processId,
@@ -917,8 +1425,14 @@ export class ColoniesClient {
         timeout: timeout,
       };
 
-      const rpcMsg = this.createRPCMsg(msg);
-      ws.send(JSON.stringify(rpcMsg));
+      try {
+        const rpcMsg = await this.createRPCMsg(msg, options);
+        if (signal?.aborted) return;
+        ws.send(JSON.stringify(rpcMsg));
+      } catch (err) {
+        onError(err instanceof Error ? err : new Error(String(err)));
+        ws.close();
+      }
     };
 
     ws.onmessage = (event) => {
@@ -927,41 +1441,26 @@ export class ColoniesClient {
 
         if (rpcReply.error) {
           const errorPayload = JSON.parse(decodeBase64Utf8(rpcReply.payload));
-          onError(new Error(errorPayload.message || 'WebSocket error'));
+          onError(
+            createServerError(errorPayload.message || 'WebSocket error', {
+              status: errorPayload.status,
+              payloadtype: 'subscribechannelmsg',
+            })
+          );
           return;
         }
 
         const data = JSON.parse(decodeBase64Utf8(rpcReply.payload));
+        if (this.shouldValidate(options)) assertValidResponse('subscribechannelmsg', data);
 
         if (Array.isArray(data)) {
-          const entries = data.map((entry) => ({
-            ...entry,
-            payload:
-              typeof entry.payload === 'string'
-                ? (() => {
-                  try {
-                    const binaryStr = atob(entry.payload);
-                    const bytes = new Uint8Array(binaryStr.length);
-                    for (let i = 0; i < binaryStr.length; i++) {
-                      bytes[i] = binaryStr.charCodeAt(i);
-                    }
-                    return new TextDecoder('utf-8').decode(bytes);
-                  } catch {
-                    return entry.payload;
-                  }
-                })()
-                : Array.isArray(entry.payload)
-                  ? new TextDecoder('utf-8').decode(new Uint8Array(entry.payload))
-                  : entry.payload,
-          }));
-
-          const errorEntry = entries.find((e) => e.error);
+          const errorEntry = data.find((e) => e.error);
           if (errorEntry) {
-            onError(new Error(errorEntry.error));
+            onError(createServerError(errorEntry.error, { payloadtype: 'subscribechannelmsg' }));
             return;
           }
 
-          onMessage(entries);
+          onMessage(data.map((entry) => ({ ...entry, payload: codec.decode(payloadBytes(entry.payload)) })));
         }
       } catch (err) {
         onError(err instanceof Error ? err : new Error(String(err)));
@@ -969,28 +1468,98 @@ export class ColoniesClient {
     };
 
     ws.onerror = () => {
-      onError(new Error('WebSocket connection error'));
+      // Closing the socket on abort is not an error
+      if (signal?.aborted) return;
+      onError(new TransportError('WebSocket connection error', { payloadtype: 'subscribechannelmsg' }));
     };
 
     ws.onclose = () => {
+      signal?.removeEventListener('abort', onAbort);
       onClose();
     };
 
     return ws;
   }
 
+  /**
+   * Get a handle to a process channel that assigns sequence numbers and
+   * matches replies to requests
+   * @param processId - ID of the process
+   * @param channelName - Name of the channel
+   * @param config - Codec, call options and reply timeouts for every message
+   */
+  channel<C extends ChannelCodecOption = 'utf8'>(
+    processId: string,
+    channelName: string,
+    config: ChannelConfig<C> = {}
+  ): Channel<CodecValue<C>> {
+    return new Channel(this, processId, channelName, config);
+  }
+
+  /**
+   * Subscribe to a channel and keep the subscription alive across dropped
+   * connections. Reconnects resume after the last delivered sequence.
+   * @param processId - ID of the process
+   * @param channelName - Name of the channel
+   * @param options - Codec, start sequence and reconnect backoff
+   */
+  watchChannel<C extends ChannelCodecOption = 'utf8'>(
+    processId: string,
+    channelName: string,
+    options: WatchChannelOptions<C> = {}
+  ): ChannelSubscription<CodecValue<C>> {
+    return new ChannelSubscription(this, processId, channelName, options);
+  }
+
+  /**
+   * Iterate over channel entries as they arrive, reconnecting like
+   * watchChannel(). The subscription pauses while highWaterMark entries wait
+   * to be consumed.
+   * @param processId - ID of the process
+   * @param channelName - Name of the channel
+   * @param options - Codec, start sequence, buffer size and signal
+   * @throws AbortError when the signal aborts, or the error that ended the subscription
+   *
+   * @example
+   * for await (const entry of client.channelEntries(processId, 'output')) {
+   *   console.log(entry.payload);
+   * }
+   */
+  channelEntries<C extends ChannelCodecOption = 'utf8'>(
+    processId: string,
+    channelName: string,
+    options: ChannelEntriesOptions<C> = {}
+  ): AsyncGenerator<ChannelEntry<CodecValue<C>>, void, undefined> {
+    return iterateChannel(this, processId, channelName, options);
+  }
+
+  /**
+   * ReadableStream of channel payloads, e.g. to pipe channel output into a
+   * response. Cancelling the stream closes the subscription.
+   * @param processId - ID of the process
+   * @param channelName - Name of the channel
+   * @param options - Codec, start sequence, buffer size and signal
+   */
+  channelStream<C extends ChannelCodecOption = 'utf8'>(
+    processId: string,
+    channelName: string,
+    options: ChannelEntriesOptions<C> = {}
+  ): ReadableStream<CodecValue<C>> {
+    return channelReadableStream(this, processId, channelName, options);
+  }
+
   // ==================== Blueprint Definition Methods ====================
 
   /**
    * Add a blueprint definition
    * @param definition - Blueprint definition object
    */
-  async addBlueprintDefinition(definition: BlueprintDefinition): Promise<BlueprintDefinition> {
+  async addBlueprintDefinition(definition: BlueprintDefinition, options?: CallOptions): Promise<BlueprintDefinition> {
     const msg = {
       msgtype: 'addblueprintdefinitionmsg',
       blueprintdefinition: definition,
     };
-    return this.sendRPC(this.createRPCMsg(msg));
+    return this.call(msg, options);
   }
 
   /**
@@ -998,25 +1567,25 @@ export class ColoniesClient {
    * @param colonyName - Name of the colony
    * @param name - Name of the blueprint definition
    */
-  async getBlueprintDefinition(colonyName: string, name: string): Promise<BlueprintDefinition> {
+  async getBlueprintDefinition(colonyName: string, name: string, options?: CallOptions): Promise<BlueprintDefinition> {
     const msg = {
       msgtype: 'getblueprintdefinitionmsg',
       colonyname: colonyName,
       name,
     };
-    return this.sendRPC(this.createRPCMsg(msg));
+    return this.call(msg, options);
   }
 
   /**
    * Get all blueprint definitions in a colony
    * @param colonyName - Name of the colony
    */
-  async getBlueprintDefinitions(colonyName: string): Promise<BlueprintDefinition[]> {
+  async getBlueprintDefinitions(colonyName: string, options?: CallOptions): Promise<BlueprintDefinition[]> {
     const msg = {
       msgtype: 'getblueprintdefinitionsmsg',
       colonyname: colonyName,
     };
-    return this.sendRPC(this.createRPCMsg(msg));
+    return this.call(msg, options);
   }
 
   /**
@@ -1024,13 +1593,13 @@ export class ColoniesClient {
    * @param colonyName - Name of the colony (namespace)
    * @param name - Name of the blueprint definition to remove
    */
-  async removeBlueprintDefinition(colonyName: string, name: string): Promise<void> {
+  async removeBlueprintDefinition(colonyName: string, name: string, options?: CallOptions): Promise<void> {
     const msg = {
       msgtype: 'removeblueprintdefinitionmsg',
       namespace: colonyName,
       name,
     };
-    await this.sendRPC(this.createRPCMsg(msg));
+    await this.call(msg, options);
   }
 
   // ==================== Blueprint Methods ====================
@@ -1039,12 +1608,12 @@ export class ColoniesClient {
    * Add a blueprint instance
    * @param blueprint - Blueprint object
    */
-  async addBlueprint(blueprint: Blueprint): Promise<Blueprint> {
+  async addBlueprint(blueprint: Blueprint, options?: CallOptions): Promise<Blueprint> {
     const msg = {
       msgtype: 'addblueprintmsg',
       blueprint,
     };
-    return this.sendRPC(this.createRPCMsg(msg));
+    return this.call(msg, options);
   }
 
   /**
@@ -1052,13 +1621,13 @@ export class ColoniesClient {
    * @param colonyName - Name of the colony (namespace)
    * @param name - Name of the blueprint
    */
-  async getBlueprint(colonyName: string, name: string): Promise<Blueprint> {
+  async getBlueprint(colonyName: string, name: string, options?: CallOptions): Promise<Blueprint> {
     const msg = {
       msgtype: 'getblueprintmsg',
       namespace: colonyName,
       name,
     };
-    return this.sendRPC(this.createRPCMsg(msg));
+    return this.call(msg, options);
   }
 
   /**
@@ -1067,14 +1636,14 @@ export class ColoniesClient {
    * @param kind - Optional kind filter
    * @param location - Optional location filter
    */
-  async getBlueprints(colonyName: string, kind?: string, location?: string): Promise<Blueprint[]> {
+  async getBlueprints(colonyName: string, kind?: string, location?: string, options?: CallOptions): Promise<Blueprint[]> {
     const msg: any = {
       msgtype: 'getblueprintsmsg',
       namespace: colonyName,
     };
     if (kind) msg.kind = kind;
     if (location) msg.locationname = location;
-    return this.sendRPC(this.createRPCMsg(msg));
+    return this.call(msg, options);
   }
 
   /**
@@ -1082,13 +1651,13 @@ export class ColoniesClient {
    * @param blueprint - Updated blueprint object
    * @param forceGeneration - Force generation bump even if spec unchanged
    */
-  async updateBlueprint(blueprint: Blueprint, forceGeneration: boolean = false): Promise<Blueprint> {
+  async updateBlueprint(blueprint: Blueprint, forceGeneration: boolean = false, options?: CallOptions): Promise<Blueprint> {
     const msg = {
       msgtype: 'updateblueprintmsg',
       blueprint,
       forcegeneration: forceGeneration,
     };
-    return this.sendRPC(this.createRPCMsg(msg));
+    return this.call(msg, options);
   }
 
   /**
@@ -1096,13 +1665,13 @@ export class ColoniesClient {
    * @param colonyName - Name of the colony (namespace)
    * @param name - Name of the blueprint to remove
    */
-  async removeBlueprint(colonyName: string, name: string): Promise<void> {
+  async removeBlueprint(colonyName: string, name: string, options?: CallOptions): Promise<void> {
     const msg = {
       msgtype: 'removeblueprintmsg',
       namespace: colonyName,
       name,
     };
-    await this.sendRPC(this.createRPCMsg(msg));
+    await this.call(msg, options);
   }
 
   /**
@@ -1111,14 +1680,14 @@ export class ColoniesClient {
    * @param name - Name of the blueprint
    * @param status - Status object representing current state
    */
-  async updateBlueprintStatus(colonyName: string, name: string, status: Record<string, unknown>): Promise<void> {
+  async updateBlueprintStatus(colonyName: string, name: string, status: Record<string, unknown>, options?: CallOptions): Promise<void> {
     const msg = {
       msgtype: 'updateblueprintstatusmsg',
       colonyname: colonyName,
       blueprintname: name,
       status,
     };
-    await this.sendRPC(this.createRPCMsg(msg));
+    await this.call(msg, options);
   }
 
   /**
@@ -1127,14 +1696,14 @@ export class ColoniesClient {
    * @param name - Name of the blueprint
    * @param force - Force reconciliation even if no changes detected
    */
-  async reconcileBlueprint(colonyName: string, name: string, force: boolean = false): Promise<Blueprint> {
+  async reconcileBlueprint(colonyName: string, name: string, force: boolean = false, options?: CallOptions): Promise<Blueprint> {
     const msg = {
       msgtype: 'reconcileblueprintmsg',
       namespace: colonyName,
       name,
       force,
     };
-    return this.sendRPC(this.createRPCMsg(msg));
+    return this.call(msg, options);
   }
 
   /**
@@ -1142,7 +1711,7 @@ export class ColoniesClient {
    * @param blueprintId - ID of the blueprint
    * @param limit - Optional limit on number of history entries to retrieve
    */
-  async getBlueprintHistory(blueprintId: string, limit?: number): Promise<Blueprint[]> {
+  async getBlueprintHistory(blueprintId: string, limit?: number, options?: CallOptions): Promise<Blueprint[]> {
     const msg: any = {
       msgtype: 'getblueprinthistorymsg',
       blueprintid: blueprintId,
@@ -1150,7 +1719,7 @@ export class ColoniesClient {
     if (limit !== undefined) {
       msg.limit = limit;
     }
-    return this.sendRPC(this.createRPCMsg(msg));
+    return this.call(msg, options);
   }
 
   /**
@@ -1172,18 +1741,21 @@ export class ColoniesClient {
     timeout: number,
     onProcess: (process: Process) => void,
     onError: (error: Error) => void,
-    onClose: () => void
+    onClose: () => void,
+    options?: CallOptions
   ): WebSocket {
-    if (!this.privateKey) {
-      throw new Error('Private key not set. Call setPrivateKey() first.');
-    }
+    this.resolveSigner(options);
+    const signal = options?.signal;
+    if (signal?.aborted) throw abortError(signal, 'subscribeprocessmsg');
 
     const wsProtocol = this.tls ? 'wss' : 'ws';
     const wsUrl = `${wsProtocol}://${this.host}:${this.port}/pubsub`;
 
-    const ws = new WebSocket(wsUrl);
+    const ws = this.connect(wsUrl);
+    const onAbort = () => ws.close();
+    signal?.addEventListener('abort', onAbort, { once: true });
 
-    ws.onopen = () => {
+    ws.onopen = async () => {
       const msg = {
         msgtype: 'subscribeprocessmsg',
         colonyname: colonyName,
@@ -1193,8 +1765,14 @@ export class ColoniesClient {
         timeout: timeout,
       };
 
-      const rpcMsg = this.createRPCMsg(msg);
-      ws.send(JSON.stringify(rpcMsg));
+      try {
+        const rpcMsg = await this.createRPCMsg(msg, options);
+        if (signal?.aborted) return;
+        ws.send(JSON.stringify(rpcMsg));
+      } catch (err) {
+        onError(err instanceof Error ? err : new Error(String(err)));
+        ws.close();
+      }
     };
 
     ws.onmessage = (event) => {
@@ -1203,11 +1781,17 @@ export class ColoniesClient {
 
         if (rpcReply.error) {
           const errorPayload = JSON.parse(decodeBase64Utf8(rpcReply.payload));
-          onError(new Error(errorPayload.message || 'WebSocket error'));
+          onError(
+            createServerError(errorPayload.message || 'WebSocket error', {
+              status: errorPayload.status,
+              payloadtype: 'subscribeprocessmsg',
+            })
+          );
           return;
         }
 
         const process = JSON.parse(decodeBase64Utf8(rpcReply.payload));
+        if (this.shouldValidate(options)) assertValidResponse('subscribeprocessmsg', process);
         onProcess(process);
       } catch (err) {
         onError(err instanceof Error ? err : new Error(String(err)));
@@ -1215,10 +1799,13 @@ export class ColoniesClient {
     };
 
     ws.onerror = () => {
-      onError(new Error('WebSocket connection error'));
+      // Closing the socket on abort is not an error
+      if (signal?.aborted) return;
+      onError(new TransportError('WebSocket connection error', { payloadtype: 'subscribeprocessmsg' }));
     };
 
     ws.onclose = () => {
+      signal?.removeEventListener('abort', onAbort);
       onClose();
     };
 
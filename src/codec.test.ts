@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest';
+import { bytesCodec, jsonCodec, payloadBytes, resolveCodec, utf8Codec } from './codec';
+
+describe('codec', () => {
+  it('should resolve codecs by name', () => {
+    expect(resolveCodec('utf8')).toBe(utf8Codec);
+    expect(resolveCodec('json')).toBe(jsonCodec);
+    expect(resolveCodec('bytes')).toBe(bytesCodec);
+    expect(() => resolveCodec('toString' as any)).toThrow('Unknown channel codec: toString');
+  });
+
+  it('should return custom codecs unchanged', () => {
+    const custom = { encode: () => new Uint8Array(0), decode: () => 0 };
+    expect(resolveCodec(custom)).toBe(custom);
+  });
+
+  it('should round-trip values', () => {
+    expect(utf8Codec.decode(utf8Codec.encode('héllo 🌍'))).toBe('héllo 🌍');
+    expect(jsonCodec.decode(jsonCodec.encode({ a: [1, null] }))).toEqual({ a: [1, null] });
+    const bytes = new Uint8Array([0, 255]);
+    expect(bytesCodec.decode(bytesCodec.encode(bytes))).toBe(bytes);
+  });
+
+  it('should read payloads in every server encoding', () => {
+    expect(payloadBytes('AP8=')).toEqual(new Uint8Array([0, 255]));
+    expect(payloadBytes([0, 255])).toEqual(new Uint8Array([0, 255]));
+    expect(payloadBytes(null)).toEqual(new Uint8Array(0));
+    expect(payloadBytes('not base64!')).toEqual(new TextEncoder().encode('not base64!'));
+  });
+});
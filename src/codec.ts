@@ -0,0 +1,83 @@
+/**
+ * Codecs for channel payloads
+ * The server stores channel payloads as raw bytes; a codec turns values into
+ * bytes on append and bytes back into values on read.
+ */
+
+export interface ChannelCodec<T = unknown> {
+  encode(value: T): Uint8Array;
+  decode(bytes: Uint8Array): T;
+}
+
+/** Text encoded as UTF-8, the default */
+export const utf8Codec: ChannelCodec<string> = {
+  encode: (value) => new TextEncoder().encode(value),
+  decode: (bytes) => new TextDecoder('utf-8').decode(bytes),
+};
+
+/** Any JSON value, encoded as UTF-8 text */
+export const jsonCodec: ChannelCodec<any> = {
+  encode: (value) => new TextEncoder().encode(JSON.stringify(value)),
+  decode: (bytes) => JSON.parse(new TextDecoder('utf-8').decode(bytes)),
+};
+
+/** Raw bytes, passed through unchanged */
+export const bytesCodec: ChannelCodec<Uint8Array> = {
+  encode: (value) => value,
+  decode: (bytes) => bytes,
+};
+
+interface CodecValues {
+  utf8: string;
+  json: any;
+  bytes: Uint8Array;
+}
+
+const CODECS: { [N in keyof CodecValues]: ChannelCodec<CodecValues[N]> } = {
+  utf8: utf8Codec,
+  json: jsonCodec,
+  bytes: bytesCodec,
+};
+
+export type ChannelCodecName = keyof CodecValues;
+
+/** Codec name or custom codec */
+export type ChannelCodecOption = ChannelCodecName | ChannelCodec<any>;
+
+/** Type of the values a codec option encodes and decodes */
+export type CodecValue<C extends ChannelCodecOption> =
+  C extends ChannelCodec<infer T> ? T : C extends ChannelCodecName ? CodecValues[C] : never;
+
+/**
+ * Look up a codec by name, or return a custom codec unchanged
+ * @throws If the name is not a known codec
+ */
+export function resolveCodec<C extends ChannelCodecOption>(codec: C): ChannelCodec<CodecValue<C>> {
+  if (typeof codec !== 'string') return codec as ChannelCodec<CodecValue<C>>;
+  if (!Object.prototype.hasOwnProperty.call(CODECS, codec)) {
+    throw new Error(`Unknown channel codec: ${codec}`);
+  }
+  return CODECS[codec as ChannelCodecName] as ChannelCodec<CodecValue<C>>;
+}
+
+/**
+ * Bytes of a payload as sent by the server: base64 text or an array of
+ * byte values. Text that is not base64 is taken as UTF-8, and a missing
+ * payload as no bytes.
+ */
+export function payloadBytes(payload: string | number[] | Uint8Array | null | undefined): Uint8Array {
+  if (payload === null || payload === undefined) return new Uint8Array(0);
+  if (payload instanceof Uint8Array) return payload;
+  if (Array.isArray(payload)) return new Uint8Array(payload);
+  let binaryStr: string;
+  try {
+    binaryStr = atob(payload);
+  } catch {
+    return new TextEncoder().encode(payload);
+  }
+  const bytes = new Uint8Array(binaryStr.length);
+  for (let i = 0; i < binaryStr.length; i++) {
+    bytes[i] = binaryStr.charCodeAt(i);
+  }
+  return bytes;
+}
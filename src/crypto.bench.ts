@@ -0,0 +1,41 @@
+import { bench, describe } from 'vitest';
+import { deriveId, sign, recoverId, _internal } from './crypto';
+
+const PRVKEY = 'ddf7f7791208083b6a9ed975a72684f6406a269cfa36f1b1c32045c0a71fff05';
+const PAYLOAD = 'eyJtc2d0eXBlIjoiZ2V0cHJvY2Vzc21zZyIsInByb2Nlc3NpZCI6IjEyMyJ9';
+const SIGNATURE = sign(PAYLOAD, PRVKEY);
+
+const G: [bigint, bigint] = [
+  55066263022277343669578718895168534326250603453777594175500187360389116729240n,
+  32670510020758816978083085130507043184471273380659243275938904335757337482424n,
+];
+const SCALAR = 0x6d2fb6f546bacfd98c68769e61e0b44a697a30596c018a50e28200aa59b01c0an;
+
+describe('sign', () => {
+  let i = 0;
+  bench('sign RPC payload', () => {
+    sign(PAYLOAD + i++, PRVKEY);
+  });
+});
+
+describe('deriveId', () => {
+  bench('deriveId (cached)', () => {
+    deriveId(PRVKEY);
+  });
+});
+
+describe('recoverId', () => {
+  bench('recoverId', () => {
+    recoverId(PAYLOAD, SIGNATURE);
+  });
+});
+
+describe('generator multiplication', () => {
+  bench('precomputed table', () => {
+    _internal.fastMultiply(G, SCALAR);
+  });
+
+  bench('double-and-add', () => {
+    _internal.fromJacobian(_internal.jacobianMultiply([G[0], G[1], 1n], SCALAR));
+  });
+});
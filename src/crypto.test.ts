@@ -1,7 +1,15 @@
 import { describe, it, expect } from 'vitest';
-import { Crypto, generatePrivateKey, deriveId, sign, _internal } from './crypto';
+import { sha3_256 } from '@noble/hashes/sha3';
+import { bytesToHex } from '@noble/hashes/utils';
+import { Crypto, generatePrivateKey, deriveId, sign, verify, recoverId, _internal } from './crypto';
 
-const { jacobianAdd, jacobianDouble, fastMultiply } = _internal;
+const { jacobianAdd, jacobianDouble, jacobianMultiply, fastMultiply } = _internal;
+
+const N = 115792089237316195423570985008687907852837564279074904382605163141518161494337n;
+const G: [bigint, bigint] = [
+  55066263022277343669578718895168534326250603453777594175500187360389116729240n,
+  32670510020758816978083085130507043184471273380659243275938904335757337482424n,
+];
 
 describe('Crypto', () => {
   describe('generatePrivateKey', () => {
@@ -35,6 +43,15 @@ describe('Crypto', () => {
       expect(id).toBe('3fc05cf3df4b494e95d6a3d297a34f19938f7daa7422ab0d4f794454133341ac');
     });
 
+    it('should return cached IDs for repeated keys', () => {
+      const prvkey = generatePrivateKey();
+      const id = deriveId(prvkey);
+      expect(deriveId(prvkey)).toBe(id);
+      expect(deriveId('0000000000000000000000000000000000000000000000000000000000000001')).toBe(
+        '2036f5bc759cfb3589fb4e2342bc9b3c843c5ef27dc8ded538de328a7567089b'
+      );
+    });
+
     it('should match Go crypto for colony key', () => {
       const crypto = new Crypto();
       // Colony key from GitHub Actions workflow
@@ -90,6 +107,19 @@ describe('Crypto', () => {
       expect(r[0]).toBe(55168891259068323847970500732782990269643885682720201005538882429359294222592n);
       expect(r[1]).toBe(24653118739118393505255051840680624663656725984701285210882487021736401159116n);
     });
+
+    it('should match double-and-add for generator multiples', () => {
+      const scalars = [1n, 2n, 15n, 16n, 17n, N - 1n, N + 1n, 2n ** 255n + 12345n];
+      for (const n of scalars) {
+        const [x, y, z] = jacobianMultiply([G[0], G[1], 1n], n);
+        expect(fastMultiply(G, n)).toEqual(_internal.fromJacobian([x, y, z]));
+      }
+    });
+
+    it('should return the point at infinity for multiples of the order', () => {
+      expect(fastMultiply(G, 0n)).toEqual([0n, 0n]);
+      expect(fastMultiply(G, N)).toEqual([0n, 0n]);
+    });
   });
 
   describe('sign', () => {
@@ -105,6 +135,34 @@ describe('Crypto', () => {
       expect(sig).toBe(expectedSignature);
     });
 
+    it('should produce signatures identical to the reference implementation', () => {
+      const vectors: [string, string, string][] = [
+        [
+          'ddf7f7791208083b6a9ed975a72684f6406a269cfa36f1b1c32045c0a71fff05',
+          'eyJtc2d0eXBlIjoiZ2V0cHJvY2Vzc21zZyJ9',
+          '851f34b81e6d7241512b2fc84e45d734848cb7707b54fff88398833928b6489a56e6fb6d410c70195ab3b2c310fac9d48e9f6eeb6801bf6c3812154cd9f4320101',
+        ],
+        [
+          'ba949fa134981372d6da62b6a56f336ab4d843b22c02a4257dcf7d0d73097514',
+          'hello world 🌍',
+          'fd25d290e360b85ae4afaa05d1ce7ae2d3a0dc4d84c8bded499e635aed1622976649df89760be29024cdeb9fcc29ff0ef31f4d3d66976e5cd129291142b2f47700',
+        ],
+        [
+          '0000000000000000000000000000000000000000000000000000000000000001',
+          '',
+          'ab1a548e7964281d13c2e4c3d260fdf29acd9d6e8d21edc63522c972ab3d2aba0e94f1d6c7a3282498a7f15eaabda6ed2c60adf28208d7f3ffcaef36a23d1eb200',
+        ],
+        [
+          'fffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364140',
+          'eyJtc2d0eXBlIjoiZ2V0cHJvY2Vzc21zZyJ9',
+          '13e99ebd073b476cb74f652bae79b4b63bec19a81b842bdfc9e505b059e40b8d0d664e665eb0528f27fc9b8998cbcf43a2edb10d6d20166f47d0c80b554b4c8d00',
+        ],
+      ];
+      for (const [prvkey, message, expected] of vectors) {
+        expect(sign(message, prvkey)).toBe(expected);
+      }
+    });
+
     it('should produce 130-character hex signatures', () => {
       const crypto = new Crypto();
       const prvkey = crypto.generatePrivateKey();
@@ -114,4 +172,69 @@ describe('Crypto', () => {
       expect(/^[0-9a-f]{130}$/.test(sig)).toBe(true);
     });
   });
+
+  describe('recoverId', () => {
+    it('should recover the signer ID from a known signature', () => {
+      const crypto = new Crypto();
+      const prvkey = 'd6eb959e9aec2e6fdc44b5862b269e987b8a4d6f2baca542d8acaa97ee5e74f6';
+      const signature = 'e713a1bb015fecabb5a084b0fe6d6e7271fca6f79525a634183cfdb175fe69241f4da161779d8e6b761200e1cf93766010a19072fa778f9643363e2cfadd640900';
+
+      expect(crypto.recoverId('hello', signature)).toBe(crypto.id(prvkey));
+    });
+
+    it('should recover IDs for both recovery parities', () => {
+      const prvkey = 'ba949fa134981372d6da62b6a56f336ab4d843b22c02a4257dcf7d0d73097514';
+      const parities = new Set<number>();
+      for (let i = 0; i < 32 && parities.size < 2; i++) {
+        const message = `message ${i}`;
+        const signature = sign(message, prvkey);
+        parities.add(parseInt(signature.slice(128), 16));
+        expect(recoverId(message, signature)).toBe(deriveId(prvkey));
+      }
+      expect(parities).toEqual(new Set([0, 1]));
+    });
+
+    it('should reject malformed signatures', () => {
+      expect(() => recoverId('hello', 'abcd')).toThrow('Invalid signature length');
+      expect(() => recoverId('hello', '00'.repeat(65))).toThrow('Invalid signature');
+      expect(() => recoverId('hello', 'ff'.repeat(64) + '00')).toThrow('Invalid signature');
+      expect(() => recoverId('hello', '11'.repeat(64) + '05')).toThrow('Invalid signature recovery id');
+    });
+
+    it('should reject signatures that recover the point at infinity', () => {
+      // With R = G and s = z, s * R - z * G is the point at infinity
+      const z = BigInt('0x' + bytesToHex(sha3_256(new TextEncoder().encode('hello')))) % N;
+      const hex = (n: bigint) => n.toString(16).padStart(64, '0');
+      const signature = hex(G[0]) + hex(z) + (G[1] % 2n === 0n ? '00' : '01');
+
+      expect(() => recoverId('hello', signature)).toThrow(/^Invalid signature$/);
+      expect(verify('hello', signature, deriveId(generatePrivateKey()))).toBe(false);
+    });
+  });
+
+  describe('verify', () => {
+    const prvkey = 'ddf7f7791208083b6a9ed975a72684f6406a269cfa36f1b1c32045c0a71fff05';
+    const id = '3fc05cf3df4b494e95d6a3d297a34f19938f7daa7422ab0d4f794454133341ac';
+
+    it('should accept a valid signature', () => {
+      const crypto = new Crypto();
+      const signature = crypto.sign('payload', prvkey);
+      expect(crypto.verify('payload', signature, id)).toBe(true);
+      expect(verify('payload', signature, id.toUpperCase())).toBe(true);
+    });
+
+    it('should reject a tampered message', () => {
+      const signature = sign('payload', prvkey);
+      expect(verify('payload!', signature, id)).toBe(false);
+    });
+
+    it('should reject a different signer', () => {
+      const signature = sign('payload', generatePrivateKey());
+      expect(verify('payload', signature, id)).toBe(false);
+    });
+
+    it('should reject malformed signatures without throwing', () => {
+      expect(verify('payload', 'not-a-signature', id)).toBe(false);
+    });
+  });
 });
@@ -12,6 +12,7 @@ import { bytesToHex, hexToBytes, randomBytes } from '@noble/hashes/utils';
 // ============== secp256k1 Curve Parameters ==============
 
 const A = 0n;
+const B = 7n;
 const N = 115792089237316195423570985008687907852837564279074904382605163141518161494337n;
 const Gx = 55066263022277343669578718895168534326250603453777594175500187360389116729240n;
 const Gy = 32670510020758816978083085130507043184471273380659243275938904335757337482424n;
@@ -21,6 +22,17 @@ const P = 2n ** 256n - 2n ** 32n - 977n;
 type Point = [bigint, bigint];
 type JacobianPoint = [bigint, bigint, bigint];
 
+const INFINITY: JacobianPoint = [0n, 0n, 1n];
+
+// Scalars are processed in 4-bit windows: 64 windows cover 256 bits
+const WINDOW_BITS = 4n;
+const WINDOW_SIZE = 16;
+const WINDOW_COUNT = 64;
+const WINDOW_MASK = 15n;
+
+// Maximum number of private keys whose IDs are cached by deriveId
+const ID_CACHE_SIZE = 256;
+
 // ============== Utility Functions ==============
 
 function pad32(value: Uint8Array): Uint8Array {
@@ -60,6 +72,18 @@ function inv(a: bigint, n: bigint): bigint {
   return ((lm % n) + n) % n;
 }
 
+function powMod(base: bigint, exponent: bigint, modulus: bigint): bigint {
+  let result = 1n;
+  let b = ((base % modulus) + modulus) % modulus;
+  let e = exponent;
+  while (e > 0n) {
+    if (e & 1n) result = (result * b) % modulus;
+    b = (b * b) % modulus;
+    e >>= 1n;
+  }
+  return result;
+}
+
 function toJacobian(p: Point): JacobianPoint {
   return [p[0], p[1], 1n];
 }
@@ -119,8 +143,73 @@ function jacobianMultiply(a: JacobianPoint, n: bigint): JacobianPoint {
   }
 }
 
+// Multiply an arbitrary point using a fixed 4-bit window
+function windowedMultiply(a: JacobianPoint, n: bigint): JacobianPoint {
+  const k = n < 0n || n >= N ? ((n % N) + N) % N : n;
+  if (a[1] === 0n || k === 0n) return INFINITY;
+
+  const multiples: JacobianPoint[] = [INFINITY, a];
+  for (let j = 2; j < WINDOW_SIZE; j++) {
+    multiples.push(jacobianAdd(multiples[j - 1], a));
+  }
+
+  let result = INFINITY;
+  for (let i = WINDOW_COUNT - 1; i >= 0; i--) {
+    for (let d = 0; d < Number(WINDOW_BITS); d++) {
+      result = jacobianDouble(result);
+    }
+    const digit = Number((k >> (BigInt(i) * WINDOW_BITS)) & WINDOW_MASK);
+    if (digit !== 0) {
+      result = jacobianAdd(result, multiples[digit]);
+    }
+  }
+  return result;
+}
+
+// Precomputed affine multiples j * 16^i * G for every window i, built on first use
+let generatorTable: JacobianPoint[][] | null = null;
+
+function getGeneratorTable(): JacobianPoint[][] {
+  if (generatorTable) return generatorTable;
+
+  const table: JacobianPoint[][] = [];
+  let base = toJacobian(G);
+  for (let i = 0; i < WINDOW_COUNT; i++) {
+    const row: JacobianPoint[] = [INFINITY];
+    for (let j = 1; j < WINDOW_SIZE; j++) {
+      row.push(toJacobian(fromJacobian(jacobianAdd(row[j - 1], base))));
+    }
+    table.push(row);
+    for (let d = 0; d < Number(WINDOW_BITS); d++) {
+      base = jacobianDouble(base);
+    }
+  }
+
+  generatorTable = table;
+  return table;
+}
+
+// Multiply the generator using the precomputed table: one addition per window, no doublings
+function generatorMultiply(n: bigint): JacobianPoint {
+  const k = n < 0n || n >= N ? ((n % N) + N) % N : n;
+  if (k === 0n) return INFINITY;
+
+  const table = getGeneratorTable();
+  let result = INFINITY;
+  for (let i = 0; i < WINDOW_COUNT; i++) {
+    const digit = Number((k >> (BigInt(i) * WINDOW_BITS)) & WINDOW_MASK);
+    if (digit !== 0) {
+      result = jacobianAdd(result, table[i][digit]);
+    }
+  }
+  return result;
+}
+
 function fastMultiply(a: Point, n: bigint): Point {
-  return fromJacobian(jacobianMultiply(toJacobian(a), n));
+  if (a[0] === Gx && a[1] === Gy) {
+    return fromJacobian(generatorMultiply(n));
+  }
+  return fromJacobian(windowedMultiply(toJacobian(a), n));
 }
 
 function encodeRawPublicKey(rawPublicKey: Point): Uint8Array {
@@ -188,8 +277,50 @@ function ecdsaRawSign(msgHash: Uint8Array, privateKeyBytes: Uint8Array): [number
   return [v - 27, r, s];
 }
 
+function ecdsaRawRecover(msgHash: Uint8Array, v: number, r: bigint, s: bigint): Point {
+  if (v !== 0 && v !== 1) {
+    throw new Error('Invalid signature recovery id');
+  }
+  if (r <= 0n || r >= N || s <= 0n || s >= N) {
+    throw new Error('Invalid signature');
+  }
+
+  // Recover the point R from its x coordinate (r) and the parity of y (v)
+  const x = r;
+  const xCubedAxB = (x * x * x + A * x + B) % P;
+  const beta = powMod(xCubedAxB, (P + 1n) / 4n, P);
+  const y = beta % 2n === BigInt(v) ? beta : P - beta;
+  if ((xCubedAxB - y * y) % P !== 0n) {
+    throw new Error('Invalid signature');
+  }
+
+  // Q = r^-1 * (s * R - z * G)
+  const z = bigEndianToInt(msgHash);
+  const Gz = generatorMultiply((N - (z % N)) % N);
+  const XY = windowedMultiply([x, y, 1n], s);
+  const Qr = jacobianAdd(Gz, XY);
+  const Q = windowedMultiply(Qr, inv(r, N));
+  // The point at infinity has y = 0, like INFINITY
+  if (Q[1] === 0n) {
+    throw new Error('Invalid signature');
+  }
+  return fromJacobian(Q);
+}
+
+function publicKeyToId(publicKey: Uint8Array): string {
+  const publicKeyHex = '04' + bytesToHex(publicKey);
+
+  // Hash the string representation, not the bytes
+  const encoder = new TextEncoder();
+  const hash = sha3_256(encoder.encode(publicKeyHex));
+
+  return bytesToHex(hash);
+}
+
 // ============== Exported Functions ==============
 
+const idCache = new Map<string, string>();
+
 /**
  * Generate a new random private key
  * @returns Hex-encoded private key (64 characters)
@@ -208,14 +339,20 @@ export function generatePrivateKey(): string {
  */
 export function deriveId(privateKey: string): string {
   const privateKeyBytes = hexToBytes(privateKey);
-  const publicKey = privateKeyToPublicKey(privateKeyBytes);
-  const publicKeyHex = '04' + bytesToHex(publicKey);
 
-  // Hash the string representation, not the bytes
-  const encoder = new TextEncoder();
-  const hash = sha3_256(encoder.encode(publicKeyHex));
+  // Cache by a hash of the key so that private keys are not retained
+  const cacheKey = bytesToHex(sha256(privateKeyBytes));
+  const cached = idCache.get(cacheKey);
+  if (cached !== undefined) return cached;
 
-  return bytesToHex(hash);
+  const publicKey = privateKeyToPublicKey(privateKeyBytes);
+  const id = publicKeyToId(publicKey);
+
+  if (idCache.size >= ID_CACHE_SIZE) {
+    idCache.delete(idCache.keys().next().value as string);
+  }
+  idCache.set(cacheKey, id);
+  return id;
 }
 
 /**
@@ -246,6 +383,44 @@ export function sign(message: string, privateKey: string): string {
   return bytesToHex(signature);
 }
 
+/**
+ * Recover the ID of the key that signed a message
+ * @param message - Message that was signed
+ * @param signature - Hex-encoded signature (130 characters: r + s + v)
+ * @returns Hex-encoded ID (64 characters)
+ * @throws If the signature is malformed
+ */
+export function recoverId(message: string, signature: string): string {
+  if (!/^[0-9a-fA-F]{130}$/.test(signature)) {
+    throw new Error('Invalid signature length');
+  }
+  const signatureBytes = hexToBytes(signature);
+  const r = bigEndianToInt(signatureBytes.slice(0, 32));
+  const s = bigEndianToInt(signatureBytes.slice(32, 64));
+  const v = signatureBytes[64];
+
+  const encoder = new TextEncoder();
+  const msgHash = sha3_256(encoder.encode(message));
+
+  const rawPublicKey = ecdsaRawRecover(msgHash, v, r, s);
+  return publicKeyToId(encodeRawPublicKey(rawPublicKey));
+}
+
+/**
+ * Verify that a message was signed by the key with the given ID
+ * @param message - Message that was signed
+ * @param signature - Hex-encoded signature (130 characters: r + s + v)
+ * @param id - Expected hex-encoded ID of the signer
+ * @returns true if the signature is valid and was made by id
+ */
+export function verify(message: string, signature: string, id: string): boolean {
+  try {
+    return recoverId(message, signature) === id.toLowerCase();
+  } catch {
+    return false;
+  }
+}
+
 /**
  * Crypto utility class for convenience
  */
@@ -261,12 +436,22 @@ export class Crypto {
   sign(message: string, privateKey: string): string {
     return sign(message, privateKey);
   }
+
+  verify(message: string, signature: string, id: string): boolean {
+    return verify(message, signature, id);
+  }
+
+  recoverId(message: string, signature: string): string {
+    return recoverId(message, signature);
+  }
 }
 
 // Export internal functions for testing
 export const _internal = {
   jacobianAdd,
   jacobianDouble,
+  jacobianMultiply,
+  fromJacobian,
   fastMultiply,
   pad32,
   intToBigEndian,
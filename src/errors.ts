@@ -0,0 +1,152 @@
+/**
+ * Errors thrown by ColoniesClient
+ */
+
+import type { Process } from './client';
+
+export interface ColoniesErrorDetails {
+  /** HTTP status, or the status reported by the server in its error reply */
+  status?: number;
+  /** RPC message type of the failed request, e.g. 'assignprocessmsg' */
+  payloadtype?: string;
+  /** Error message decoded from the server reply */
+  serverMessage?: string;
+  /** Underlying error, e.g. the network error raised by fetch */
+  cause?: unknown;
+}
+
+/**
+ * Base class of all errors raised for failed requests
+ */
+export class ColoniesError extends Error {
+  readonly status?: number;
+  readonly payloadtype?: string;
+  readonly serverMessage?: string;
+  readonly cause?: unknown;
+
+  constructor(message: string, details: ColoniesErrorDetails = {}) {
+    super(message);
+    this.name = new.target.name;
+    this.status = details.status;
+    this.payloadtype = details.payloadtype;
+    this.serverMessage = details.serverMessage;
+    this.cause = details.cause;
+    Object.setPrototypeOf(this, new.target.prototype);
+  }
+}
+
+/**
+ * The request timed out, e.g. assign found no process within its timeout
+ */
+export class ColoniesTimeoutError extends ColoniesError {}
+
+/**
+ * The requested resource does not exist
+ */
+export class NotFoundError extends ColoniesError {}
+
+/**
+ * The resource already exists or conflicts with its current state
+ */
+export class ConflictError extends ColoniesError {}
+
+/**
+ * The signing identity is not allowed to perform the request
+ */
+export class UnauthorizedError extends ColoniesError {}
+
+/**
+ * The server could not be reached or did not reply with an RPC message
+ */
+export class TransportError extends ColoniesError {}
+
+/**
+ * The server rejected the request for any other reason
+ */
+export class ServerError extends ColoniesError {}
+
+/**
+ * The request was cancelled through its AbortSignal
+ */
+export class AbortError extends ColoniesError {}
+
+/**
+ * A process that was waited for finished in the FAILED state
+ */
+export class ProcessFailedError extends ColoniesError {
+  readonly process: Process;
+  /** Errors reported by the executor that failed the process */
+  readonly errors: string[];
+
+  constructor(process: Process) {
+    const errors = process.errors ?? [];
+    const reason = errors.length > 0 ? `: ${errors.join('; ')}` : '';
+    super(`Process ${process.processid} failed${reason}`);
+    this.process = process;
+    this.errors = errors;
+  }
+}
+
+export interface ValidationIssue {
+  /** Location of the invalid value, e.g. '$[0].spec.funcname' */
+  path: string;
+  /** What was expected at that location */
+  message: string;
+}
+
+/**
+ * The server replied with a response that does not match the expected type
+ */
+export class ValidationError extends ColoniesError {
+  readonly issues: ValidationIssue[];
+
+  constructor(payloadtype: string, issues: ValidationIssue[]) {
+    const summary = issues
+      .slice(0, 3)
+      .map((issue) => `${issue.path}: ${issue.message}`)
+      .join('; ');
+    const more = issues.length > 3 ? ` (and ${issues.length - 3} more)` : '';
+    super(`Invalid response to ${payloadtype}: ${summary}${more}`, { payloadtype });
+    this.issues = issues;
+  }
+}
+
+// The server reports most failures with a generic status, so fall back to
+// the wording of its message when the status does not identify the error
+const MESSAGE_PATTERNS: [RegExp, typeof ColoniesError][] = [
+  [/not authori[sz]ed|unauthori[sz]ed|access denied|forbidden|invalid signature/i, UnauthorizedError],
+  [/already exists|conflict/i, ConflictError],
+  [/not found|does not exist|no such/i, NotFoundError],
+  [/timeout|timed out|no process available/i, ColoniesTimeoutError],
+];
+
+function errorClassForStatus(status?: number): typeof ColoniesError | null {
+  switch (status) {
+    case 401:
+    case 403:
+      return UnauthorizedError;
+    case 404:
+      return NotFoundError;
+    case 408:
+    case 504:
+      return ColoniesTimeoutError;
+    case 409:
+      return ConflictError;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Create the error matching an error reply from the server
+ * @param serverMessage - Message decoded from the reply
+ * @param details - Status and payload type of the failed request
+ */
+export function createServerError(serverMessage: string, details: ColoniesErrorDetails = {}): ColoniesError {
+  let ErrorClass = errorClassForStatus(details.status);
+  if (!ErrorClass) {
+    const match = MESSAGE_PATTERNS.find(([pattern]) => pattern.test(serverMessage));
+    ErrorClass = match ? match[1] : ServerError;
+  }
+  return new ErrorClass(serverMessage, { ...details, serverMessage });
+}
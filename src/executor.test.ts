@@ -0,0 +1,488 @@
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach, afterEach } from 'vitest';
+import { ColoniesClient, ProcessState } from './client';
+import { ColoniesExecutor } from './executor';
+import { UnauthorizedError } from './errors';
+import { deriveId, generatePrivateKey, recoverId } from './crypto';
+import { ColoniesTestServer } from './testing/server';
+import { createMockResponse, decodePayload } from './test-helpers';
+
+const EXECUTOR_PRVKEY = 'ddf7f7791208083b6a9ed975a72684f6406a269cfa36f1b1c32045c0a71fff05';
+const COLONY_PRVKEY = 'ba949fa134981372d6da62b6a56f336ab4d843b22c02a4257dcf7d0d73097514';
+
+type Route = (payload: any) => Response | Promise<Response>;
+
+function createProcess(processid: string, funcname: string, kwargs: Record<string, any> = {}) {
+  return {
+    processid,
+    state: ProcessState.RUNNING,
+    spec: { funcname, kwargs },
+  };
+}
+
+describe('ColoniesExecutor', () => {
+  let client: ColoniesClient;
+  let fetchSpy: ReturnType<typeof vi.spyOn>;
+  let routes: Record<string, Route>;
+  let calls: { msgtype: string; payload: any }[];
+
+  beforeEach(() => {
+    client = new ColoniesClient({ host: 'localhost', port: 50080 });
+    routes = {};
+    calls = [];
+    fetchSpy = vi.spyOn(global, 'fetch');
+    fetchSpy.mockImplementation(async (_url: any, options: any) => {
+      const body = JSON.parse(options.body as string);
+      const payload = decodePayload(body.payload);
+      calls.push({ msgtype: body.payloadtype, payload });
+      const route = routes[body.payloadtype];
+      return route ? route(payload) : createMockResponse({});
+    });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  function createExecutor(overrides: Record<string, any> = {}): ColoniesExecutor {
+    return new ColoniesExecutor(client, {
+      colonyName: 'test',
+      executorName: 'test-executor',
+      executorType: 'test-type',
+      executorPrvKey: EXECUTOR_PRVKEY,
+      colonyPrvKey: COLONY_PRVKEY,
+      errorBackoff: 0,
+      ...overrides,
+    });
+  }
+
+  function assignOnce(process: any): void {
+    let assigned = false;
+    routes.assignprocessmsg = () => {
+      if (assigned) {
+        return createMockResponse({ message: 'Failed to assign process, timeout' }, true);
+      }
+      assigned = true;
+      return createMockResponse(process);
+    };
+  }
+
+  describe('register', () => {
+    it('should add and approve the executor when it does not exist', async () => {
+      routes.getexecutormsg = () => createMockResponse({ message: 'executor not found' }, true);
+      const executor = createExecutor();
+
+      await executor.register();
+
+      const add = calls.find((c) => c.msgtype === 'addexecutormsg');
+      expect(add?.payload.executor).toEqual({
+        executorid: '3fc05cf3df4b494e95d6a3d297a34f19938f7daa7422ab0d4f794454133341ac',
+        executortype: 'test-type',
+        executorname: 'test-executor',
+        colonyname: 'test',
+      });
+      const approve = calls.find((c) => c.msgtype === 'approveexecutormsg');
+      expect(approve?.payload.executorname).toBe('test-executor');
+    });
+
+    it('should skip registration when the executor already exists', async () => {
+      routes.getexecutormsg = () => createMockResponse({ executorname: 'test-executor' });
+      const executor = createExecutor();
+
+      await executor.register();
+
+      expect(calls.map((c) => c.msgtype)).toEqual(['getexecutormsg']);
+    });
+
+    it('should look the executor up with the colony key', async () => {
+      routes.getexecutormsg = () => createMockResponse({ executorname: 'test-executor' });
+      const executor = createExecutor();
+
+      await executor.register();
+
+      const body = JSON.parse((fetchSpy.mock.calls[0][1] as RequestInit).body as string);
+      expect(recoverId(body.payload, body.signature)).toBe(deriveId(COLONY_PRVKEY));
+    });
+
+    it('should require a colony key to register a new executor', async () => {
+      routes.getexecutormsg = () => createMockResponse({ message: 'executor not found' }, true);
+      const executor = createExecutor({ colonyPrvKey: undefined });
+
+      await expect(executor.register()).rejects.toThrow('Colony private key is required');
+    });
+
+    it('should not add the executor when the lookup fails for another reason', async () => {
+      routes.getexecutormsg = () => createMockResponse({ message: 'Access denied' }, true, 403);
+      const executor = createExecutor();
+
+      await expect(executor.register()).rejects.toBeInstanceOf(UnauthorizedError);
+      expect(calls.map((c) => c.msgtype)).toEqual(['getexecutormsg']);
+    });
+  });
+
+  describe('registerFunctions', () => {
+    it('should publish every handler via addFunction', async () => {
+      const executor = createExecutor({ locationName: 'home' })
+        .handle('echo', () => 'ok', { description: 'Echo input' })
+        .handle('noop', () => undefined);
+
+      await executor.registerFunctions();
+
+      const funcs = calls.filter((c) => c.msgtype === 'addfunctionmsg').map((c) => c.payload.fun);
+      expect(funcs).toHaveLength(2);
+      expect(funcs[0]).toMatchObject({
+        funcname: 'echo',
+        executorname: 'test-executor',
+        executortype: 'test-type',
+        colonyname: 'test',
+        locationname: 'home',
+        description: 'Echo input',
+      });
+      expect(funcs[1].funcname).toBe('noop');
+    });
+  });
+
+  describe('assignAndHandle', () => {
+    it('should close the process with the handler output', async () => {
+      assignOnce(createProcess('p1', 'echo', { message: 'hello' }));
+      const executor = createExecutor().handle('echo', (process) => process.spec.kwargs?.message);
+
+      const process = await executor.assignAndHandle();
+
+      expect(process?.processid).toBe('p1');
+      const close = calls.find((c) => c.msgtype === 'closesuccessfulmsg');
+      expect(close?.payload.processid).toBe('p1');
+      expect(close?.payload.out).toEqual(['hello']);
+    });
+
+    it('should serialize non-string output values', async () => {
+      assignOnce(createProcess('p1', 'compute'));
+      const executor = createExecutor().handle('compute', async () => ['a', { b: 1 }]);
+
+      await executor.assignAndHandle();
+
+      const close = calls.find((c) => c.msgtype === 'closesuccessfulmsg');
+      expect(close?.payload.out).toEqual(['a', '{"b":1}']);
+    });
+
+    it('should fail the process when the handler throws', async () => {
+      assignOnce(createProcess('p1', 'explode'));
+      const executor = createExecutor().handle('explode', () => {
+        throw new Error('boom');
+      });
+
+      await executor.assignAndHandle();
+
+      const fail = calls.find((c) => c.msgtype === 'closefailedmsg');
+      expect(fail?.payload.processid).toBe('p1');
+      expect(fail?.payload.errors).toEqual(['boom']);
+      expect(calls.find((c) => c.msgtype === 'closesuccessfulmsg')).toBeUndefined();
+    });
+
+    it('should fail processes for unknown functions', async () => {
+      assignOnce(createProcess('p1', 'missing'));
+      const executor = createExecutor();
+
+      await executor.assignAndHandle();
+
+      const fail = calls.find((c) => c.msgtype === 'closefailedmsg');
+      expect(fail?.payload.errors).toEqual(['Unknown function: missing']);
+    });
+
+    it('should return null without reporting when assign times out', async () => {
+      routes.assignprocessmsg = () => createMockResponse({ message: 'Failed to assign process, timeout' }, true);
+      const onError = vi.fn();
+      const executor = createExecutor({ onError });
+
+      const process = await executor.assignAndHandle();
+
+      expect(process).toBeNull();
+      expect(onError).not.toHaveBeenCalled();
+    });
+
+    it('should report unexpected assign errors', async () => {
+      routes.assignprocessmsg = () => createMockResponse({ message: 'executor not approved' }, true);
+      const onError = vi.fn();
+      const executor = createExecutor({ onError });
+
+      await executor.assignAndHandle();
+
+      expect(onError).toHaveBeenCalledTimes(1);
+      expect(onError.mock.calls[0][0].message).toBe('executor not approved');
+    });
+
+    it('should pass the assign timeout to the server', async () => {
+      assignOnce(createProcess('p1', 'echo'));
+      const executor = createExecutor({ assignTimeout: 30 }).handle('echo', () => 'ok');
+
+      await executor.assignAndHandle();
+
+      const assign = calls.find((c) => c.msgtype === 'assignprocessmsg');
+      expect(assign?.payload.colonyname).toBe('test');
+      expect(assign?.payload.timeout).toBe(30);
+    });
+
+    it('should let handlers add logs to the process', async () => {
+      assignOnce(createProcess('p1', 'chatty'));
+      const executor = createExecutor().handle('chatty', async (_process, ctx) => {
+        await ctx.log('working');
+        return 'done';
+      });
+
+      await executor.assignAndHandle();
+
+      const log = calls.find((c) => c.msgtype === 'addlogmsg');
+      expect(log?.payload.processid).toBe('p1');
+      expect(log?.payload.message).toBe('working');
+    });
+  });
+
+  describe('start and stop', () => {
+    it('should register, handle processes and stop on request', async () => {
+      routes.getexecutormsg = () => createMockResponse({ executorname: 'test-executor' });
+      assignOnce(createProcess('p1', 'echo'));
+      const executor = createExecutor().handle('echo', () => {
+        executor.stop();
+        return 'done';
+      });
+
+      await executor.start();
+
+      expect(executor.isRunning).toBe(false);
+      expect(calls.map((c) => c.msgtype)).toEqual([
+        'getexecutormsg',
+        'addfunctionmsg',
+        'assignprocessmsg',
+        'closesuccessfulmsg',
+      ]);
+    });
+
+    it('should reject starting twice', async () => {
+      routes.getexecutormsg = () => createMockResponse({ executorname: 'test-executor' });
+      routes.assignprocessmsg = async () => {
+        executor.stop();
+        return createMockResponse({ message: 'Failed to assign process, timeout' }, true);
+      };
+      const executor = createExecutor();
+
+      const running = executor.start();
+      await expect(executor.start()).rejects.toThrow('already running');
+      await running;
+    });
+  });
+
+  describe('concurrency', () => {
+    it('should reject invalid concurrency limits', () => {
+      expect(() => createExecutor({ concurrency: 0 })).toThrow('Invalid concurrency');
+      expect(() => createExecutor({ concurrency: 1.5 })).toThrow('Invalid concurrency');
+    });
+
+    it('should handle up to concurrency processes at the same time', async () => {
+      routes.getexecutormsg = () => createMockResponse({ executorname: 'test-executor' });
+      let next = 0;
+      routes.assignprocessmsg = () => {
+        next++;
+        if (next > 3) {
+          return createMockResponse({ message: 'Failed to assign process, timeout' }, true);
+        }
+        return createMockResponse(createProcess(`p${next}`, 'slow'));
+      };
+
+      let release!: () => void;
+      const gate = new Promise<void>((resolve) => {
+        release = resolve;
+      });
+      let running = 0;
+      let maxRunning = 0;
+      const executor = createExecutor({ concurrency: 3 }).handle('slow', async (process) => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await gate;
+        running--;
+        return process.processid;
+      });
+
+      const started = executor.start();
+      await vi.waitFor(() => expect(executor.inFlight).toBe(3));
+      expect(executor.activeProcesses.map((p) => p.processid).sort()).toEqual(['p1', 'p2', 'p3']);
+
+      executor.stop();
+      release();
+      await started;
+
+      expect(maxRunning).toBe(3);
+      expect(executor.inFlight).toBe(0);
+      expect(executor.pendingAssigns).toBe(0);
+      const closed = calls.filter((c) => c.msgtype === 'closesuccessfulmsg').map((c) => c.payload.out[0]);
+      expect(closed.sort()).toEqual(['p1', 'p2', 'p3']);
+    });
+
+    it('should keep one assign call in flight per idle worker', async () => {
+      routes.getexecutormsg = () => createMockResponse({ executorname: 'test-executor' });
+      const pending: (() => void)[] = [];
+      routes.assignprocessmsg = () =>
+        new Promise<Response>((resolve) => {
+          pending.push(() => resolve(createMockResponse({ message: 'Failed to assign process, timeout' }, true)));
+        });
+      const executor = createExecutor({ concurrency: 4 });
+
+      const started = executor.start();
+      await vi.waitFor(() => expect(executor.pendingAssigns).toBe(4));
+
+      executor.stop();
+      pending.forEach((resolve) => resolve());
+      await started;
+
+      expect(executor.pendingAssigns).toBe(0);
+    });
+  });
+
+  describe('shutdown', () => {
+    function deferred() {
+      let resolve!: () => void;
+      const promise = new Promise<void>((r) => {
+        resolve = r;
+      });
+      return { promise, resolve };
+    }
+
+    beforeEach(() => {
+      routes.getexecutormsg = () => createMockResponse({ executorname: 'test-executor' });
+    });
+
+    it('should wait for in-flight handlers to finish', async () => {
+      assignOnce(createProcess('p1', 'slow'));
+      const gate = deferred();
+      const executor = createExecutor().handle('slow', async () => {
+        await gate.promise;
+        return 'finished';
+      });
+
+      const started = executor.start();
+      await vi.waitFor(() => expect(executor.inFlight).toBe(1));
+
+      const stopping = executor.shutdown({ timeout: 5000 });
+      gate.resolve();
+      await stopping;
+      await started;
+
+      const close = calls.find((c) => c.msgtype === 'closesuccessfulmsg');
+      expect(close?.payload.out).toEqual(['finished']);
+      expect(calls.find((c) => c.msgtype === 'closefailedmsg')).toBeUndefined();
+    });
+
+    it('should fail and abort handlers still running after the timeout', async () => {
+      assignOnce(createProcess('p1', 'stuck'));
+      const gate = deferred();
+      let signal: AbortSignal | undefined;
+      const executor = createExecutor().handle('stuck', async (_process, ctx) => {
+        signal = ctx.signal;
+        await gate.promise;
+        return 'too late';
+      });
+
+      const started = executor.start();
+      await vi.waitFor(() => expect(executor.inFlight).toBe(1));
+
+      await executor.shutdown({ timeout: 10 });
+
+      expect(signal?.aborted).toBe(true);
+      const fail = calls.find((c) => c.msgtype === 'closefailedmsg');
+      expect(fail?.payload.processid).toBe('p1');
+      expect(fail?.payload.errors).toEqual(['Executor shutting down']);
+
+      gate.resolve();
+      await started;
+      expect(calls.find((c) => c.msgtype === 'closesuccessfulmsg')).toBeUndefined();
+    });
+
+    it('should fail processes assigned after shutdown started', async () => {
+      const pending = deferred();
+      let assigned = false;
+      routes.assignprocessmsg = async () => {
+        if (assigned) {
+          return createMockResponse({ message: 'Failed to assign process, timeout' }, true);
+        }
+        assigned = true;
+        await pending.promise;
+        return createMockResponse(createProcess('p1', 'echo'));
+      };
+      const handler = vi.fn(() => 'ok');
+      const executor = createExecutor().handle('echo', handler);
+
+      const started = executor.start();
+      await vi.waitFor(() => expect(executor.pendingAssigns).toBe(1));
+
+      const stopping = executor.shutdown({ timeout: 5000 });
+      pending.resolve();
+      await stopping;
+      await started;
+
+      expect(handler).not.toHaveBeenCalled();
+      const fail = calls.find((c) => c.msgtype === 'closefailedmsg');
+      expect(fail?.payload.processid).toBe('p1');
+      expect(fail?.payload.errors).toEqual(['Executor shutting down']);
+    });
+
+    it('should remove the executor when requested', async () => {
+      const executor = createExecutor();
+
+      await executor.shutdown({ removeExecutor: true });
+
+      const remove = calls.find((c) => c.msgtype === 'removeexecutormsg');
+      expect(remove?.payload.colonyname).toBe('test');
+      expect(remove?.payload.executorname).toBe('test-executor');
+    });
+
+    it('should require a colony key to remove the executor', async () => {
+      const executor = createExecutor({ colonyPrvKey: undefined });
+
+      await expect(executor.shutdown({ removeExecutor: true })).rejects.toThrow('Colony private key is required');
+    });
+  });
+});
+
+describe('ColoniesExecutor with a server', () => {
+  const server = new ColoniesTestServer();
+
+  beforeAll(async () => {
+    await server.start();
+  });
+
+  afterAll(async () => {
+    await server.stop();
+  });
+
+  beforeEach(() => {
+    server.reset();
+  });
+
+  it('should end waiting assign calls before removing the executor on shutdown', async () => {
+    const colony = await server.createColony('c');
+    const client = server.client(colony.colonyPrvKey);
+    const onError = vi.fn();
+    const executor = new ColoniesExecutor(server.client(), {
+      colonyName: 'c',
+      executorName: 'worker-1',
+      executorType: 'worker',
+      executorPrvKey: generatePrivateKey(),
+      colonyPrvKey: colony.colonyPrvKey,
+      assignTimeout: 3,
+      onError,
+    });
+    executor.handle('echo', () => 'ok');
+    const started = executor.start();
+    await vi.waitFor(() => expect(executor.pendingAssigns).toBe(1));
+
+    await executor.shutdown({ timeout: 200, removeExecutor: true });
+
+    expect(executor.pendingAssigns).toBe(0);
+    await started;
+    const submitted = await client.submitFunctionSpec({
+      funcname: 'echo',
+      conditions: { colonyname: 'c', executortype: 'worker' },
+    });
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    expect((await client.getProcess(submitted.processid)).state).toBe(ProcessState.WAITING);
+    expect(onError).not.toHaveBeenCalled();
+  });
+});
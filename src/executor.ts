@@ -0,0 +1,433 @@
+/**
+ * ColonyOS Executor runtime
+ * Registers an executor and its functions, assigns processes and dispatches
+ * them to named handlers.
+ */
+
+import { ColoniesClient, Process, FunctionArg } from './client';
+import type { Channel, ChannelConfig } from './channel';
+import type { ChannelCodecOption, CodecValue } from './codec';
+import { deriveId } from './crypto';
+import { ColoniesTimeoutError, NotFoundError } from './errors';
+
+export interface ExecutorConfig {
+  colonyName: string;
+  executorName: string;
+  executorType: string;
+  executorPrvKey: string;
+  /** Colony owner key, required to register and approve the executor */
+  colonyPrvKey?: string;
+  locationName?: string;
+  /** Seconds each assign call waits for a process (default: 10) */
+  assignTimeout?: number;
+  /** Maximum number of processes assigned and handled at the same time (default: 1) */
+  concurrency?: number;
+  /** Milliseconds to wait before assigning again after an unexpected error (default: 1000) */
+  errorBackoff?: number;
+  /** Callback for errors that are not handled by a process handler */
+  onError?: (error: Error) => void;
+}
+
+export interface HandlerContext {
+  executor: ColoniesExecutor;
+  /** Client that signs as the executor */
+  client: ColoniesClient;
+  /** Aborted when the executor gives up on the process during shutdown */
+  signal: AbortSignal;
+  /** Add a log entry to the process being handled */
+  log: (message: string) => Promise<void>;
+  /** Get a handle to a channel of the process being handled, closed when the executor gives up on it */
+  channel: <C extends ChannelCodecOption = 'utf8'>(name: string, config?: ChannelConfig<C>) => Channel<CodecValue<C>>;
+}
+
+/**
+ * Handler for an assigned process. The returned value becomes the process
+ * output; a thrown error fails the process with the error message.
+ */
+export type ProcessHandler = (
+  process: Process,
+  context: HandlerContext
+) => unknown | Promise<unknown>;
+
+export interface HandlerOptions {
+  description?: string;
+  args?: FunctionArg[];
+}
+
+export interface ShutdownOptions {
+  /** Milliseconds to wait for in-flight handlers before failing them (default: 30000) */
+  timeout?: number;
+  /** Unregister the executor via removeExecutor once drained (requires colonyPrvKey) */
+  removeExecutor?: boolean;
+}
+
+interface RegisteredHandler {
+  handler: ProcessHandler;
+  options: HandlerOptions;
+}
+
+interface ActiveProcess {
+  process: Process;
+  controller: AbortController;
+  abandoned: boolean;
+}
+
+interface AssignResult {
+  process: Process | null;
+  /** Handed back because shutdown started while the assign call was waiting */
+  abandoned?: boolean;
+  /** Unexpected assign error, reported before backing off */
+  error?: Error;
+}
+
+const SHUTDOWN_ERROR = 'Executor shutting down';
+
+function sleep(ms: number): Promise<void> {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function toError(err: unknown): Error {
+  return err instanceof Error ? err : new Error(String(err));
+}
+
+// Normalize a handler result into the output array expected by closeProcess
+function toOutput(result: unknown): string[] {
+  if (result === undefined || result === null) return [];
+  if (Array.isArray(result)) {
+    return result.map((value) => (typeof value === 'string' ? value : JSON.stringify(value)));
+  }
+  if (typeof result === 'string') return [result];
+  return [JSON.stringify(result)];
+}
+
+export class ColoniesExecutor {
+  private client: ColoniesClient;
+  private colonyClient: ColoniesClient | null;
+  private config: ExecutorConfig;
+  private handlers = new Map<string, RegisteredHandler>();
+  private running = false;
+  private draining = false;
+  private workers: Promise<void> | null = null;
+  private assigning = 0;
+  // Assign calls in flight, including handing back processes assigned during shutdown
+  private assigns = new Set<Promise<AssignResult>>();
+  // Aborted by shutdown() to end waiting assign calls
+  private assignController = new AbortController();
+  private active = new Map<string, ActiveProcess>();
+  private idleWaiters: (() => void)[] = [];
+
+  constructor(client: ColoniesClient, config: ExecutorConfig) {
+    const concurrency = config.concurrency ?? 1;
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error(`Invalid concurrency: ${concurrency}`);
+    }
+    this.client = client.as(config.executorPrvKey);
+    this.colonyClient = config.colonyPrvKey ? client.as(config.colonyPrvKey) : null;
+    this.config = config;
+  }
+
+  get colonyName(): string {
+    return this.config.colonyName;
+  }
+
+  get executorName(): string {
+    return this.config.executorName;
+  }
+
+  get executorId(): string {
+    return deriveId(this.config.executorPrvKey);
+  }
+
+  get isRunning(): boolean {
+    return this.running;
+  }
+
+  /**
+   * Number of assign calls waiting for a process
+   */
+  get pendingAssigns(): number {
+    return this.assigning;
+  }
+
+  /**
+   * Number of processes currently being handled
+   */
+  get inFlight(): number {
+    return this.active.size;
+  }
+
+  /**
+   * Processes currently being handled
+   */
+  get activeProcesses(): Process[] {
+    return Array.from(this.active.values(), (entry) => entry.process);
+  }
+
+  /**
+   * Register a handler for a function name
+   * @param funcName - Function name to dispatch on (process.spec.funcname)
+   * @param handler - Handler invoked with the assigned process
+   * @param options - Optional description and argument metadata published via addFunction
+   */
+  handle(funcName: string, handler: ProcessHandler, options: HandlerOptions = {}): this {
+    this.handlers.set(funcName, { handler, options });
+    return this;
+  }
+
+  /**
+   * Register the executor with the colony, approving it with the colony key.
+   * An executor that is already registered is left unchanged.
+   */
+  async register(): Promise<void> {
+    // An executor that is not yet a member may not read the colony, so look
+    // it up with the colony key when one is configured
+    const lookupClient = this.colonyClient ?? this.client;
+    try {
+      await lookupClient.getExecutor(this.config.colonyName, this.config.executorName);
+      return;
+    } catch (err) {
+      // Anything but NotFoundError means the executor may exist
+      if (!(err instanceof NotFoundError)) throw err;
+    }
+
+    if (!this.colonyClient) {
+      throw new Error('Colony private key is required to register the executor');
+    }
+
+    await this.colonyClient.addExecutor({
+      executorid: this.executorId,
+      executortype: this.config.executorType,
+      executorname: this.config.executorName,
+      colonyname: this.config.colonyName,
+    });
+    await this.colonyClient.approveExecutor(this.config.colonyName, this.config.executorName);
+  }
+
+  /**
+   * Publish every registered handler as a function of this executor
+   */
+  async registerFunctions(): Promise<void> {
+    for (const [funcName, { options }] of this.handlers) {
+      await this.client.addFunction({
+        funcname: funcName,
+        executorname: this.config.executorName,
+        executortype: this.config.executorType,
+        colonyname: this.config.colonyName,
+        locationname: this.config.locationName,
+        description: options.description,
+        args: options.args,
+      });
+    }
+  }
+
+  /**
+   * Register the executor and its functions, then assign and handle processes
+   * until stop() is called. Up to `concurrency` workers each keep one assign
+   * call or one handler in flight.
+   */
+  async start(): Promise<void> {
+    if (this.running) {
+      throw new Error('Executor is already running');
+    }
+
+    this.running = true;
+    this.draining = false;
+    if (this.assignController.signal.aborted) this.assignController = new AbortController();
+    try {
+      await this.register();
+      await this.registerFunctions();
+
+      const workers: Promise<void>[] = [];
+      for (let i = 0; i < (this.config.concurrency ?? 1); i++) {
+        workers.push(this.work());
+      }
+      this.workers = Promise.all(workers).then(() => undefined);
+      await this.workers;
+    } finally {
+      this.running = false;
+      this.workers = null;
+    }
+  }
+
+  /**
+   * Stop assigning new processes. start() returns once every worker has
+   * finished its current assign call or handler.
+   */
+  stop(): void {
+    this.running = false;
+  }
+
+  /**
+   * Stop assigning new processes and drain in-flight work. Waiting assign
+   * calls are aborted; processes they return anyway are failed via
+   * failProcess so that the server can retry them. Handlers still running
+   * when the timeout expires are aborted and their processes failed the same
+   * way. The executor is removed once every handler has returned, so
+   * handlers that ignore their signal delay the removal.
+   * @param options - Drain timeout and whether to unregister the executor
+   */
+  async shutdown(options: ShutdownOptions = {}): Promise<void> {
+    const timeout = options.timeout ?? 30000;
+    if (options.removeExecutor && !this.colonyClient) {
+      throw new Error('Colony private key is required to remove the executor');
+    }
+    this.draining = true;
+    this.stop();
+    this.assignController.abort();
+    await Promise.all(this.assigns);
+
+    if (this.workers || this.active.size > 0) {
+      let timer: ReturnType<typeof setTimeout> | undefined;
+      const deadline = new Promise<void>((resolve) => {
+        timer = setTimeout(resolve, timeout);
+      });
+      await Promise.race([this.drained(), deadline]);
+      clearTimeout(timer);
+    }
+
+    const remaining = Array.from(this.active.values()).filter((entry) => !entry.abandoned);
+    for (const entry of remaining) {
+      entry.abandoned = true;
+      entry.controller.abort();
+    }
+    await Promise.all(remaining.map((entry) => this.abandon(entry.process)));
+
+    if (options.removeExecutor) {
+      await this.drained();
+      await this.colonyClient!.removeExecutor(this.config.colonyName, this.config.executorName);
+    }
+  }
+
+  // Resolves once the workers have returned and no handler is running
+  private async drained(): Promise<void> {
+    await this.workers;
+    await this.waitForActive();
+  }
+
+  private waitForActive(): Promise<void> {
+    if (this.active.size === 0) return Promise.resolve();
+    return new Promise((resolve) => this.idleWaiters.push(resolve));
+  }
+
+  private async abandon(process: Process): Promise<void> {
+    try {
+      await this.client.failProcess(process.processid, [SHUTDOWN_ERROR]);
+    } catch (err) {
+      this.reportError(toError(err));
+    }
+  }
+
+  private async work(): Promise<void> {
+    while (this.running) {
+      await this.assignAndHandle();
+    }
+  }
+
+  /**
+   * Assign a single process and handle it
+   * @returns The handled process, or null if no process was assigned
+   */
+  async assignAndHandle(): Promise<Process | null> {
+    const assigning = this.assignNext();
+    this.assigns.add(assigning);
+    let result: AssignResult;
+    try {
+      result = await assigning;
+    } finally {
+      this.assigns.delete(assigning);
+    }
+
+    const { process, abandoned, error } = result;
+    if (error) {
+      this.reportError(error);
+      await sleep(this.config.errorBackoff ?? 1000);
+      return null;
+    }
+    if (!process || abandoned) return process;
+
+    const entry: ActiveProcess = { process, controller: new AbortController(), abandoned: false };
+    this.active.set(process.processid, entry);
+    try {
+      await this.dispatch(entry);
+    } finally {
+      this.active.delete(process.processid);
+      if (this.active.size === 0) {
+        const waiters = this.idleWaiters;
+        this.idleWaiters = [];
+        waiters.forEach((resolve) => resolve());
+      }
+    }
+    return process;
+  }
+
+  private async assignNext(): Promise<AssignResult> {
+    let process: Process;
+    this.assigning++;
+    try {
+      process = await this.client.assign(this.config.colonyName, this.config.assignTimeout ?? 10, undefined, {
+        signal: this.assignController.signal,
+      });
+    } catch (err) {
+      const error = toError(err);
+      // Assign times out when no process became available, and is aborted by shutdown()
+      if (error instanceof ColoniesTimeoutError || this.draining) return { process: null };
+      return { process: null, error };
+    } finally {
+      this.assigning--;
+    }
+
+    if (!process) return { process: null };
+
+    // Assigned after shutdown started; hand it back instead of starting work
+    if (this.draining) {
+      await this.abandon(process);
+      return { process, abandoned: true };
+    }
+    return { process };
+  }
+
+  private async dispatch(entry: ActiveProcess): Promise<void> {
+    const { process } = entry;
+    const funcName = process.spec?.funcname;
+    const registered = this.handlers.get(funcName);
+
+    try {
+      if (!registered) {
+        await this.client.failProcess(process.processid, [`Unknown function: ${funcName}`]);
+        return;
+      }
+
+      const context: HandlerContext = {
+        executor: this,
+        client: this.client,
+        signal: entry.controller.signal,
+        log: (message: string) => this.client.addLog(process.processid, message),
+        channel: (name, config) =>
+          this.client.channel(process.processid, name, { signal: entry.controller.signal, ...config }),
+      };
+
+      let output: string[];
+      try {
+        output = toOutput(await registered.handler(process, context));
+      } catch (err) {
+        if (!entry.abandoned) {
+          await this.client.failProcess(process.processid, [toError(err).message]);
+        }
+        return;
+      }
+
+      // Already failed by shutdown()
+      if (entry.abandoned) return;
+
+      await this.client.closeProcess(process.processid, output);
+    } catch (err) {
+      this.reportError(toError(err));
+    }
+  }
+
+  private reportError(error: Error): void {
+    if (this.config.onError) {
+      this.config.onError(error);
+    }
+  }
+}
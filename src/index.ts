@@ -1,7 +1,56 @@
-export { Crypto, generatePrivateKey, deriveId, sign } from './crypto';
+export { Crypto, generatePrivateKey, deriveId, sign, verify, recoverId } from './crypto';
 export { ColoniesClient, ProcessState } from './client';
+export { ColoniesExecutor } from './executor';
+export { Channel } from './channel';
+export { ChannelSubscription } from './subscription';
+export {
+  ColoniesError,
+  ColoniesTimeoutError,
+  NotFoundError,
+  ConflictError,
+  UnauthorizedError,
+  TransportError,
+  ServerError,
+  AbortError,
+  ValidationError,
+  ProcessFailedError,
+} from './errors';
+export { PrivateKeySigner } from './signer';
+export { validateResponse } from './validation';
+export { spec, FunctionSpecBuilder } from './spec';
+export { workflow, WorkflowBuilder, WorkflowStep } from './workflow';
+export { utf8Codec, jsonCodec, bytesCodec } from './codec';
+export { FetchTransport } from './transport';
+export {
+  generateMnemonic,
+  validateMnemonic,
+  mnemonicToSeed,
+  deriveKeyFromSeed,
+  deriveExecutorKey,
+} from './mnemonic';
+export type { Signer } from './signer';
+export type { ColoniesErrorDetails, ValidationIssue } from './errors';
+export type { RetryPolicy } from './retry';
+export type { ChannelConfig, ChannelRequestOptions } from './channel';
+export type { ChannelSubscriptionEvents, SubscriptionState, WatchChannelOptions } from './subscription';
+export type { ChannelEntriesOptions } from './stream';
+export type { TransferProgress } from './chunking';
+export type { ChannelCodec, ChannelCodecName, ChannelCodecOption, CodecValue } from './codec';
+export type {
+  Transport,
+  TransportRequest,
+  TransportResponse,
+  Interceptor,
+  InterceptorContext,
+  SignedRequest,
+} from './transport';
+export type { DerivedKey, DeriveExecutorKeyOptions } from './mnemonic';
 export type {
   ColoniesClientConfig,
+  CallOptions,
+  IterateOptions,
+  ChannelOptions,
+  WaitOptions,
   RPCMessage,
   FunctionSpec,
   WorkflowSpec,
@@ -23,3 +72,10 @@ export type {
   ChannelEntry,
   Log,
 } from './client';
+export type {
+  ExecutorConfig,
+  HandlerContext,
+  HandlerOptions,
+  ProcessHandler,
+  ShutdownOptions,
+} from './executor';
@@ -0,0 +1,124 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtemp, readFile, rm, stat, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Keystore, encryptPrivateKey, decryptPrivateKey } from './keystore';
+import { ColoniesClient } from './client';
+
+const PRVKEY = 'ddf7f7791208083b6a9ed975a72684f6406a269cfa36f1b1c32045c0a71fff05';
+const ID = '3fc05cf3df4b494e95d6a3d297a34f19938f7daa7422ab0d4f794454133341ac';
+const COLONY_PRVKEY = 'ba949fa134981372d6da62b6a56f336ab4d843b22c02a4257dcf7d0d73097514';
+const COLONY_ID = '4787a5071856a4acf702b2ffcea422e3237a679c681314113d86139461290cf4';
+
+// Low scrypt cost keeps the tests fast
+const options = { scrypt: { n: 1024 } };
+
+describe('encryptPrivateKey / decryptPrivateKey', () => {
+  it('should round-trip a private key', async () => {
+    const entry = await encryptPrivateKey(PRVKEY, 'secret', 'executor', options);
+
+    expect(entry.id).toBe(ID);
+    expect(entry.name).toBe('executor');
+    expect(entry.crypto.kdf).toBe('scrypt');
+    expect(entry.crypto.cipher).toBe('aes-256-gcm');
+    expect(JSON.stringify(entry)).not.toContain(PRVKEY);
+    expect(await decryptPrivateKey(entry, 'secret')).toBe(PRVKEY);
+  });
+
+  it('should reject a wrong passphrase', async () => {
+    const entry = await encryptPrivateKey(PRVKEY, 'secret', undefined, options);
+    await expect(decryptPrivateKey(entry, 'wrong')).rejects.toThrow('Invalid passphrase');
+  });
+
+  it('should reject an entry whose ID was swapped', async () => {
+    const entry = await encryptPrivateKey(PRVKEY, 'secret', undefined, options);
+    await expect(decryptPrivateKey({ ...entry, id: COLONY_ID }, 'secret')).rejects.toThrow('Invalid passphrase');
+  });
+
+  it('should reject unsupported formats', async () => {
+    const entry = await encryptPrivateKey(PRVKEY, 'secret', undefined, options);
+    const unsupported = { ...entry, crypto: { ...entry.crypto, kdf: 'pbkdf2' } } as any;
+    await expect(decryptPrivateKey(unsupported, 'secret')).rejects.toThrow('Unsupported keystore entry format');
+  });
+});
+
+describe('Keystore', () => {
+  let dir: string;
+  let keystore: Keystore;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'colonies-keystore-'));
+    keystore = new Keystore(join(dir, 'keys'), options);
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should list nothing when the directory does not exist', async () => {
+    expect(await keystore.list()).toEqual([]);
+  });
+
+  it('should store keys encrypted and list them by ID', async () => {
+    expect(await keystore.add(PRVKEY, 'secret', 'executor')).toBe(ID);
+    expect(await keystore.add(COLONY_PRVKEY, 'other', 'colony')).toBe(COLONY_ID);
+
+    const identities = await keystore.list();
+    expect(identities.map((i) => [i.id, i.name])).toEqual([
+      [ID, 'executor'],
+      [COLONY_ID, 'colony'],
+    ]);
+
+    const file = join(dir, 'keys', `${ID}.json`);
+    expect(await readFile(file, 'utf8')).not.toContain(PRVKEY);
+    if (process.platform !== 'win32') {
+      expect((await stat(file)).mode & 0o777).toBe(0o600);
+    }
+  });
+
+  it('should load a stored key', async () => {
+    await keystore.add(PRVKEY, 'secret');
+    expect(await keystore.load(ID, 'secret')).toBe(PRVKEY);
+    await expect(keystore.load(ID, 'wrong')).rejects.toThrow('Invalid passphrase');
+  });
+
+  it('should not replace a stored identity unless asked to', async () => {
+    await keystore.add(PRVKEY, 'secret', 'executor');
+
+    await expect(keystore.add(PRVKEY, 'other', 'renamed')).rejects.toThrow(`Identity already in keystore: ${ID}`);
+    expect(await keystore.load(ID, 'secret')).toBe(PRVKEY);
+
+    await keystore.add(PRVKEY, 'other', 'renamed', { overwrite: true });
+    expect(await keystore.load(ID, 'other')).toBe(PRVKEY);
+    expect((await keystore.list()).map((i) => i.name)).toEqual(['renamed']);
+  });
+
+  it('should load a key into a client', async () => {
+    await keystore.add(PRVKEY, 'secret');
+    const client = new ColoniesClient({ host: 'localhost', port: 50080 });
+    const setPrivateKey = vi.spyOn(client, 'setPrivateKey');
+
+    await keystore.loadInto(client, ID, 'secret');
+
+    expect(setPrivateKey).toHaveBeenCalledWith(PRVKEY);
+  });
+
+  it('should report unknown identities', async () => {
+    await expect(keystore.load(COLONY_ID, 'secret')).rejects.toThrow('Identity not found');
+  });
+
+  it('should reject IDs that are not hex identity IDs', async () => {
+    await expect(keystore.load('../secrets', 'secret')).rejects.toThrow('Invalid identity ID');
+    await expect(keystore.remove('../secrets')).rejects.toThrow('Invalid identity ID');
+  });
+
+  it('should remove identities and ignore unrelated files', async () => {
+    await keystore.add(PRVKEY, 'secret');
+    await writeFile(join(dir, 'keys', 'README.txt'), 'not a key');
+
+    await keystore.remove(ID);
+
+    expect(await keystore.list()).toEqual([]);
+  });
+});
@@ -0,0 +1,249 @@
+/**
+ * Encrypted on-disk keystore for ColonyOS private keys (Node.js only)
+ * Keys are encrypted with AES-256-GCM using a key derived from a passphrase
+ * with scrypt, and stored as one JSON file per identity.
+ */
+
+import { createCipheriv, createDecipheriv, randomBytes, scrypt } from 'node:crypto';
+import { mkdir, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { deriveId } from './crypto';
+import type { ColoniesClient } from './client';
+
+export interface ScryptParams {
+  /** CPU/memory cost, a power of two (default: 32768) */
+  n: number;
+  /** Block size (default: 8) */
+  r: number;
+  /** Parallelization (default: 1) */
+  p: number;
+}
+
+export interface KeystoreEntry {
+  version: 1;
+  id: string;
+  name?: string;
+  created: string;
+  crypto: {
+    kdf: 'scrypt';
+    kdfparams: ScryptParams & { salt: string; dklen: number };
+    cipher: 'aes-256-gcm';
+    iv: string;
+    ciphertext: string;
+    tag: string;
+  };
+}
+
+export interface KeystoreIdentity {
+  id: string;
+  name?: string;
+  created: string;
+}
+
+export interface KeystoreOptions {
+  scrypt?: Partial<ScryptParams>;
+}
+
+export interface KeystoreAddOptions {
+  /** Replace a stored entry for the same identity (default: false) */
+  overwrite?: boolean;
+}
+
+const DEFAULT_SCRYPT: ScryptParams = { n: 32768, r: 8, p: 1 };
+const DKLEN = 32;
+
+function deriveKey(passphrase: string, salt: Buffer, params: ScryptParams, dklen: number): Promise<Buffer> {
+  // scrypt needs 128 * n * r bytes; raise Node's 32 MiB default when needed
+  const maxmem = Math.max(32 * 1024 * 1024, 256 * params.n * params.r);
+  return new Promise((resolve, reject) => {
+    scrypt(passphrase, salt, dklen, { N: params.n, r: params.r, p: params.p, maxmem }, (err, key) => {
+      if (err) reject(err);
+      else resolve(key);
+    });
+  });
+}
+
+function assertId(id: string): void {
+  if (!/^[0-9a-f]{64}$/.test(id)) {
+    throw new Error(`Invalid identity ID: ${id}`);
+  }
+}
+
+/**
+ * Encrypt a private key with a passphrase
+ * @param privateKey - Hex-encoded private key
+ * @param passphrase - Passphrase the encryption key is derived from
+ * @param name - Optional human-readable name stored with the entry
+ * @param options - Optional scrypt parameters
+ */
+export async function encryptPrivateKey(
+  privateKey: string,
+  passphrase: string,
+  name?: string,
+  options: KeystoreOptions = {}
+): Promise<KeystoreEntry> {
+  const id = deriveId(privateKey);
+  const params = { ...DEFAULT_SCRYPT, ...options.scrypt };
+  const salt = randomBytes(32);
+  const iv = randomBytes(12);
+  const key = await deriveKey(passphrase, salt, params, DKLEN);
+
+  const cipher = createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(id, 'utf8'));
+  const ciphertext = Buffer.concat([cipher.update(Buffer.from(privateKey, 'hex')), cipher.final()]);
+
+  return {
+    version: 1,
+    id,
+    name,
+    created: new Date().toISOString(),
+    crypto: {
+      kdf: 'scrypt',
+      kdfparams: { ...params, salt: salt.toString('hex'), dklen: DKLEN },
+      cipher: 'aes-256-gcm',
+      iv: iv.toString('hex'),
+      ciphertext: ciphertext.toString('hex'),
+      tag: cipher.getAuthTag().toString('hex'),
+    },
+  };
+}
+
+/**
+ * Decrypt a private key from a keystore entry
+ * @param entry - Entry created by encryptPrivateKey
+ * @param passphrase - Passphrase used to encrypt the entry
+ * @returns Hex-encoded private key
+ */
+export async function decryptPrivateKey(entry: KeystoreEntry, passphrase: string): Promise<string> {
+  if (entry.version !== 1 || entry.crypto?.kdf !== 'scrypt' || entry.crypto.cipher !== 'aes-256-gcm') {
+    throw new Error('Unsupported keystore entry format');
+  }
+
+  const { kdfparams } = entry.crypto;
+  const key = await deriveKey(passphrase, Buffer.from(kdfparams.salt, 'hex'), kdfparams, kdfparams.dklen);
+
+  let privateKey: string;
+  try {
+    const decipher = createDecipheriv('aes-256-gcm', key, Buffer.from(entry.crypto.iv, 'hex'));
+    decipher.setAAD(Buffer.from(entry.id, 'utf8'));
+    decipher.setAuthTag(Buffer.from(entry.crypto.tag, 'hex'));
+    const plaintext = Buffer.concat([
+      decipher.update(Buffer.from(entry.crypto.ciphertext, 'hex')),
+      decipher.final(),
+    ]);
+    privateKey = plaintext.toString('hex');
+  } catch {
+    throw new Error('Invalid passphrase or corrupted keystore entry');
+  }
+
+  if (deriveId(privateKey) !== entry.id) {
+    throw new Error('Keystore entry does not match its identity ID');
+  }
+  return privateKey;
+}
+
+/**
+ * Directory of encrypted private keys, one `<id>.json` file per identity
+ */
+export class Keystore {
+  private dir: string;
+  private options: KeystoreOptions;
+
+  constructor(dir: string, options: KeystoreOptions = {}) {
+    this.dir = dir;
+    this.options = options;
+  }
+
+  /**
+   * Encrypt and store a private key
+   * @param privateKey - Hex-encoded private key
+   * @param passphrase - Passphrase protecting the key
+   * @param name - Optional human-readable name
+   * @param options - Whether to replace an entry already stored for the key
+   * @returns ID of the stored identity
+   * @throws If the identity is already stored and overwrite is not set
+   */
+  async add(privateKey: string, passphrase: string, name?: string, options: KeystoreAddOptions = {}): Promise<string> {
+    const entry = await encryptPrivateKey(privateKey, passphrase, name, this.options);
+    await mkdir(this.dir, { recursive: true, mode: 0o700 });
+    try {
+      await writeFile(this.path(entry.id), JSON.stringify(entry, null, 2), {
+        mode: 0o600,
+        flag: options.overwrite ? 'w' : 'wx',
+      });
+    } catch (err) {
+      if ((err as NodeJS.ErrnoException).code === 'EEXIST') {
+        throw new Error(`Identity already in keystore: ${entry.id}`);
+      }
+      throw err;
+    }
+    return entry.id;
+  }
+
+  /**
+   * List stored identities without decrypting them
+   */
+  async list(): Promise<KeystoreIdentity[]> {
+    let files: string[];
+    try {
+      files = await readdir(this.dir);
+    } catch (err) {
+      if ((err as NodeJS.ErrnoException).code === 'ENOENT') return [];
+      throw err;
+    }
+
+    const identities: KeystoreIdentity[] = [];
+    for (const file of files.filter((f) => /^[0-9a-f]{64}\.json$/.test(f)).sort()) {
+      const entry = await this.read(file.slice(0, -'.json'.length));
+      identities.push({ id: entry.id, name: entry.name, created: entry.created });
+    }
+    return identities;
+  }
+
+  /**
+   * Decrypt a stored private key
+   * @param id - Identity ID
+   * @param passphrase - Passphrase protecting the key
+   * @returns Hex-encoded private key
+   */
+  async load(id: string, passphrase: string): Promise<string> {
+    return decryptPrivateKey(await this.read(id), passphrase);
+  }
+
+  /**
+   * Decrypt a stored private key and set it on a client
+   * @param client - Client that signs with the key
+   * @param id - Identity ID
+   * @param passphrase - Passphrase protecting the key
+   */
+  async loadInto(client: ColoniesClient, id: string, passphrase: string): Promise<void> {
+    client.setPrivateKey(await this.load(id, passphrase));
+  }
+
+  /**
+   * Delete a stored identity
+   * @param id - Identity ID
+   */
+  async remove(id: string): Promise<void> {
+    assertId(id);
+    await rm(this.path(id));
+  }
+
+  private path(id: string): string {
+    return join(this.dir, `${id}.json`);
+  }
+
+  private async read(id: string): Promise<KeystoreEntry> {
+    assertId(id);
+    let data: string;
+    try {
+      data = await readFile(this.path(id), 'utf8');
+    } catch (err) {
+      if ((err as NodeJS.ErrnoException).code === 'ENOENT') {
+        throw new Error(`Identity not found in keystore: ${id}`);
+      }
+      throw err;
+    }
+    return JSON.parse(data);
+  }
+}
@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import {
+  generateMnemonic,
+  validateMnemonic,
+  mnemonicToSeed,
+  deriveKeyFromSeed,
+  deriveExecutorKey,
+} from './mnemonic';
+import { deriveId } from './crypto';
+
+// BIP-39 reference vector (English, passphrase "TREZOR")
+const MNEMONIC =
+  'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+const MNEMONIC_SEED =
+  'c55257c360c07c72029aebc1b53c05ed0362ada38ead3e3e9efa3708e53495531f09a6987599d18264c1e1c92f2cf141630c7a3c4ab7c81b2f001698e7463b04';
+
+// BIP-32 test vector 1
+const SEED = '000102030405060708090a0b0c0d0e0f';
+
+describe('mnemonic', () => {
+  describe('generateMnemonic', () => {
+    it('should generate valid 24-word mnemonics by default', () => {
+      const mnemonic = generateMnemonic();
+      expect(mnemonic.split(' ')).toHaveLength(24);
+      expect(validateMnemonic(mnemonic)).toBe(true);
+    });
+
+    it('should generate 12-word mnemonics', () => {
+      expect(generateMnemonic(12).split(' ')).toHaveLength(12);
+    });
+  });
+
+  describe('validateMnemonic', () => {
+    it('should reject a bad checksum', () => {
+      expect(validateMnemonic(MNEMONIC.replace(/about$/, 'abandon'))).toBe(false);
+    });
+
+    it('should reject unknown words', () => {
+      expect(validateMnemonic(MNEMONIC.replace(/about$/, 'colonies'))).toBe(false);
+    });
+  });
+
+  describe('mnemonicToSeed', () => {
+    it('should match the BIP-39 reference vector', () => {
+      expect(mnemonicToSeed(MNEMONIC, 'TREZOR')).toBe(MNEMONIC_SEED);
+    });
+
+    it('should throw for an invalid mnemonic', () => {
+      expect(() => mnemonicToSeed('not a mnemonic')).toThrow('Invalid mnemonic phrase');
+    });
+  });
+
+  describe('deriveKeyFromSeed', () => {
+    it('should derive the BIP-32 master key', () => {
+      const key = deriveKeyFromSeed(SEED, 'm');
+      expect(key.privateKey).toBe('e8f32e723decf4051aefac8e2c93c9c5b214313817cdb01a1494b917c8436b35');
+      expect(key.id).toBe(deriveId(key.privateKey));
+    });
+
+    it("should derive the BIP-32 key at m/0'", () => {
+      expect(deriveKeyFromSeed(SEED, "m/0'").privateKey).toBe(
+        'edb2e14f9ee77d26dd93b4ecede8d16ed408ce149b6cd80b0715a2d911a0afea'
+      );
+      expect(deriveKeyFromSeed(SEED, 'm/0H').privateKey).toBe(
+        'edb2e14f9ee77d26dd93b4ecede8d16ed408ce149b6cd80b0715a2d911a0afea'
+      );
+    });
+
+    it('should reject non-hardened paths', () => {
+      expect(() => deriveKeyFromSeed(SEED, 'm/0')).toThrow('Only hardened derivation is supported');
+      expect(() => deriveKeyFromSeed(SEED, "0'/1'")).toThrow('Invalid derivation path');
+    });
+  });
+
+  describe('deriveExecutorKey', () => {
+    it('should be deterministic', () => {
+      const a = deriveExecutorKey(MNEMONIC, 3);
+      const b = deriveExecutorKey(MNEMONIC, 3);
+      expect(a).toEqual(b);
+      expect(a.path).toBe("m/0'/3'");
+      expect(a.id).toBe(deriveId(a.privateKey));
+    });
+
+    it('should derive distinct keys per index, account and passphrase', () => {
+      const keys = new Set([
+        deriveExecutorKey(MNEMONIC, 0).privateKey,
+        deriveExecutorKey(MNEMONIC, 1).privateKey,
+        deriveExecutorKey(MNEMONIC, 0, { account: 1 }).privateKey,
+        deriveExecutorKey(MNEMONIC, 0, { passphrase: 'secret' }).privateKey,
+      ]);
+      expect(keys.size).toBe(4);
+    });
+
+    it('should match derivation from the seed', () => {
+      const seed = mnemonicToSeed(MNEMONIC);
+      expect(deriveExecutorKey(MNEMONIC, 5, { account: 2 }).privateKey).toBe(
+        deriveKeyFromSeed(seed, "m/2'/5'").privateKey
+      );
+    });
+
+    it('should reject invalid indices', () => {
+      expect(() => deriveExecutorKey(MNEMONIC, -1)).toThrow('Invalid derivation index');
+      expect(() => deriveExecutorKey(MNEMONIC, 1.5)).toThrow('Invalid derivation index');
+      expect(() => deriveExecutorKey(MNEMONIC, 0x80000000)).toThrow('Invalid derivation index');
+    });
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Mnemonic phrases (BIP-39) and hierarchical key derivation (BIP-32,
+ * hardened paths only) for deriving many private keys from one seed
+ */
+
+import {
+  generateMnemonic as generateBip39Mnemonic,
+  mnemonicToSeedSync,
+  validateMnemonic as validateBip39Mnemonic,
+} from '@scure/bip39';
+import { wordlist } from '@scure/bip39/wordlists/english';
+import { hmac } from '@noble/hashes/hmac';
+import { sha512 } from '@noble/hashes/sha512';
+import { bytesToHex, hexToBytes } from '@noble/hashes/utils';
+import { deriveId } from './crypto';
+
+// secp256k1 group order
+const N = 115792089237316195423570985008687907852837564279074904382605163141518161494337n;
+const HARDENED_OFFSET = 0x80000000;
+const MASTER_SECRET = new TextEncoder().encode('Bitcoin seed');
+
+export interface DerivedKey {
+  path: string;
+  privateKey: string;
+  id: string;
+}
+
+export interface DeriveExecutorKeyOptions {
+  /** Optional BIP-39 passphrase */
+  passphrase?: string;
+  /** Account level of the path (default: 0) */
+  account?: number;
+}
+
+function toBigInt(bytes: Uint8Array): bigint {
+  return BigInt('0x' + bytesToHex(bytes));
+}
+
+function toBytes32(value: bigint): Uint8Array {
+  return hexToBytes(value.toString(16).padStart(64, '0'));
+}
+
+function parsePath(path: string): number[] {
+  const segments = path.split('/');
+  if (segments[0] !== 'm') {
+    throw new Error(`Invalid derivation path: ${path}`);
+  }
+  return segments.slice(1).map((segment) => {
+    const match = /^(\d+)['hH]$/.exec(segment);
+    if (!match) {
+      throw new Error(`Only hardened derivation is supported: ${path}`);
+    }
+    const index = Number(match[1]);
+    if (index >= HARDENED_OFFSET) {
+      throw new Error(`Invalid derivation index: ${segment}`);
+    }
+    return index + HARDENED_OFFSET;
+  });
+}
+
+/**
+ * Generate a new mnemonic phrase
+ * @param words - Number of words, 12 or 24 (default: 24)
+ */
+export function generateMnemonic(words: 12 | 24 = 24): string {
+  return generateBip39Mnemonic(wordlist, words === 12 ? 128 : 256);
+}
+
+/**
+ * Check that a mnemonic phrase uses the English wordlist and has a valid checksum
+ */
+export function validateMnemonic(mnemonic: string): boolean {
+  return validateBip39Mnemonic(mnemonic, wordlist);
+}
+
+/**
+ * Convert a mnemonic phrase to a 64-byte seed
+ * @param mnemonic - BIP-39 mnemonic phrase
+ * @param passphrase - Optional BIP-39 passphrase
+ * @returns Hex-encoded seed
+ */
+export function mnemonicToSeed(mnemonic: string, passphrase: string = ''): string {
+  if (!validateMnemonic(mnemonic)) {
+    throw new Error('Invalid mnemonic phrase');
+  }
+  return bytesToHex(mnemonicToSeedSync(mnemonic, passphrase));
+}
+
+/**
+ * Derive a private key from a seed along a hardened BIP-32 path
+ * @param seed - Hex-encoded seed
+ * @param path - Derivation path where every level is hardened, e.g. m/0'/7'
+ */
+export function deriveKeyFromSeed(seed: string, path: string): DerivedKey {
+  const indices = parsePath(path);
+
+  const master = hmac(sha512, MASTER_SECRET, hexToBytes(seed));
+  let key = toBigInt(master.slice(0, 32));
+  let chainCode = master.slice(32);
+  if (key === 0n || key >= N) {
+    throw new Error('Invalid seed');
+  }
+
+  for (const index of indices) {
+    let child = index;
+    for (;;) {
+      // Hardened child: HMAC-SHA512(chainCode, 0x00 || key || index)
+      const data = new Uint8Array(37);
+      data.set(toBytes32(key), 1);
+      new DataView(data.buffer).setUint32(33, child);
+      const I = hmac(sha512, chainCode, data);
+      const IL = toBigInt(I.slice(0, 32));
+      const childKey = (IL + key) % N;
+      // BIP-32: skip to the next index if the child key is invalid
+      if (IL >= N || childKey === 0n) {
+        child++;
+        continue;
+      }
+      key = childKey;
+      chainCode = I.slice(32);
+      break;
+    }
+  }
+
+  const privateKey = bytesToHex(toBytes32(key));
+  return { path, privateKey, id: deriveId(privateKey) };
+}
+
+/**
+ * Derive the private key of an executor from a mnemonic phrase. Keys are
+ * derived along m/<account>'/<index>', so any executor identity can be
+ * rebuilt from the mnemonic and its index.
+ * @param mnemonic - BIP-39 mnemonic phrase
+ * @param index - Executor index
+ * @param options - Optional passphrase and account
+ */
+export function deriveExecutorKey(
+  mnemonic: string,
+  index: number,
+  options: DeriveExecutorKeyOptions = {}
+): DerivedKey {
+  const account = options.account ?? 0;
+  for (const value of [index, account]) {
+    if (!Number.isInteger(value) || value < 0 || value >= HARDENED_OFFSET) {
+      throw new Error(`Invalid derivation index: ${value}`);
+    }
+  }
+  const seed = mnemonicToSeed(mnemonic, options.passphrase);
+  return deriveKeyFromSeed(seed, `m/${account}'/${index}'`);
+}
@@ -0,0 +1,60 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import { Writable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { ColoniesTestServer } from './testing/server';
+import type { ColoniesClient, Process } from './client';
+import { channelReadable } from './node';
+
+describe('channelReadable', () => {
+  const server = new ColoniesTestServer();
+  let client: ColoniesClient;
+  let process: Process;
+
+  beforeAll(async () => {
+    await server.start();
+  });
+
+  afterAll(async () => {
+    await server.stop();
+  });
+
+  beforeEach(async () => {
+    server.reset();
+    const colony = await server.createColony('test');
+    client = server.client(colony.colonyPrvKey);
+    process = await client.submitFunctionSpec({ funcname: 'log', channels: ['output'], conditions: { colonyname: 'test' } });
+  });
+
+  it('should pipe channel payloads into a writable stream', async () => {
+    const output = client.channel(process.processid, 'output');
+    await output.send('line 1\n');
+    await output.send('line 2\n');
+
+    const chunks: string[] = [];
+    const controller = new AbortController();
+    const sink = new Writable({
+      write(chunk, _encoding, callback) {
+        chunks.push(chunk.toString());
+        if (chunks.length === 3) controller.abort();
+        callback();
+      },
+    });
+
+    const piped = pipeline(channelReadable(client, process.processid, 'output', { signal: controller.signal }), sink);
+    await output.send('line 3\n');
+
+    await expect(piped).rejects.toThrow();
+    expect(chunks.join('')).toBe('line 1\nline 2\nline 3\n');
+  });
+
+  it('should end the subscription when destroyed', async () => {
+    const readable = channelReadable(client, process.processid, 'output');
+    const closed = new Promise((resolve) => readable.once('close', resolve));
+
+    readable.resume();
+    readable.destroy();
+
+    await closed;
+    expect(readable.destroyed).toBe(true);
+  });
+});
@@ -0,0 +1,44 @@
+/**
+ * Node.js stream adapters (Node.js only)
+ */
+
+import { Readable } from 'node:stream';
+import type { ColoniesClient } from './client';
+import type { ChannelCodecOption } from './codec';
+import { ChannelEntriesOptions, iterateChannel, linkedController } from './stream';
+
+/**
+ * Readable stream of the payloads of a channel, e.g. to pipe an executor's
+ * output into a file or an HTTP response. Entries are read as the stream is
+ * consumed; destroying the stream closes the subscription.
+ *
+ * @example
+ * channelReadable(client, processId, 'output').pipe(createWriteStream('output.log'));
+ */
+export function channelReadable(
+  client: ColoniesClient,
+  processId: string,
+  channelName: string,
+  options: ChannelEntriesOptions<ChannelCodecOption> = {}
+): Readable {
+  const controller = linkedController(options.signal);
+  const entries = iterateChannel(client, processId, channelName, { ...options, signal: controller.signal });
+
+  return new Readable({
+    objectMode: true,
+    read() {
+      entries.next().then(
+        ({ value, done }) => this.push(done ? null : value.payload),
+        (err) => this.destroy(err)
+      );
+    },
+    destroy(err, callback) {
+      // Abort a pending read, then end the generator if it waits at a yield
+      controller.abort(err ?? undefined);
+      entries.return().then(
+        () => callback(err),
+        () => callback(err)
+      );
+    },
+  });
+}
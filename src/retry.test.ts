@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_RETRY_POLICY, isReadOnlyMsgType, isRetryable, retryDelay } from './retry';
+import { NotFoundError, TransportError } from './errors';
+
+describe('retry', () => {
+  describe('retryDelay', () => {
+    it('should grow exponentially up to maxDelay', () => {
+      const policy = { ...DEFAULT_RETRY_POLICY, initialDelay: 100, maxDelay: 500, jitter: false };
+      expect([1, 2, 3, 4].map((attempt) => retryDelay(policy, attempt))).toEqual([100, 200, 400, 500]);
+    });
+
+    it('should stay within the computed delay with jitter', () => {
+      const policy = { ...DEFAULT_RETRY_POLICY, initialDelay: 100 };
+      for (let i = 0; i < 50; i++) {
+        const delay = retryDelay(policy, 3);
+        expect(delay).toBeGreaterThanOrEqual(0);
+        expect(delay).toBeLessThanOrEqual(400);
+      }
+    });
+  });
+
+  describe('isRetryable', () => {
+    it('should retry transport errors by default', () => {
+      expect(isRetryable(new TransportError('fetch failed'), DEFAULT_RETRY_POLICY)).toBe(true);
+      expect(isRetryable(new NotFoundError('not found'), DEFAULT_RETRY_POLICY)).toBe(false);
+      expect(isRetryable(new Error('boom'), DEFAULT_RETRY_POLICY)).toBe(false);
+    });
+  });
+
+  describe('isReadOnlyMsgType', () => {
+    it('should only include messages that do not change server state', () => {
+      expect(isReadOnlyMsgType('getprocessmsg')).toBe(true);
+      expect(isReadOnlyMsgType('channelreadmsg')).toBe(true);
+      expect(isReadOnlyMsgType('assignprocessmsg')).toBe(false);
+      expect(isReadOnlyMsgType('submitfuncspecmsg')).toBe(false);
+    });
+  });
+});
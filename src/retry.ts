@@ -0,0 +1,76 @@
+/**
+ * Retry policy for RPC calls
+ */
+
+import { TransportError } from './errors';
+
+export interface RetryPolicy {
+  /** Total number of attempts including the first one (default: 3) */
+  maxAttempts?: number;
+  /** Milliseconds to wait before the first retry (default: 200) */
+  initialDelay?: number;
+  /** Upper bound for the delay between attempts in milliseconds (default: 5000) */
+  maxDelay?: number;
+  /** Factor the delay grows by after each attempt (default: 2) */
+  multiplier?: number;
+  /** Wait a random time up to the computed delay (default: true) */
+  jitter?: boolean;
+  /** Error classes that are retried (default: [TransportError]) */
+  retryOn?: (abstract new (...args: any[]) => Error)[];
+}
+
+export const DEFAULT_RETRY_POLICY: Required<RetryPolicy> = {
+  maxAttempts: 3,
+  initialDelay: 200,
+  maxDelay: 5000,
+  multiplier: 2,
+  jitter: true,
+  retryOn: [TransportError],
+};
+
+// Messages that only read server state and are safe to send more than once
+const READ_ONLY_MSGTYPES = new Set([
+  'getattributemsg',
+  'getblueprintdefinitionmsg',
+  'getblueprintdefinitionsmsg',
+  'getblueprinthistorymsg',
+  'getblueprintmsg',
+  'getblueprintsmsg',
+  'getcoloniesmsg',
+  'getcronmsg',
+  'getcronsmsg',
+  'getexecutormsg',
+  'getexecutorsmsg',
+  'getfilelabelsmsg',
+  'getfilemsg',
+  'getfilesmsg',
+  'getfunctionsmsg',
+  'getgeneratormsg',
+  'getgeneratorsmsg',
+  'getlogsmsg',
+  'getprocessesmsg',
+  'getprocessgraphmsg',
+  'getprocessgraphsmsg',
+  'getprocessmsg',
+  'getstatisticsmsg',
+  'getusersmsg',
+  'channelreadmsg',
+]);
+
+export function isReadOnlyMsgType(msgtype: string): boolean {
+  return READ_ONLY_MSGTYPES.has(msgtype);
+}
+
+export function isRetryable(err: unknown, policy: Required<RetryPolicy>): boolean {
+  return policy.retryOn.some((ErrorClass) => err instanceof ErrorClass);
+}
+
+/**
+ * Delay before the next attempt, growing exponentially with each attempt
+ * @param policy - Resolved retry policy
+ * @param attempt - Number of the attempt that just failed, starting at 1
+ */
+export function retryDelay(policy: Required<RetryPolicy>, attempt: number): number {
+  const delay = Math.min(policy.maxDelay, policy.initialDelay * Math.pow(policy.multiplier, attempt - 1));
+  return policy.jitter ? Math.random() * delay : delay;
+}
@@ -0,0 +1,28 @@
+import { describe, it, expect } from 'vitest';
+import { PrivateKeySigner, toSigner } from './signer';
+import { Crypto } from './crypto';
+
+const PRVKEY = 'ddf7f7791208083b6a9ed975a72684f6406a269cfa36f1b1c32045c0a71fff05';
+
+describe('PrivateKeySigner', () => {
+  it('should derive the ID of its private key', () => {
+    const signer = new PrivateKeySigner(PRVKEY);
+    expect(signer.id()).toBe('3fc05cf3df4b494e95d6a3d297a34f19938f7daa7422ab0d4f794454133341ac');
+  });
+
+  it('should sign like Crypto.sign', () => {
+    const signer = new PrivateKeySigner(PRVKEY);
+    expect(signer.sign('payload')).toBe(new Crypto().sign('payload', PRVKEY));
+  });
+});
+
+describe('toSigner', () => {
+  it('should wrap private keys in a PrivateKeySigner', () => {
+    expect(toSigner(PRVKEY)).toBeInstanceOf(PrivateKeySigner);
+  });
+
+  it('should return signers unchanged', () => {
+    const signer = { id: () => 'id', sign: async () => 'sig' };
+    expect(toSigner(signer)).toBe(signer);
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Signers used by ColoniesClient to sign RPC messages
+ */
+
+import { Crypto } from './crypto';
+
+/**
+ * Signs RPC payloads on behalf of an identity. Implementations may keep the
+ * key elsewhere, e.g. in a separate process or a local signing daemon, and
+ * return promises from both methods.
+ */
+export interface Signer {
+  /**
+   * ID of the identity (SHA3-256 of the public key, see deriveId)
+   */
+  id(): string | Promise<string>;
+
+  /**
+   * Sign a base64-encoded RPC payload
+   * @returns Hex-encoded signature (130 characters: r + s + v)
+   */
+  sign(payload: string): string | Promise<string>;
+}
+
+/**
+ * Default signer holding a hex-encoded private key in memory
+ */
+export class PrivateKeySigner implements Signer {
+  private crypto = new Crypto();
+  private privateKey: string;
+  private cachedId: string | null = null;
+
+  constructor(privateKey: string) {
+    this.privateKey = privateKey;
+  }
+
+  id(): string {
+    if (this.cachedId === null) {
+      this.cachedId = this.crypto.id(this.privateKey);
+    }
+    return this.cachedId;
+  }
+
+  sign(payload: string): string {
+    return this.crypto.sign(payload, this.privateKey);
+  }
+}
+
+/**
+ * Accept either a signer or a hex-encoded private key
+ */
+export function toSigner(signerOrKey: Signer | string): Signer {
+  return typeof signerOrKey === 'string' ? new PrivateKeySigner(signerOrKey) : signerOrKey;
+}
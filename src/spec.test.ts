@@ -0,0 +1,113 @@
+import { describe, it, expect } from 'vitest';
+import { spec, FunctionSpecBuilder } from './spec';
+
+describe('spec', () => {
+  it('should build the JSON submitFunctionSpec sends', () => {
+    const built = spec('train')
+      .args('data.csv', 3)
+      .kwargs({ epochs: 10 })
+      .colony('my-colony')
+      .executorType('ml')
+      .executorNames('gpu-1', 'gpu-2')
+      .priority(5)
+      .maxWaitTime(60)
+      .maxExecTime(3600)
+      .maxRetries(2)
+      .label('nightly')
+      .env({ MODE: 'fast' })
+      .channels('progress')
+      .nodes(2)
+      .processesPerNode(4)
+      .processes(8)
+      .cpu('500m')
+      .mem('1Gi')
+      .storage('10G')
+      .gpu({ name: 'nvidia_a100', mem: '80Gi', count: 2 })
+      .walltime(7200)
+      .build();
+
+    expect(built).toEqual({
+      funcname: 'train',
+      args: ['data.csv', 3],
+      kwargs: { epochs: 10 },
+      priority: 5,
+      maxwaittime: 60,
+      maxexectime: 3600,
+      maxretries: 2,
+      label: 'nightly',
+      env: { MODE: 'fast' },
+      channels: ['progress'],
+      conditions: {
+        colonyname: 'my-colony',
+        executortype: 'ml',
+        executornames: ['gpu-1', 'gpu-2'],
+        nodes: 2,
+        processespernode: 4,
+        processes: 8,
+        cpu: '500m',
+        mem: '1Gi',
+        storage: '10G',
+        gpu: { name: 'nvidia_a100', mem: '80Gi', count: 2 },
+        walltime: 7200,
+      },
+    });
+  });
+
+  it('should only include fields that were set', () => {
+    expect(spec('echo').colony('test').build()).toEqual({ funcname: 'echo', conditions: { colonyname: 'test' } });
+  });
+
+  it('should serialize through toJSON', () => {
+    const builder = spec('echo').colony('test').executorType('worker');
+    expect(JSON.parse(JSON.stringify(builder))).toEqual(builder.build());
+  });
+
+  it('should return independent copies from build', () => {
+    const builder = spec('echo').kwargs({ a: 1 });
+    const first = builder.build();
+    first.kwargs!.a = 2;
+    expect(builder.build().kwargs).toEqual({ a: 1 });
+  });
+
+  it('should accept resource quantities in the server formats', () => {
+    for (const cpu of ['1', '0.5', '250m']) expect(() => spec('f').cpu(cpu)).not.toThrow();
+    for (const mem of ['512', '512Mi', '1Gi', '1.5G', '100k', '2Ti']) expect(() => spec('f').mem(mem)).not.toThrow();
+  });
+
+  it('should reject malformed resource quantities', () => {
+    expect(() => spec('f').cpu('500 m')).toThrow('Invalid cpu quantity: "500 m"');
+    expect(() => spec('f').cpu('1.5m')).toThrow('Invalid cpu quantity');
+    expect(() => spec('f').mem('1GB')).toThrow('Invalid mem quantity: "1GB"');
+    expect(() => spec('f').storage('-1Gi')).toThrow('Invalid storage quantity');
+    expect(() => spec('f').gpu({ mem: '80gb' })).toThrow('Invalid gpu mem quantity');
+  });
+
+  it('should reject invalid numbers and names', () => {
+    expect(() => spec('')).toThrow('Invalid function name');
+    expect(() => spec('f').nodes(0)).toThrow('Invalid nodes: 0 (expected an integer >= 1)');
+    expect(() => spec('f').maxExecTime(-2)).toThrow('Invalid maxExecTime: -2');
+    expect(() => spec('f').priority(1.5)).toThrow('Invalid priority: 1.5 (expected an integer)');
+    expect(() => spec('f').gpu({ count: -1 })).toThrow('Invalid gpu count');
+    expect(() => spec('f').kwargs([] as any)).toThrow('Invalid kwargs');
+    expect(() => spec('f').env({ A: 1 as any })).toThrow('Invalid env value for A');
+  });
+
+  it('should reject duplicates in lists', () => {
+    expect(() => spec('f').executorNames('a', 'a')).toThrow('Duplicate executor name: a');
+    expect(() => spec('f').channels('c', 'd', 'c')).toThrow('Duplicate channel: c');
+  });
+
+  it('should reject conflicting fields', () => {
+    expect(() => spec('f').nodes(2).processesPerNode(4).processes(6).build()).toThrow(
+      'Conflicting processes: 6 processes on 2 nodes with 4 per node'
+    );
+    expect(() => spec('f').dependencies('a').build()).toThrow('Dependencies require a node name');
+    expect(() => spec('f').nodeName('a').dependencies('a').build()).toThrow('Node a cannot depend on itself');
+    expect(() => spec('f').maxRetries(3).build()).toThrow('maxRetries requires a maxExecTime limit');
+    expect(() => spec('f').maxRetries(3).maxExecTime(-1).build()).toThrow('maxRetries requires a maxExecTime limit');
+  });
+
+  it('should create builders with the spec function', () => {
+    expect(spec('f')).toBeInstanceOf(FunctionSpecBuilder);
+  });
+});
@@ -0,0 +1,256 @@
+/**
+ * Fluent builder for function specs
+ */
+
+import type { FunctionSpec } from './client';
+
+type Conditions = NonNullable<FunctionSpec['conditions']>;
+type GPU = NonNullable<Conditions['gpu']>;
+
+// CPU in cores or millicores, e.g. '2', '0.5' or '500m'
+const CPU_QUANTITY = /^(\d+(\.\d+)?|\d+m)$/;
+// Bytes with an optional decimal or binary suffix, e.g. '512Mi', '1Gi' or '10G'
+const BYTE_QUANTITY = /^\d+(\.\d+)?([kKMGTPE]|[KMGTPE]i)?$/;
+
+function checkQuantity(field: string, value: string, pattern: RegExp): string {
+  if (typeof value !== 'string' || !pattern.test(value)) {
+    throw new Error(`Invalid ${field} quantity: ${JSON.stringify(value)}`);
+  }
+  return value;
+}
+
+function checkInteger(field: string, value: number, min?: number): number {
+  if (!Number.isInteger(value) || (min !== undefined && value < min)) {
+    const expected = min !== undefined ? `an integer >= ${min}` : 'an integer';
+    throw new Error(`Invalid ${field}: ${value} (expected ${expected})`);
+  }
+  return value;
+}
+
+function checkName(field: string, value: string): string {
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw new Error(`Invalid ${field}: ${JSON.stringify(value)}`);
+  }
+  return value;
+}
+
+function checkUnique(field: string, values: string[]): string[] {
+  values.forEach((value) => checkName(field, value));
+  const duplicate = values.find((value, index) => values.indexOf(value) !== index);
+  if (duplicate !== undefined) {
+    throw new Error(`Duplicate ${field}: ${duplicate}`);
+  }
+  return values;
+}
+
+/**
+ * Builds a FunctionSpec, validating each value as it is set and the
+ * combination of values in build()
+ *
+ * @example
+ * const process = await client.submitFunctionSpec(
+ *   spec('train').kwargs({ epochs: 10 }).colony('my-colony').executorType('ml').cpu('500m').mem('1Gi').build()
+ * );
+ */
+export class FunctionSpecBuilder {
+  private fields: Omit<FunctionSpec, 'conditions'>;
+  private conditions: Conditions = {};
+
+  constructor(funcName: string) {
+    this.fields = { funcname: checkName('function name', funcName) };
+  }
+
+  /** Positional arguments */
+  args(...args: any[]): this {
+    this.fields.args = args;
+    return this;
+  }
+
+  /** Keyword arguments */
+  kwargs(kwargs: Record<string, any>): this {
+    if (kwargs === null || typeof kwargs !== 'object' || Array.isArray(kwargs)) {
+      throw new Error('Invalid kwargs: expected an object');
+    }
+    this.fields.kwargs = kwargs;
+    return this;
+  }
+
+  /** Colony the process is submitted to */
+  colony(colonyName: string): this {
+    this.conditions.colonyname = checkName('colony name', colonyName);
+    return this;
+  }
+
+  /** Only executors of this type may run the process */
+  executorType(executorType: string): this {
+    this.conditions.executortype = checkName('executor type', executorType);
+    return this;
+  }
+
+  /** Only these executors may run the process */
+  executorNames(...executorNames: string[]): this {
+    this.conditions.executornames = checkUnique('executor name', executorNames);
+    return this;
+  }
+
+  /** Name of the node in a workflow */
+  nodeName(nodeName: string): this {
+    this.fields.nodename = checkName('node name', nodeName);
+    return this;
+  }
+
+  /** Workflow nodes that must succeed before this one runs */
+  dependencies(...nodeNames: string[]): this {
+    this.conditions.dependencies = checkUnique('dependency', nodeNames);
+    return this;
+  }
+
+  priority(priority: number): this {
+    this.fields.priority = checkInteger('priority', priority);
+    return this;
+  }
+
+  /** Seconds the process may wait for an executor, -1 for no limit */
+  maxWaitTime(seconds: number): this {
+    this.fields.maxwaittime = checkInteger('maxWaitTime', seconds, -1);
+    return this;
+  }
+
+  /** Seconds the process may run before it is reassigned, -1 for no limit */
+  maxExecTime(seconds: number): this {
+    this.fields.maxexectime = checkInteger('maxExecTime', seconds, -1);
+    return this;
+  }
+
+  /** Times the process is reassigned after exceeding maxExecTime */
+  maxRetries(retries: number): this {
+    this.fields.maxretries = checkInteger('maxRetries', retries, 0);
+    return this;
+  }
+
+  label(label: string): this {
+    this.fields.label = checkName('label', label);
+    return this;
+  }
+
+  /** Environment variables for the process */
+  env(env: Record<string, string>): this {
+    for (const [key, value] of Object.entries(env)) {
+      if (typeof value !== 'string') {
+        throw new Error(`Invalid env value for ${key}: expected a string`);
+      }
+    }
+    this.fields.env = env;
+    return this;
+  }
+
+  /** Channels the process can exchange messages on */
+  channels(...channels: string[]): this {
+    this.fields.channels = checkUnique('channel', channels);
+    return this;
+  }
+
+  /** Number of nodes the process runs on */
+  nodes(nodes: number): this {
+    this.conditions.nodes = checkInteger('nodes', nodes, 1);
+    return this;
+  }
+
+  /** Total number of processes across all nodes */
+  processes(processes: number): this {
+    this.conditions.processes = checkInteger('processes', processes, 1);
+    return this;
+  }
+
+  processesPerNode(processes: number): this {
+    this.conditions.processespernode = checkInteger('processesPerNode', processes, 1);
+    return this;
+  }
+
+  /** CPU per node, e.g. '500m' or '2' */
+  cpu(quantity: string): this {
+    this.conditions.cpu = checkQuantity('cpu', quantity, CPU_QUANTITY);
+    return this;
+  }
+
+  /** Memory per node, e.g. '1Gi' */
+  mem(quantity: string): this {
+    this.conditions.mem = checkQuantity('mem', quantity, BYTE_QUANTITY);
+    return this;
+  }
+
+  /** Storage per node, e.g. '10Gi' */
+  storage(quantity: string): this {
+    this.conditions.storage = checkQuantity('storage', quantity, BYTE_QUANTITY);
+    return this;
+  }
+
+  /** GPUs per node, e.g. { name: 'nvidia_a100', mem: '80Gi', count: 2 } */
+  gpu(gpu: GPU): this {
+    const checked: GPU = {};
+    if (gpu.name !== undefined) checked.name = checkName('gpu name', gpu.name);
+    if (gpu.mem !== undefined) checked.mem = checkQuantity('gpu mem', gpu.mem, BYTE_QUANTITY);
+    if (gpu.count !== undefined) checked.count = checkInteger('gpu count', gpu.count, 0);
+    if (gpu.nodecount !== undefined) checked.nodecount = checkInteger('gpu nodecount', gpu.nodecount, 0);
+    this.conditions.gpu = checked;
+    return this;
+  }
+
+  /** Seconds the process may run in total, used by HPC executors */
+  walltime(seconds: number): this {
+    this.conditions.walltime = checkInteger('walltime', seconds, 1);
+    return this;
+  }
+
+  /**
+   * Check that the values fit together and return the spec
+   * @throws If values conflict, e.g. maxRetries without maxExecTime
+   */
+  build(): FunctionSpec {
+    const { nodes, processes, processespernode, dependencies } = this.conditions;
+    if (nodes !== undefined && processes !== undefined && processespernode !== undefined) {
+      if (nodes * processespernode !== processes) {
+        throw new Error(
+          `Conflicting processes: ${processes} processes on ${nodes} nodes with ${processespernode} per node`
+        );
+      }
+    }
+    if (dependencies?.length && this.fields.nodename === undefined) {
+      throw new Error('Dependencies require a node name');
+    }
+    if (dependencies?.includes(this.fields.nodename!)) {
+      throw new Error(`Node ${this.fields.nodename} cannot depend on itself`);
+    }
+    if ((this.fields.maxretries ?? 0) > 0 && (this.fields.maxexectime ?? -1) <= 0) {
+      throw new Error('maxRetries requires a maxExecTime limit');
+    }
+
+    return JSON.parse(JSON.stringify({ ...this.fields, conditions: this.conditions }));
+  }
+
+  /**
+   * @internal Build the spec of a workflow step, which supplies the node
+   * name when none was set, without changing this builder
+   */
+  buildNode(nodeName: string): FunctionSpec {
+    const unnamed = this.fields.nodename === undefined;
+    if (unnamed) this.fields.nodename = nodeName;
+    try {
+      return this.build();
+    } finally {
+      if (unnamed) delete this.fields.nodename;
+    }
+  }
+
+  toJSON(): FunctionSpec {
+    return this.build();
+  }
+}
+
+/**
+ * Start building a function spec
+ * @param funcName - Function the executor runs
+ */
+export function spec(funcName: string): FunctionSpecBuilder {
+  return new FunctionSpecBuilder(funcName);
+}
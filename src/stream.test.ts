@@ -0,0 +1,136 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest';
+import { ColoniesTestServer } from './testing/server';
+import type { TestColony } from './testing/server';
+import type { ChannelEntry, ColoniesClient, Process } from './client';
+import { AbortError, NotFoundError } from './errors';
+import { FetchTransport } from './transport';
+
+describe('Channel streams', () => {
+  const server = new ColoniesTestServer();
+  let colony: TestColony;
+  let client: ColoniesClient;
+  let process: Process;
+
+  async function append(...payloads: string[]): Promise<void> {
+    const chat = client.channel(process.processid, 'chat');
+    for (const payload of payloads) await chat.send(payload);
+  }
+
+  beforeAll(async () => {
+    await server.start();
+  });
+
+  afterAll(async () => {
+    await server.stop();
+  });
+
+  beforeEach(async () => {
+    server.reset();
+    colony = await server.createColony('test');
+    client = server.client(colony.colonyPrvKey);
+    process = await client.submitFunctionSpec({ funcname: 'chat', channels: ['chat'], conditions: { colonyname: 'test' } });
+  });
+
+  it('should iterate over existing and new entries', async () => {
+    await append('a', 'b');
+    const received: ChannelEntry[] = [];
+
+    for await (const entry of client.channelEntries(process.processid, 'chat')) {
+      received.push(entry);
+      if (entry.payload === 'b') await append('c');
+      if (entry.payload === 'c') break;
+    }
+
+    expect(received.map((e) => [e.sequence, e.payload])).toEqual([
+      [1, 'a'],
+      [2, 'b'],
+      [3, 'c'],
+    ]);
+  });
+
+  it('should stop with AbortError when the signal aborts', async () => {
+    const controller = new AbortController();
+    const entries = client.channelEntries(process.processid, 'chat', { signal: controller.signal });
+
+    const next = entries.next();
+    setTimeout(() => controller.abort(), 20);
+
+    await expect(next).rejects.toBeInstanceOf(AbortError);
+  });
+
+  it('should throw the error that ended the subscription', async () => {
+    const entries = client.channelEntries(process.processid, 'missing');
+
+    await expect(entries.next()).rejects.toBeInstanceOf(NotFoundError);
+  });
+
+  it('should pause the subscription while the consumer is behind', async () => {
+    const fetchTransport = new FetchTransport();
+    let connections = 0;
+    const counting = server.client(colony.colonyPrvKey, {
+      transport: {
+        send: (request) => fetchTransport.send(request),
+        connect: (url) => {
+          connections++;
+          return new WebSocket(url);
+        },
+      },
+    });
+    await append('1', '2', '3');
+    const entries = counting.channelEntries(process.processid, 'chat', { highWaterMark: 2 });
+
+    const received: string[] = [];
+    for await (const entry of entries) {
+      received.push(entry.payload);
+      if (received.length === 1) expect(connections).toBe(1);
+      if (received.length === 3) await append('4', '5');
+      if (received.length === 5) break;
+    }
+
+    expect(received).toEqual(['1', '2', '3', '4', '5']);
+    expect(connections).toBe(2);
+  });
+
+  it('should decode entries with the codec', async () => {
+    await client.channelAppend(process.processid, 'chat', 1, 0, new Uint8Array([0, 255]));
+
+    const { value } = await client.channelEntries(process.processid, 'chat', { codec: 'bytes' }).next();
+
+    expect(value!.payload).toEqual(new Uint8Array([0, 255]));
+  });
+
+  it('should stream payloads through a ReadableStream', async () => {
+    await append('a', 'b', 'c');
+    const reader = client.channelStream(process.processid, 'chat').getReader();
+
+    expect(await reader.read()).toEqual({ value: 'a', done: false });
+    expect(await reader.read()).toEqual({ value: 'b', done: false });
+    await reader.cancel();
+
+    await append('d');
+    expect(await reader.read()).toEqual({ value: undefined, done: true });
+  });
+
+  it('should close the subscription when a stream is cancelled while waiting', async () => {
+    const closed = vi.fn();
+    const fetchTransport = new FetchTransport();
+    const watched = server.client(colony.colonyPrvKey, {
+      transport: {
+        send: (request) => fetchTransport.send(request),
+        connect: (url) => {
+          const ws = new WebSocket(url);
+          ws.addEventListener('close', closed);
+          return ws;
+        },
+      },
+    });
+    const reader = watched.channelStream(process.processid, 'chat').getReader();
+
+    const pending = reader.read();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    await reader.cancel();
+
+    expect(await pending).toEqual({ value: undefined, done: true });
+    await vi.waitFor(() => expect(closed).toHaveBeenCalled());
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Pull-based consumption of channel entries
+ * Async iterators and Web Streams on top of resumable subscriptions. When
+ * the consumer falls behind, the subscription is paused and resumed after
+ * the last received sequence once the buffer is drained.
+ */
+
+import type { ChannelEntry, ColoniesClient } from './client';
+import type { ChannelCodecOption } from './codec';
+import { AbortError } from './errors';
+import type { ChannelSubscription, WatchChannelOptions } from './subscription';
+
+const DEFAULT_HIGH_WATER_MARK = 1000;
+
+export interface ChannelEntriesOptions<C extends ChannelCodecOption = 'utf8'> extends WatchChannelOptions<C> {
+  /** Entries buffered before the subscription pauses until they are consumed (default: 1000) */
+  highWaterMark?: number;
+}
+
+function abortError(signal: AbortSignal): AbortError {
+  return new AbortError('Channel iteration aborted', { payloadtype: 'subscribechannelmsg', cause: signal.reason });
+}
+
+/**
+ * Iterate over the entries of a channel as they arrive. Iteration ends when
+ * the subscription closes, throws the error that closed it, and throws
+ * AbortError when the signal aborts.
+ */
+export async function* iterateChannel<T>(
+  client: ColoniesClient,
+  processId: string,
+  channelName: string,
+  options: ChannelEntriesOptions<ChannelCodecOption> = {}
+): AsyncGenerator<ChannelEntry<T>, void, undefined> {
+  const { highWaterMark = DEFAULT_HIGH_WATER_MARK, signal, ...watchOptions } = options;
+  if (signal?.aborted) throw abortError(signal);
+
+  const buffer: ChannelEntry<T>[] = [];
+  let ended = false;
+  let failure: Error | null = null;
+  let lastError: Error | null = null;
+  let wake: (() => void) | null = null;
+  const notify = () => {
+    wake?.();
+    wake = null;
+  };
+
+  const subscription = client.watchChannel(processId, channelName, watchOptions) as ChannelSubscription<T>;
+  subscription.on('entries', (entries) => {
+    buffer.push(...entries);
+    if (buffer.length >= highWaterMark) subscription.pause();
+    notify();
+  });
+  subscription.on('error', (err) => {
+    lastError = err;
+  });
+  subscription.on('state', (state) => {
+    if (state === 'open') lastError = null;
+    if (state === 'closed') {
+      ended = true;
+      failure = lastError;
+      notify();
+    }
+  });
+
+  const onAbort = () => notify();
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    while (true) {
+      if (signal?.aborted) throw abortError(signal);
+      if (buffer.length > 0) {
+        yield buffer.shift()!;
+        continue;
+      }
+      if (failure) throw failure;
+      if (ended) return;
+      subscription.resume();
+      await new Promise<void>((resolve) => {
+        wake = resolve;
+      });
+    }
+  } finally {
+    signal?.removeEventListener('abort', onAbort);
+    subscription.close();
+  }
+}
+
+/**
+ * Forward an optional outer signal to a controller owned by an adapter,
+ * which aborts it when the consumer cancels
+ */
+export function linkedController(signal?: AbortSignal): AbortController {
+  const controller = new AbortController();
+  if (signal?.aborted) {
+    controller.abort(signal.reason);
+  } else {
+    signal?.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
+  }
+  return controller;
+}
+
+/**
+ * ReadableStream of the payloads of a channel. The stream pulls entries one
+ * at a time, errors with the error that closed the subscription, and
+ * cancelling it closes the subscription.
+ */
+export function channelReadableStream<T>(
+  client: ColoniesClient,
+  processId: string,
+  channelName: string,
+  options: ChannelEntriesOptions<ChannelCodecOption> = {}
+): ReadableStream<T> {
+  const controller = linkedController(options.signal);
+  const entries = iterateChannel<T>(client, processId, channelName, { ...options, signal: controller.signal });
+
+  return new ReadableStream<T>(
+    {
+      async pull(stream) {
+        const { value, done } = await entries.next();
+        if (done) {
+          stream.close();
+        } else {
+          stream.enqueue(value.payload);
+        }
+      },
+      async cancel(reason) {
+        // Abort a pending pull, then end the generator if it waits at a yield
+        controller.abort(reason);
+        await entries.return().catch(() => {});
+      },
+    },
+    { highWaterMark: 0 }
+  );
+}
@@ -0,0 +1,217 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest';
+import { WebSocketServer } from 'ws';
+import { ColoniesTestServer } from './testing/server';
+import type { TestColony } from './testing/server';
+import type { ColoniesClient, Process } from './client';
+import { NotFoundError, ServerError, TransportError } from './errors';
+import { FetchTransport } from './transport';
+import type { Transport } from './transport';
+import { ChannelSubscription } from './subscription';
+import { splitMessage } from './chunking';
+import type { SubscriptionState } from './subscription';
+
+describe('ChannelSubscription', () => {
+  const server = new ColoniesTestServer();
+  let colony: TestColony;
+  let client: ColoniesClient;
+  let process: Process;
+
+  // Transport that records sockets and can refuse connections
+  function trackingTransport(refuse = 0): { transport: Transport; sockets: WebSocket[] } {
+    const fetchTransport = new FetchTransport();
+    const sockets: WebSocket[] = [];
+    let refused = 0;
+    const transport: Transport = {
+      send: (request) => fetchTransport.send(request),
+      connect: (url) => {
+        const ws = new WebSocket(refused++ < refuse ? 'ws://127.0.0.1:1/pubsub' : url);
+        sockets.push(ws);
+        return ws;
+      },
+    };
+    return { transport, sockets };
+  }
+
+  function watch(transport: Transport, options = {}) {
+    const watcher = server.client(colony.colonyPrvKey, { transport });
+    const subscription = watcher.watchChannel(process.processid, 'chat', {
+      reconnect: { initialDelay: 10, jitter: false },
+      ...options,
+    });
+    const payloads: string[] = [];
+    const states: SubscriptionState[] = [];
+    const errors: Error[] = [];
+    subscription.on('entries', (entries) => payloads.push(...entries.map((e) => e.payload)));
+    subscription.on('state', (state) => states.push(state));
+    subscription.on('error', (err) => errors.push(err));
+    return { subscription, payloads, states, errors };
+  }
+
+  beforeAll(async () => {
+    await server.start();
+  });
+
+  afterAll(async () => {
+    await server.stop();
+  });
+
+  beforeEach(async () => {
+    server.reset();
+    colony = await server.createColony('test');
+    client = server.client(colony.colonyPrvKey);
+    process = await client.submitFunctionSpec({ funcname: 'chat', channels: ['chat'], conditions: { colonyname: 'test' } });
+  });
+
+  it('should deliver existing and new entries', async () => {
+    await client.channelAppend(process.processid, 'chat', 1, 0, 'first');
+    const { transport } = trackingTransport();
+    const { subscription, payloads, states } = watch(transport);
+
+    expect(subscription).toBeInstanceOf(ChannelSubscription);
+    expect(subscription.state).toBe('connecting');
+    await vi.waitFor(() => expect(payloads).toEqual(['first']));
+    await client.channelAppend(process.processid, 'chat', 2, 0, 'second');
+    await vi.waitFor(() => expect(payloads).toEqual(['first', 'second']));
+
+    expect(states).toEqual(['open']);
+    expect(subscription.lastSequence).toBe(2);
+    subscription.close();
+    expect(states).toEqual(['open', 'closed']);
+  });
+
+  it('should resume after the last delivered sequence when the connection drops', async () => {
+    const { transport, sockets } = trackingTransport();
+    const { subscription, payloads, states } = watch(transport);
+    await client.channelAppend(process.processid, 'chat', 1, 0, 'before');
+    await vi.waitFor(() => expect(payloads).toEqual(['before']));
+
+    sockets[0].close();
+    await client.channelAppend(process.processid, 'chat', 2, 0, 'during');
+    await vi.waitFor(() => expect(payloads).toEqual(['before', 'during']));
+    await client.channelAppend(process.processid, 'chat', 3, 0, 'after');
+    await vi.waitFor(() => expect(payloads).toEqual(['before', 'during', 'after']));
+
+    expect(sockets).toHaveLength(2);
+    expect(states).toEqual(['open', 'reconnecting', 'open']);
+    subscription.close();
+  });
+
+  it('should reconnect with backoff until the server is reachable', async () => {
+    await client.channelAppend(process.processid, 'chat', 1, 0, 'hello');
+    const { transport, sockets } = trackingTransport(2);
+    const { subscription, payloads, states, errors } = watch(transport);
+
+    await vi.waitFor(() => expect(payloads).toEqual(['hello']));
+
+    expect(sockets).toHaveLength(3);
+    expect(states).toEqual(['reconnecting', 'open']);
+    expect(errors).toHaveLength(2);
+    expect(errors[0]).toBeInstanceOf(TransportError);
+    subscription.close();
+  });
+
+  it('should back off when the server accepts connections and then fails them', async () => {
+    // Accepts every subscription, replies with a server error and hangs up
+    const failing = new WebSocketServer({ port: 0 });
+    const connected: number[] = [];
+    failing.on('connection', (ws) => {
+      connected.push(Date.now());
+      ws.once('message', () => {
+        const payload = btoa(JSON.stringify({ status: 500, message: 'Internal error' }));
+        ws.send(JSON.stringify({ payloadtype: 'errormsg', payload, error: true }));
+        ws.close();
+      });
+    });
+    const { port } = failing.address() as { port: number };
+    const fetchTransport = new FetchTransport();
+    const transport: Transport = {
+      send: (request) => fetchTransport.send(request),
+      connect: () => new WebSocket(`ws://127.0.0.1:${port}/pubsub`),
+    };
+    const { subscription, errors } = watch(transport, {
+      reconnect: { initialDelay: 40, multiplier: 2, jitter: false },
+    });
+
+    await vi.waitFor(() => expect(connected).toHaveLength(4), { timeout: 2000 });
+    subscription.close();
+    await new Promise<void>((resolve) => failing.close(() => resolve()));
+
+    const gaps = connected.slice(1).map((time, i) => time - connected[i]);
+    expect(gaps[0]).toBeGreaterThanOrEqual(35);
+    expect(gaps[1]).toBeGreaterThan(gaps[0]);
+    expect(gaps[2]).toBeGreaterThan(gaps[1]);
+    expect(errors[0]).toBeInstanceOf(ServerError);
+  });
+
+  it('should stop when reconnect attempts run out', async () => {
+    const { transport, sockets } = trackingTransport(Infinity);
+    const { subscription, states, errors } = watch(transport, {
+      reconnect: { maxAttempts: 2, initialDelay: 10, jitter: false },
+    });
+
+    await vi.waitFor(() => expect(subscription.state).toBe('closed'));
+
+    expect(sockets).toHaveLength(2);
+    expect(states).toEqual(['reconnecting', 'closed']);
+    expect(errors[errors.length - 1]).toBeInstanceOf(TransportError);
+  });
+
+  it('should stop on errors that are not retried', async () => {
+    const { transport, sockets } = trackingTransport();
+    const watcher = server.client(colony.colonyPrvKey, { transport });
+    const subscription = watcher.watchChannel(process.processid, 'missing');
+    const errors: Error[] = [];
+    subscription.on('error', (err) => errors.push(err));
+
+    await vi.waitFor(() => expect(subscription.state).toBe('closed'));
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toBeInstanceOf(NotFoundError);
+    expect(sockets).toHaveLength(1);
+  });
+
+  it('should close when the signal aborts', async () => {
+    const controller = new AbortController();
+    const { transport } = trackingTransport();
+    const { subscription } = watch(transport, { signal: controller.signal });
+    await vi.waitFor(() => expect(subscription.state).toBe('open'));
+
+    controller.abort();
+
+    expect(subscription.state).toBe('closed');
+  });
+
+  it('should keep partially received chunked messages while paused', async () => {
+    const frames = splitMessage(new TextEncoder().encode('a'.repeat(100)), 40);
+    const append = (i: number) => client.channelAppend(process.processid, 'chat', i + 1, i === 0 ? 0 : 1, frames[i]);
+    const { transport, sockets } = trackingTransport();
+    const { subscription, payloads, states } = watch(transport, { chunked: true });
+    await append(0);
+    await append(1);
+    await vi.waitFor(() => expect(subscription.lastSequence).toBe(2));
+
+    subscription.pause();
+    await append(2);
+    await append(3);
+    expect(payloads).toEqual([]);
+    subscription.resume();
+
+    await vi.waitFor(() => expect(payloads).toEqual(['a'.repeat(100)]));
+    expect(sockets).toHaveLength(2);
+    expect(states).toEqual(['open', 'paused', 'connecting', 'open']);
+    subscription.close();
+  });
+
+  it('should decode payloads and advance the channel sequence through Channel.subscribe', async () => {
+    const chat = client.channel(process.processid, 'chat', { codec: 'json' });
+    expect(await chat.send({ n: 0 })).toBe(1);
+    await client.channelAppend(process.processid, 'chat', 7, 0, { n: 1 }, { codec: 'json' });
+    const subscription = chat.subscribe();
+    const received: unknown[] = [];
+    subscription.on('entries', (entries) => received.push(...entries.map((e) => e.payload)));
+
+    await vi.waitFor(() => expect(received).toEqual([{ n: 0 }, { n: 1 }]));
+    expect(await chat.send({ n: 2 })).toBe(8);
+    subscription.close();
+  });
+});
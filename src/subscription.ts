@@ -0,0 +1,285 @@
+/**
+ * Resumable channel subscriptions
+ * Reconnects with backoff when the WebSocket drops and resubscribes after
+ * the last received sequence, so no entry is lost or delivered twice.
+ */
+
+import type { ChannelEntry, ChannelOptions, ColoniesClient } from './client';
+import { ChannelCodec, ChannelCodecOption, resolveCodec } from './codec';
+import { ChunkAssembler, TransferProgress } from './chunking';
+import { ServerError, TransportError } from './errors';
+import { isRetryable, retryDelay, RetryPolicy } from './retry';
+
+// Seconds each subscription stays open; the subscription resumes when the server ends it
+const SUBSCRIPTION_TIMEOUT = 3600;
+// Milliseconds a connection stays open before reconnect attempts are counted from zero again
+const STABLE_CONNECTION_TIME = 5000;
+
+const DEFAULT_RECONNECT_POLICY: Required<RetryPolicy> = {
+  maxAttempts: Infinity,
+  initialDelay: 500,
+  maxDelay: 30000,
+  multiplier: 2,
+  jitter: true,
+  retryOn: [TransportError, ServerError],
+};
+
+export type SubscriptionState = 'connecting' | 'open' | 'reconnecting' | 'paused' | 'closed';
+
+export interface WatchChannelOptions<C extends ChannelCodecOption = 'utf8'> extends ChannelOptions<C> {
+  /** Deliver entries after this sequence number (default: 0) */
+  afterSeq?: number;
+  /**
+   * Backoff between reconnect attempts. maxAttempts counts attempts since
+   * entries last arrived or a connection last stayed open for 5 seconds
+   * (default: unlimited attempts, 500 ms growing to 30 s, retrying
+   * TransportError and ServerError).
+   */
+  reconnect?: RetryPolicy;
+  /** Reassemble messages sent by a channel handle with a chunkSize (default: false, frames are delivered as stored) */
+  chunked?: boolean;
+  /** Called as the frames of chunked messages arrive */
+  onProgress?: (progress: TransferProgress) => void;
+}
+
+export interface ChannelSubscriptionEvents<T> {
+  /** New entries, each delivered once. With `chunked`, chunked messages are delivered once complete. */
+  entries: (entries: ChannelEntry<T>[]) => void;
+  /** The connection state changed */
+  state: (state: SubscriptionState) => void;
+  /**
+   * A connection failed, a chunked message failed verification or was
+   * dropped incomplete, or the subscription stopped because of an error
+   */
+  error: (error: Error) => void;
+}
+
+type Listeners<T> = { [E in keyof ChannelSubscriptionEvents<T>]: Set<ChannelSubscriptionEvents<T>[E]> };
+
+/**
+ * Channel subscription that survives dropped connections, created with
+ * ColoniesClient.watchChannel()
+ *
+ * The subscription stops with state 'closed' when close() is called, the
+ * signal aborts, an error that is not retried occurs (e.g. NotFoundError once
+ * the process is gone) or reconnect attempts run out.
+ *
+ * @example
+ * const subscription = client.watchChannel(processId, 'chat');
+ * subscription.on('entries', (entries) => entries.forEach((e) => console.log(e.payload)));
+ * subscription.on('state', (state) => console.log('Connection:', state));
+ */
+export class ChannelSubscription<T = string> {
+  readonly processId: string;
+  readonly name: string;
+  private client: ColoniesClient;
+  private options: ChannelOptions<ChannelCodecOption>;
+  private codec: ChannelCodec<T>;
+  private assembler: ChunkAssembler | null;
+  private policy: Required<RetryPolicy>;
+  private _state: SubscriptionState = 'connecting';
+  private _lastSequence: number;
+  private attempt = 0;
+  private socket: WebSocket | null = null;
+  private socketError: Error | null = null;
+  private timer: ReturnType<typeof setTimeout> | null = null;
+  private stableTimer: ReturnType<typeof setTimeout> | null = null;
+  private listeners: Listeners<T> = { entries: new Set(), state: new Set(), error: new Set() };
+
+  /** @internal Subscriptions are created by ColoniesClient.watchChannel() */
+  constructor(
+    client: ColoniesClient,
+    processId: string,
+    name: string,
+    options: WatchChannelOptions<ChannelCodecOption> = {}
+  ) {
+    const { afterSeq = 0, reconnect, codec = 'utf8', chunked = false, onProgress, ...channelOptions } = options;
+    this.client = client;
+    this.processId = processId;
+    this.name = name;
+    this.options = channelOptions;
+    this.codec = resolveCodec(codec) as ChannelCodec<T>;
+    this.assembler = chunked ? new ChunkAssembler((err) => this.emit('error', err), onProgress) : null;
+    this.policy = { ...DEFAULT_RECONNECT_POLICY, ...reconnect };
+    this._lastSequence = afterSeq;
+
+    const signal = channelOptions.signal;
+    if (signal?.aborted) {
+      this._state = 'closed';
+      return;
+    }
+    signal?.addEventListener('abort', () => this.close(), { once: true });
+    // Connect once the caller has added listeners
+    queueMicrotask(() => this.connect());
+  }
+
+  get state(): SubscriptionState {
+    return this._state;
+  }
+
+  /** Sequence number of the last received entry, counting the frames of chunked messages */
+  get lastSequence(): number {
+    return this._lastSequence;
+  }
+
+  on<E extends keyof ChannelSubscriptionEvents<T>>(event: E, listener: ChannelSubscriptionEvents<T>[E]): this {
+    this.listeners[event].add(listener);
+    return this;
+  }
+
+  off<E extends keyof ChannelSubscriptionEvents<T>>(event: E, listener: ChannelSubscriptionEvents<T>[E]): this {
+    this.listeners[event].delete(listener);
+    return this;
+  }
+
+  /**
+   * Close the connection until resume() is called, e.g. while the consumer
+   * catches up. Chunked messages being received are kept.
+   */
+  pause(): void {
+    if (this._state === 'closed' || this._state === 'paused') return;
+    this.disconnect();
+    this.setState('paused');
+  }
+
+  /**
+   * Reconnect a paused subscription after the last received entry
+   */
+  resume(): void {
+    if (this._state !== 'paused') return;
+    this.attempt = 0;
+    this.setState('connecting');
+    this.connect();
+  }
+
+  /**
+   * Stop the subscription and close its connection
+   */
+  close(): void {
+    if (this._state === 'closed') return;
+    this.disconnect();
+    this.setState('closed');
+  }
+
+  private disconnect(): void {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+    this.clearStableTimer();
+    const socket = this.socket;
+    this.socket = null;
+    socket?.close();
+  }
+
+  private connect(): void {
+    if (this._state === 'closed' || this._state === 'paused') return;
+    this.attempt++;
+    this.socketError = null;
+
+    let socket: WebSocket;
+    try {
+      socket = this.client.subscribeChannel(
+        this.processId,
+        this.name,
+        this._lastSequence,
+        SUBSCRIPTION_TIMEOUT,
+        (entries) => this.deliver(entries),
+        (err) => this.onSocketError(socket, err),
+        () => this.onSocketClose(socket),
+        { ...this.options, codec: 'bytes', signal: undefined }
+      );
+    } catch (err) {
+      this.fail(err instanceof Error ? err : new Error(String(err)));
+      return;
+    }
+    this.socket = socket;
+    socket.addEventListener('open', () => {
+      if (this.socket !== socket) return;
+      // A server that accepts and then drops every connection must still back off
+      this.stableTimer = setTimeout(() => {
+        this.stableTimer = null;
+        this.attempt = 0;
+      }, STABLE_CONNECTION_TIME);
+      this.setState('open');
+    });
+  }
+
+  private clearStableTimer(): void {
+    if (this.stableTimer) clearTimeout(this.stableTimer);
+    this.stableTimer = null;
+  }
+
+  private deliver(entries: ChannelEntry<Uint8Array>[]): void {
+    const fresh = entries
+      .filter((entry) => entry.sequence > this._lastSequence)
+      .sort((a, b) => a.sequence - b.sequence);
+    if (fresh.length === 0) return;
+    this._lastSequence = fresh[fresh.length - 1].sequence;
+    this.attempt = 0;
+
+    const messages = this.assembler ? this.assembler.push(fresh) : fresh;
+    if (messages.length === 0) return;
+    let decoded: ChannelEntry<T>[];
+    try {
+      decoded = messages.map((entry) => ({ ...entry, payload: this.codec.decode(entry.payload) }));
+    } catch (err) {
+      this.fail(err instanceof Error ? err : new Error(String(err)));
+      return;
+    }
+    this.emit('entries', decoded);
+  }
+
+  private onSocketError(socket: WebSocket, err: Error): void {
+    if (this.socket !== socket) return;
+    if (isRetryable(err, this.policy)) {
+      // Reconnect once the socket has closed
+      this.socketError = err;
+      this.emit('error', err);
+    } else {
+      this.fail(err);
+    }
+  }
+
+  private onSocketClose(socket: WebSocket): void {
+    if (this.socket !== socket) return;
+    this.socket = null;
+    this.clearStableTimer();
+    if (this.attempt >= this.policy.maxAttempts) {
+      const message = `Channel subscription lost after ${this.attempt} attempts`;
+      this.fail(this.socketError ?? new TransportError(message, { payloadtype: 'subscribechannelmsg' }));
+      return;
+    }
+    // A working subscription ended without an error resumes right away
+    const delay =
+      this.attempt === 0 && !this.socketError ? 0 : retryDelay(this.policy, Math.max(this.attempt, 1));
+    this.setState('reconnecting');
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.connect();
+    }, delay);
+  }
+
+  private fail(err: Error): void {
+    this.emit('error', err);
+    this.close();
+  }
+
+  private setState(state: SubscriptionState): void {
+    if (this._state === state) return;
+    this._state = state;
+    this.emit('state', state);
+  }
+
+  private emit<E extends keyof ChannelSubscriptionEvents<T>>(
+    event: E,
+    ...args: Parameters<ChannelSubscriptionEvents<T>[E]>
+  ): void {
+    for (const listener of [...this.listeners[event]]) {
+      try {
+        (listener as (...args: unknown[]) => void)(...args);
+      } catch (err) {
+        if (event === 'error') throw err;
+        this.emit('error', err instanceof Error ? err : new Error(String(err)));
+      }
+    }
+  }
+}
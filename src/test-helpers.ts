@@ -0,0 +1,21 @@
+// Helpers shared by tests that mock fetch
+
+// Helper to decode base64 payload
+export function decodePayload(base64: string): any {
+  const binaryStr = atob(base64);
+  const bytes = new Uint8Array(binaryStr.length);
+  for (let i = 0; i < binaryStr.length; i++) {
+    bytes[i] = binaryStr.charCodeAt(i);
+  }
+  const jsonStr = new TextDecoder('utf-8').decode(bytes);
+  return JSON.parse(jsonStr);
+}
+
+// Helper to create mock response
+export function createMockResponse(data: any, error = false, status = 200): Response {
+  const payload = btoa(JSON.stringify(data));
+  return new Response(JSON.stringify({ payload, error }), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
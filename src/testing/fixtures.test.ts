@@ -0,0 +1,125 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { RecordingTransport, ReplayTransport, loadFixtures } from './fixtures';
+import { ColoniesTestServer } from './server';
+import { ColoniesClient, ProcessState } from '../client';
+import { generatePrivateKey } from '../crypto';
+import { NotFoundError, TransportError } from '../errors';
+
+describe('RecordingTransport / ReplayTransport', () => {
+  const server = new ColoniesTestServer();
+  let dir: string;
+
+  beforeAll(async () => {
+    await server.start();
+    dir = await mkdtemp(join(tmpdir(), 'colonies-fixtures-'));
+  });
+
+  afterAll(async () => {
+    await server.stop();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  // Submit a process and read it back, as in the integration tests
+  async function scenario(client: ColoniesClient) {
+    const submitted = await client.submitFunctionSpec({
+      funcname: 'echo',
+      args: ['hello'],
+      conditions: { colonyname: 'test', executortype: 'worker' },
+    });
+    const process = await client.getProcess(submitted.processid);
+    const missing = await client.getProcess('0'.repeat(64)).catch((err) => err);
+    return { submitted, process, missing };
+  }
+
+  it('should replay a recorded scenario without a server', async () => {
+    server.reset();
+    const colony = await server.createColony('test');
+    const recorder = new RecordingTransport();
+    const recorded = await scenario(server.client(colony.colonyPrvKey, { transport: recorder }));
+    const path = join(dir, 'scenario.json');
+    await recorder.save(path);
+
+    const replay = await ReplayTransport.load(path);
+    const client = new ColoniesClient({ host: 'unreachable.invalid', port: 1, transport: replay });
+    client.setPrivateKey(colony.colonyPrvKey);
+    const replayed = await scenario(client);
+
+    expect(replayed.submitted).toEqual(recorded.submitted);
+    expect(replayed.process.state).toBe(ProcessState.WAITING);
+    expect(replayed.missing).toBeInstanceOf(NotFoundError);
+    expect(replay.remaining).toEqual([]);
+  });
+
+  it('should store decoded payloads in the fixture file', async () => {
+    server.reset();
+    const colony = await server.createColony('test');
+    const recorder = new RecordingTransport();
+    await server.client(colony.colonyPrvKey, { transport: recorder }).getExecutors('test');
+    const path = join(dir, 'decoded.json');
+    await recorder.save(path);
+
+    const file = JSON.parse(await readFile(path, 'utf-8'));
+    expect(file.version).toBe(1);
+    expect(file.fixtures[0]).toMatchObject({
+      msgtype: 'getexecutorsmsg',
+      request: { msgtype: 'getexecutorsmsg', colonyname: 'test' },
+      response: { status: 200, reply: { payloadtype: 'getexecutorsmsg', payload: [], error: false } },
+    });
+    expect(await loadFixtures(path)).toEqual(file.fixtures);
+  });
+
+  it('should match requests regardless of the signing key', async () => {
+    const replay = new ReplayTransport([
+      {
+        msgtype: 'getprocessmsg',
+        request: { msgtype: 'getprocessmsg', processid: 'abc' },
+        response: { status: 200, reply: { payloadtype: 'getprocessmsg', payload: { processid: 'abc' } } },
+      },
+    ]);
+    const client = new ColoniesClient({ host: 'localhost', port: 50080, transport: replay });
+    client.setPrivateKey(generatePrivateKey());
+
+    expect(await client.getProcess('abc')).toEqual({ processid: 'abc' });
+  });
+
+  it('should use each fixture once', async () => {
+    const replay = new ReplayTransport([
+      {
+        msgtype: 'getcoloniesmsg',
+        request: { msgtype: 'getcoloniesmsg' },
+        response: { status: 200, reply: { payloadtype: 'getcoloniesmsg', payload: [] } },
+      },
+    ]);
+    const client = new ColoniesClient({ host: 'localhost', port: 50080, transport: replay });
+    client.setPrivateKey(generatePrivateKey());
+
+    await client.getColonies();
+    const err = await client.getColonies().catch((e) => e);
+    expect(err).toBeInstanceOf(TransportError);
+    expect(err.message).toContain('No recorded response for getcoloniesmsg');
+  });
+
+  it('should ignore configured payload fields when matching', async () => {
+    const replay = new ReplayTransport(
+      [
+        {
+          msgtype: 'assignprocessmsg',
+          request: { msgtype: 'assignprocessmsg', colonyname: 'test', timeout: 10 },
+          response: { status: 200, reply: { payloadtype: 'assignprocessmsg', payload: { processid: 'p1' } } },
+        },
+      ],
+      { ignoreFields: ['timeout'] }
+    );
+    const client = new ColoniesClient({ host: 'localhost', port: 50080, transport: replay });
+    client.setPrivateKey(generatePrivateKey());
+
+    expect(await client.assign('test', 1)).toEqual({ processid: 'p1' });
+  });
+
+  it('should not replay subscriptions', () => {
+    expect(() => new ReplayTransport([]).connect()).toThrow('Subscriptions cannot be replayed');
+  });
+});
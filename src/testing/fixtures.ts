@@ -0,0 +1,213 @@
+/**
+ * Record-and-replay transports for RPC traffic
+ * RecordingTransport captures request/response pairs sent through another
+ * transport; ReplayTransport answers requests from those recordings without
+ * a server. Requests are matched on msgtype and decoded payload, never on
+ * signatures, so replays work with any key.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { FetchTransport } from '../transport';
+import type { Transport, TransportRequest, TransportResponse } from '../transport';
+
+export interface RecordedResponse {
+  status: number;
+  statusText?: string;
+  /** Decoded reply: payload is the JSON value, not base64 */
+  reply?: { payloadtype?: string; payload?: unknown; error?: boolean };
+  /** Raw body, kept when the reply is not an RPC message */
+  body?: string;
+}
+
+export interface Fixture {
+  msgtype: string;
+  /** Decoded request payload */
+  request: Record<string, unknown>;
+  response: RecordedResponse;
+}
+
+export interface FixtureFile {
+  version: 1;
+  fixtures: Fixture[];
+}
+
+export interface ReplayOptions {
+  /**
+   * Payload fields left out of matching, as dotted paths such as
+   * 'spec.env' or 'timeout'
+   */
+  ignoreFields?: string[];
+}
+
+function decodePayload(payload: string): any {
+  return JSON.parse(Buffer.from(payload, 'base64').toString('utf-8'));
+}
+
+function encodePayload(value: unknown): string {
+  return Buffer.from(JSON.stringify(value), 'utf-8').toString('base64');
+}
+
+function recordResponse(response: TransportResponse): RecordedResponse {
+  const recorded: RecordedResponse = { status: response.status };
+  if (response.statusText) recorded.statusText = response.statusText;
+  try {
+    const reply = JSON.parse(response.body);
+    if (typeof reply?.payload !== 'string') throw new Error('Not an RPC message');
+    recorded.reply = { ...reply, payload: decodePayload(reply.payload) };
+  } catch {
+    recorded.body = response.body;
+  }
+  return recorded;
+}
+
+function replayResponse(recorded: RecordedResponse): TransportResponse {
+  const body =
+    recorded.reply !== undefined
+      ? JSON.stringify({ ...recorded.reply, payload: encodePayload(recorded.reply.payload) })
+      : recorded.body ?? '';
+  return { status: recorded.status, statusText: recorded.statusText, body };
+}
+
+// Stable JSON encoding with sorted keys, used to compare payloads
+function canonical(value: unknown): string {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value !== null && typeof value === 'object') {
+    const entries = Object.keys(value as object)
+      .sort()
+      .filter((key) => (value as any)[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonical((value as any)[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function omitPath(value: any, path: string[]): void {
+  if (value === null || typeof value !== 'object') return;
+  const [head, ...rest] = path;
+  if (rest.length === 0) {
+    delete value[head];
+  } else {
+    omitPath(value[head], rest);
+  }
+}
+
+/**
+ * Load fixtures saved by RecordingTransport.save()
+ * @param path - Fixture file
+ */
+export async function loadFixtures(path: string): Promise<Fixture[]> {
+  const file = JSON.parse(await readFile(path, 'utf-8')) as FixtureFile;
+  if (file.version !== 1 || !Array.isArray(file.fixtures)) {
+    throw new Error(`Unsupported fixture file: ${path}`);
+  }
+  return file.fixtures;
+}
+
+/**
+ * Transport that records every request and reply sent through another
+ * transport
+ *
+ * @example
+ * const recorder = new RecordingTransport();
+ * const client = new ColoniesClient({ host: 'localhost', port: 50080, transport: recorder });
+ * // ... run the scenario
+ * await recorder.save('fixtures/submit.json');
+ */
+export class RecordingTransport implements Transport {
+  private inner: Transport;
+  private recorded: Fixture[] = [];
+
+  /**
+   * @param inner - Transport that reaches the server (default: FetchTransport)
+   */
+  constructor(inner: Transport = new FetchTransport()) {
+    this.inner = inner;
+  }
+
+  /** Fixtures recorded so far, in request order */
+  get fixtures(): Fixture[] {
+    return this.recorded;
+  }
+
+  async send(request: TransportRequest): Promise<TransportResponse> {
+    const response = await this.inner.send(request);
+    this.recorded.push({
+      msgtype: request.message.payloadtype,
+      request: decodePayload(request.message.payload),
+      response: recordResponse(response),
+    });
+    return response;
+  }
+
+  connect(url: string): WebSocket {
+    return this.inner.connect ? this.inner.connect(url) : new WebSocket(url);
+  }
+
+  /**
+   * Write the recorded fixtures to a JSON file
+   * @param path - Fixture file
+   */
+  async save(path: string): Promise<void> {
+    const file: FixtureFile = { version: 1, fixtures: this.recorded };
+    await writeFile(path, JSON.stringify(file, null, 2) + '\n');
+  }
+}
+
+/**
+ * Transport that answers requests from recorded fixtures. Each fixture is
+ * used once, and the first unused fixture with the same msgtype and payload
+ * answers a request. Subscriptions cannot be replayed.
+ *
+ * @example
+ * const client = new ColoniesClient({
+ *   host: 'localhost',
+ *   port: 50080,
+ *   transport: await ReplayTransport.load('fixtures/submit.json'),
+ * });
+ */
+export class ReplayTransport implements Transport {
+  private pending: Fixture[];
+  private ignoreFields: string[][];
+
+  constructor(fixtures: Fixture[], options: ReplayOptions = {}) {
+    this.pending = [...fixtures];
+    this.ignoreFields = (options.ignoreFields ?? []).map((field) => field.split('.'));
+  }
+
+  /**
+   * Create a replay transport from a fixture file
+   * @param path - Fixture file saved by RecordingTransport.save()
+   * @param options - Matching options
+   */
+  static async load(path: string, options?: ReplayOptions): Promise<ReplayTransport> {
+    return new ReplayTransport(await loadFixtures(path), options);
+  }
+
+  /** Fixtures that have not been replayed yet */
+  get remaining(): Fixture[] {
+    return [...this.pending];
+  }
+
+  async send(request: TransportRequest): Promise<TransportResponse> {
+    const msgtype = request.message.payloadtype;
+    const key = this.matchKey(decodePayload(request.message.payload));
+    const index = this.pending.findIndex(
+      (fixture) => fixture.msgtype === msgtype && this.matchKey(fixture.request) === key
+    );
+    if (index === -1) {
+      throw new Error(`No recorded response for ${msgtype}: ${key}`);
+    }
+    const [fixture] = this.pending.splice(index, 1);
+    return replayResponse(fixture.response);
+  }
+
+  connect(): WebSocket {
+    throw new Error('Subscriptions cannot be replayed');
+  }
+
+  private matchKey(payload: Record<string, unknown>): string {
+    const copy = JSON.parse(JSON.stringify(payload));
+    for (const path of this.ignoreFields) omitPath(copy, path);
+    return canonical(copy);
+  }
+}
@@ -0,0 +1,8 @@
+/**
+ * Test utilities, imported from 'colonies-ts/testing' (Node.js only)
+ */
+
+export { ColoniesTestServer } from './server';
+export { RecordingTransport, ReplayTransport, loadFixtures } from './fixtures';
+export type { TestServerOptions, TestColony, TestExecutor } from './server';
+export type { Fixture, FixtureFile, RecordedResponse, ReplayOptions } from './fixtures';
@@ -0,0 +1,422 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import { ColoniesTestServer } from './server';
+import type { TestColony } from './server';
+import { ColoniesClient, ProcessState } from '../client';
+import type { ChannelEntry, Process } from '../client';
+import { ColoniesExecutor } from '../executor';
+import { deriveId, generatePrivateKey } from '../crypto';
+import { FetchTransport } from '../transport';
+import { ConflictError, ColoniesTimeoutError, NotFoundError, ProcessFailedError, UnauthorizedError } from '../errors';
+
+describe('ColoniesTestServer', () => {
+  const server = new ColoniesTestServer();
+  let colony: TestColony;
+  let client: ColoniesClient;
+
+  beforeAll(async () => {
+    await server.start();
+  });
+
+  afterAll(async () => {
+    await server.stop();
+  });
+
+  beforeEach(async () => {
+    server.reset();
+    colony = await server.createColony('test');
+    client = server.client(colony.colonyPrvKey, { validate: true });
+  });
+
+  describe('Colonies and executors', () => {
+    it('should manage colonies with the server key', async () => {
+      const colonies = await server.client().getColonies();
+      expect(colonies).toEqual([{ colonyid: colony.colonyId, name: 'test' }]);
+      await expect(server.createColony('test')).rejects.toBeInstanceOf(ConflictError);
+    });
+
+    it('should reject server calls signed with another key', async () => {
+      await expect(client.getColonies()).rejects.toBeInstanceOf(UnauthorizedError);
+    });
+
+    it('should only accept approved executors as members', async () => {
+      const executorPrvKey = generatePrivateKey();
+      const executor = server.client(executorPrvKey);
+      await client.addExecutor({
+        executorid: deriveId(executorPrvKey),
+        executortype: 'worker',
+        executorname: 'pending',
+        colonyname: 'test',
+      });
+
+      await expect(executor.getExecutors('test')).rejects.toBeInstanceOf(UnauthorizedError);
+      await client.approveExecutor('test', 'pending');
+      const executors = await executor.getExecutors('test');
+      expect(executors.map((e) => e.executorname)).toEqual(['pending']);
+    });
+
+    it('should report unknown resources as not found', async () => {
+      await expect(client.getExecutor('test', 'missing')).rejects.toBeInstanceOf(NotFoundError);
+      await expect(client.getProcess('0'.repeat(64))).rejects.toBeInstanceOf(NotFoundError);
+    });
+  });
+
+  describe('Processes', () => {
+    it('should assign, log and close processes', async () => {
+      const { executorPrvKey } = await server.createExecutor(colony, 'worker-1', 'worker');
+      const submitted = await client.submitFunctionSpec({
+        funcname: 'echo',
+        args: ['hello'],
+        conditions: { colonyname: 'test', executortype: 'worker' },
+      });
+      expect(submitted.state).toBe(ProcessState.WAITING);
+
+      const executor = server.client(executorPrvKey);
+      const assigned = await executor.assign('test', 1);
+      expect(assigned.processid).toBe(submitted.processid);
+      expect(assigned.state).toBe(ProcessState.RUNNING);
+      expect(assigned.assignedexecutorname).toBe('worker-1');
+
+      await executor.addLog(assigned.processid, 'working');
+      await expect(client.closeProcess(assigned.processid, ['x'])).rejects.toBeInstanceOf(UnauthorizedError);
+      await executor.closeProcess(assigned.processid, ['hello']);
+
+      const closed = await client.getProcess(submitted.processid);
+      expect(closed.state).toBe(ProcessState.SUCCESS);
+      expect(closed.out).toEqual(['hello']);
+
+      const logs = await client.getLogs('test', submitted.processid, '', 10, 0);
+      expect(logs.map((log) => log.message)).toEqual(['working']);
+      expect(await client.getLogs('test', submitted.processid, '', 10, logs[0].timestamp)).toEqual([]);
+    });
+
+    it('should time out assign when no process is available', async () => {
+      const { executorPrvKey } = await server.createExecutor(colony, 'worker-1', 'worker');
+      await expect(server.client(executorPrvKey).assign('test', 0.1)).rejects.toBeInstanceOf(ColoniesTimeoutError);
+    });
+
+    it('should hand a waiting assign the next submitted process', async () => {
+      const { executorPrvKey } = await server.createExecutor(colony, 'worker-1', 'worker');
+      const assigning = server.client(executorPrvKey).assign('test', 5);
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      const submitted = await client.submitFunctionSpec({
+        funcname: 'echo',
+        conditions: { colonyname: 'test', executortype: 'worker' },
+      });
+
+      expect((await assigning).processid).toBe(submitted.processid);
+    });
+
+    it('should only assign processes matching the executor type', async () => {
+      const { executorPrvKey } = await server.createExecutor(colony, 'worker-1', 'worker');
+      await client.submitFunctionSpec({ funcname: 'echo', conditions: { colonyname: 'test', executortype: 'gpu' } });
+      await expect(server.client(executorPrvKey).assign('test', 0.1)).rejects.toBeInstanceOf(ColoniesTimeoutError);
+    });
+
+    it('should run processes with ColoniesExecutor', async () => {
+      const executor = new ColoniesExecutor(server.client(), {
+        colonyName: 'test',
+        executorName: 'echo-executor',
+        executorType: 'echo',
+        executorPrvKey: generatePrivateKey(),
+        colonyPrvKey: colony.colonyPrvKey,
+        assignTimeout: 1,
+      });
+      executor.handle('echo', async (process) => process.spec.args ?? []);
+      await executor.register();
+      await executor.registerFunctions();
+
+      const submitted = await client.submitFunctionSpec({
+        funcname: 'echo',
+        args: ['hi'],
+        conditions: { colonyname: 'test', executortype: 'echo' },
+      });
+      await executor.assignAndHandle();
+
+      expect((await client.getProcess(submitted.processid)).out).toEqual(['hi']);
+      const functions = await client.getFunctions('echo-executor', 'test');
+      expect(functions.map((f) => f.funcname)).toEqual(['echo']);
+    });
+
+    it('should notify process subscribers when the state is reached', async () => {
+      const { executorPrvKey } = await server.createExecutor(colony, 'worker-1', 'worker');
+      const submitted = await client.submitFunctionSpec({
+        funcname: 'echo',
+        conditions: { colonyname: 'test', executortype: 'worker' },
+      });
+
+      const notified = new Promise<Process>((resolve, reject) => {
+        client.subscribeProcess('test', submitted.processid, ProcessState.SUCCESS, 5, resolve, reject, () => {});
+      });
+      const executor = server.client(executorPrvKey);
+      const assigned = await executor.assign('test', 1);
+      await executor.closeProcess(assigned.processid, ['done']);
+
+      const process = await notified;
+      expect(process.state).toBe(ProcessState.SUCCESS);
+      expect(process.out).toEqual(['done']);
+    });
+  });
+
+  describe('Waiting for processes', () => {
+    const spec = { funcname: 'echo', conditions: { colonyname: 'test', executortype: 'worker' } };
+
+    it('should resolve submitAndWait once the process succeeds', async () => {
+      const { executorPrvKey } = await server.createExecutor(colony, 'worker-1', 'worker');
+      const executor = server.client(executorPrvKey);
+      void executor.assign('test', 5).then((process) => executor.closeProcess(process.processid, ['result']));
+
+      const process = await client.submitAndWait(spec, { timeout: 5000 });
+
+      expect(process.state).toBe(ProcessState.SUCCESS);
+      expect(process.out).toEqual(['result']);
+    });
+
+    it('should reject with ProcessFailedError when the process fails', async () => {
+      const { executorPrvKey } = await server.createExecutor(colony, 'worker-1', 'worker');
+      const submitted = await client.submitFunctionSpec(spec);
+      const waiting = client.waitForProcess(submitted.processid, { timeout: 5000 });
+
+      const executor = server.client(executorPrvKey);
+      const assigned = await executor.assign('test', 1);
+      await executor.failProcess(assigned.processid, ['division by zero']);
+
+      const err = await waiting.catch((e) => e);
+      expect(err).toBeInstanceOf(ProcessFailedError);
+      expect(err.errors).toEqual(['division by zero']);
+    });
+
+    it('should open a single subscription per wait', async () => {
+      const sockets: WebSocket[] = [];
+      const fetchTransport = new FetchTransport();
+      const watcher = server.client(colony.colonyPrvKey, {
+        transport: {
+          send: (request) => fetchTransport.send(request),
+          connect: (url) => {
+            const ws = new WebSocket(url);
+            sockets.push(ws);
+            return ws;
+          },
+        },
+      });
+      const { executorPrvKey } = await server.createExecutor(colony, 'worker-1', 'worker');
+      const submitted = await client.submitFunctionSpec(spec);
+      const waiting = watcher.waitForProcess(submitted.processid, { timeout: 5000 });
+
+      const executor = server.client(executorPrvKey);
+      const assigned = await executor.assign('test', 1);
+      await executor.closeProcess(assigned.processid, ['done']);
+
+      expect((await waiting).state).toBe(ProcessState.SUCCESS);
+      expect(sockets).toHaveLength(1);
+    });
+
+    it('should wait for intermediate states', async () => {
+      const { executorPrvKey } = await server.createExecutor(colony, 'worker-1', 'worker');
+      const submitted = await client.submitFunctionSpec(spec);
+      const waiting = client.waitForProcess(submitted.processid, { state: ProcessState.RUNNING, timeout: 5000 });
+      await server.client(executorPrvKey).assign('test', 1);
+
+      expect((await waiting).assignedexecutorname).toBe('worker-1');
+    });
+
+    it('should time out when the process does not finish', async () => {
+      const submitted = await client.submitFunctionSpec(spec);
+      await expect(client.waitForProcess(submitted.processid, { timeout: 100 })).rejects.toBeInstanceOf(
+        ColoniesTimeoutError
+      );
+    });
+  });
+
+  describe('Paging', () => {
+    it('should walk every process with the iterators', async () => {
+      const { executorPrvKey } = await server.createExecutor(colony, 'worker-1', 'worker');
+      const submitted: string[] = [];
+      for (let i = 0; i < 7; i++) {
+        const process = await client.submitFunctionSpec({ funcname: `f${i}`, conditions: { colonyname: 'test' } });
+        submitted.push(process.processid);
+      }
+      const executor = server.client(executorPrvKey);
+      const running = await executor.assign('test', 1);
+      for (let i = 0; i < 5; i++) await executor.addLog(running.processid, `log ${i}`);
+
+      const processes: string[] = [];
+      for await (const process of client.iterateProcesses('test', -1, { pageSize: 3 })) {
+        processes.push(process.processid);
+      }
+      const logs: string[] = [];
+      for await (const log of client.iterateLogs('test', running.processid, '', 0, { pageSize: 2 })) {
+        logs.push(log.message);
+      }
+
+      expect(processes).toEqual(submitted);
+      expect(logs).toEqual(['log 0', 'log 1', 'log 2', 'log 3', 'log 4']);
+    });
+
+    it('should walk every cron and process graph', async () => {
+      for (let i = 0; i < 5; i++) {
+        await client.addCron({ colonyname: 'test', name: `cron-${i}`, cron: '* * * * *' });
+        await client.submitWorkflowSpec({ colonyname: 'test', functionspecs: [{ nodename: 'a', funcname: 'a' }] });
+      }
+
+      const crons: string[] = [];
+      for await (const cron of client.iterateCrons('test', { pageSize: 2 })) crons.push(cron.name);
+      let graphs = 0;
+      for await (const _graph of client.iterateProcessGraphs('test', undefined, { pageSize: 2 })) graphs++;
+
+      expect(crons).toEqual(['cron-0', 'cron-1', 'cron-2', 'cron-3', 'cron-4']);
+      expect(graphs).toBe(5);
+    });
+  });
+
+  describe('Workflows', () => {
+    it('should release children once their parents succeed', async () => {
+      const { executorPrvKey } = await server.createExecutor(colony, 'worker-1', 'worker');
+      const conditions = { colonyname: 'test', executortype: 'worker' };
+      const graph = await client.submitWorkflowSpec({
+        colonyname: 'test',
+        functionspecs: [
+          { nodename: 'first', funcname: 'a', conditions: { ...conditions, dependencies: [] } },
+          { nodename: 'second', funcname: 'b', conditions: { ...conditions, dependencies: ['first'] } },
+        ],
+      });
+      const executor = server.client(executorPrvKey);
+
+      const first = await executor.assign('test', 0.1);
+      expect(first.spec.funcname).toBe('a');
+      await expect(executor.assign('test', 0.1)).rejects.toBeInstanceOf(ColoniesTimeoutError);
+      await executor.closeProcess(first.processid, []);
+
+      const second = await executor.assign('test', 0.1);
+      expect(second.spec.funcname).toBe('b');
+      await executor.closeProcess(second.processid, []);
+
+      expect((await client.getProcessGraph(graph.processgraphid)).state).toBe(ProcessState.SUCCESS);
+      const processes = await client.getProcessesForWorkflow(graph.processgraphid, 'test');
+      expect(processes).toHaveLength(2);
+    });
+
+    it('should reject dependencies on unknown nodes', async () => {
+      await expect(
+        client.submitWorkflowSpec({
+          colonyname: 'test',
+          functionspecs: [{ nodename: 'a', funcname: 'a', conditions: { dependencies: ['missing'] } }],
+        })
+      ).rejects.toThrow('depends on unknown node missing');
+    });
+  });
+
+  describe('Channels', () => {
+    it('should append, read and stream channel entries', async () => {
+      const { executorPrvKey } = await server.createExecutor(colony, 'worker-1', 'worker');
+      const submitted = await client.submitFunctionSpec({
+        funcname: 'chat',
+        channels: ['chat'],
+        conditions: { colonyname: 'test', executortype: 'worker' },
+      });
+      const executor = server.client(executorPrvKey);
+      await executor.assign('test', 1);
+
+      await client.channelAppend(submitted.processid, 'chat', 1, 0, 'hello');
+      expect((await executor.channelRead(submitted.processid, 'chat', 0, 0)).map((e) => e.payload)).toEqual(['hello']);
+
+      const received: ChannelEntry[] = [];
+      const done = new Promise<void>((resolve, reject) => {
+        executor.subscribeChannel(
+          submitted.processid,
+          'chat',
+          0,
+          5,
+          (entries) => {
+            received.push(...entries);
+            if (received.length === 2) resolve();
+          },
+          reject,
+          () => {}
+        );
+      });
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      await client.channelAppend(submitted.processid, 'chat', 2, 1, 'world');
+      await done;
+
+      expect(received.map((e) => [e.sequence, e.payload])).toEqual([
+        [1, 'hello'],
+        [2, 'world'],
+      ]);
+    });
+
+    it('should round-trip binary payloads', async () => {
+      const submitted = await client.submitFunctionSpec({
+        funcname: 'sensor',
+        channels: ['frames'],
+        conditions: { colonyname: 'test' },
+      });
+      const frame = new Uint8Array(256).map((_, i) => i);
+      await client.channelAppend(submitted.processid, 'frames', 1, 0, frame);
+
+      const [entry] = await client.channelRead(submitted.processid, 'frames', 0, 0, { codec: 'bytes' });
+      expect(entry.payload).toEqual(frame);
+
+      const streamed = await new Promise<Uint8Array>((resolve, reject) => {
+        const ws = client.subscribeChannel(
+          submitted.processid,
+          'frames',
+          0,
+          5,
+          (entries) => {
+            ws.close();
+            resolve(entries[0].payload);
+          },
+          reject,
+          () => {},
+          { codec: 'bytes' }
+        );
+      });
+      expect(streamed).toEqual(frame);
+    });
+
+    it('should reject channels the process does not declare', async () => {
+      const submitted = await client.submitFunctionSpec({ funcname: 'chat', conditions: { colonyname: 'test' } });
+      await expect(client.channelAppend(submitted.processid, 'other', 1, 0, 'x')).rejects.toBeInstanceOf(NotFoundError);
+    });
+  });
+
+  describe('Crons and blueprints', () => {
+    it('should submit the workflow of a cron when run', async () => {
+      const cron = await client.addCron({
+        colonyname: 'test',
+        name: 'nightly',
+        cron: '0 0 * * *',
+        workflowspec: { colonyname: 'test', functionspecs: [{ nodename: 'job', funcname: 'job' }] },
+      });
+      await client.runCron(cron.cronid!);
+
+      expect(await client.getProcessGraphs('test', 10)).toHaveLength(1);
+      expect((await client.getCrons('test')).map((c) => c.name)).toEqual(['nightly']);
+    });
+
+    it('should submit reconcile processes for blueprint changes', async () => {
+      await client.addBlueprintDefinition({ kind: 'Service', metadata: { name: 'services', colonyname: 'test' } });
+      const blueprint = await client.addBlueprint({
+        kind: 'Service',
+        metadata: { name: 'web', colonyname: 'test' },
+        handler: { executortype: 'reconciler' },
+        spec: { replicas: 1 },
+      });
+      await client.updateBlueprint({ ...blueprint, spec: { replicas: 2 } });
+
+      const processes = await client.getProcesses('test', 10, ProcessState.WAITING);
+      expect(processes.map((p) => p.spec.kwargs)).toEqual([
+        { kind: 'Service', blueprintName: 'web' },
+        { kind: 'Service', blueprintName: 'web' },
+      ]);
+      const history = await client.getBlueprintHistory(blueprint.blueprintid!);
+      expect(history.map((b) => b.spec.replicas)).toEqual([2, 1]);
+    });
+
+    it('should require a definition for the blueprint kind', async () => {
+      await expect(
+        client.addBlueprint({ kind: 'Unknown', metadata: { name: 'x', colonyname: 'test' }, spec: {} })
+      ).rejects.toBeInstanceOf(NotFoundError);
+    });
+  });
+});
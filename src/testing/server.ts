@@ -0,0 +1,341 @@
+/**
+ * In-memory ColonyOS stand-in server for offline testing (Node.js only)
+ * Speaks the signed RPC protocol on /api and /pubsub so that ColoniesClient
+ * and ColoniesExecutor can run against it without a real server.
+ */
+
+import { createServer, IncomingMessage, Server, ServerResponse } from 'node:http';
+import type { AddressInfo } from 'node:net';
+import { WebSocketServer, WebSocket } from 'ws';
+import { deriveId, generatePrivateKey, recoverId } from '../crypto';
+import { ColoniesClient } from '../client';
+import type { ColoniesClientConfig, Executor } from '../client';
+import { CallerContext, RPCError, StoredChannelEntry, StoredProcess, TestServerState } from './state';
+
+export interface TestServerOptions {
+  /** Private key of the server owner (default: a new random key) */
+  serverPrvKey?: string;
+  /** Interface to listen on (default: 127.0.0.1) */
+  host?: string;
+  /** Port to listen on, 0 picks a free port (default: 0) */
+  port?: number;
+}
+
+export interface TestExecutor {
+  executor: Executor;
+  executorPrvKey: string;
+}
+
+export interface TestColony {
+  colonyName: string;
+  colonyPrvKey: string;
+  colonyId: string;
+}
+
+interface SignedMessage {
+  msg: any;
+  callerId: string;
+}
+
+function encodePayload(value: unknown): string {
+  return Buffer.from(JSON.stringify(value ?? {}), 'utf-8').toString('base64');
+}
+
+function replyMessage(payloadtype: string, value: unknown): string {
+  return JSON.stringify({ payloadtype, payload: encodePayload(value), error: false });
+}
+
+function errorMessage(status: number, message: string): string {
+  return JSON.stringify({ payloadtype: 'errormsg', payload: encodePayload({ status, message }), error: true });
+}
+
+function toRPCError(err: unknown): RPCError {
+  if (err instanceof RPCError) return err;
+  return new RPCError(500, err instanceof Error ? err.message : String(err));
+}
+
+/**
+ * Recover the caller of a signed RPC message and decode its payload
+ * @throws RPCError if the message is malformed or the signature is invalid
+ */
+function openMessage(body: string): SignedMessage {
+  let rpcMsg: any;
+  try {
+    rpcMsg = JSON.parse(body);
+  } catch {
+    throw new RPCError(400, 'Invalid RPC message');
+  }
+  if (typeof rpcMsg?.payload !== 'string' || typeof rpcMsg.signature !== 'string') {
+    throw new RPCError(400, 'Invalid RPC message');
+  }
+
+  let callerId: string;
+  try {
+    callerId = recoverId(rpcMsg.payload, rpcMsg.signature);
+  } catch {
+    throw new RPCError(403, 'Invalid signature');
+  }
+
+  let msg: any;
+  try {
+    msg = JSON.parse(Buffer.from(rpcMsg.payload, 'base64').toString('utf-8'));
+  } catch {
+    throw new RPCError(400, 'Invalid RPC payload');
+  }
+  if (msg?.msgtype !== rpcMsg.payloadtype) {
+    throw new RPCError(400, 'Payload type does not match message type');
+  }
+  return { msg, callerId };
+}
+
+/**
+ * ColonyOS server stand-in keeping all state in memory
+ *
+ * @example
+ * const server = new ColoniesTestServer();
+ * await server.start();
+ * const { colonyName, colonyPrvKey } = await server.createColony('test');
+ * const client = server.client(colonyPrvKey);
+ * // ...
+ * await server.stop();
+ */
+export class ColoniesTestServer {
+  private options: TestServerOptions;
+  private _serverPrvKey: string;
+  private _serverId: string;
+  private state: TestServerState;
+  private httpServer: Server | null = null;
+  private wss: WebSocketServer | null = null;
+  private _port = 0;
+
+  constructor(options: TestServerOptions = {}) {
+    this.options = options;
+    this._serverPrvKey = options.serverPrvKey ?? generatePrivateKey();
+    this._serverId = deriveId(this._serverPrvKey);
+    this.state = this.createState();
+  }
+
+  get host(): string {
+    return this.options.host ?? '127.0.0.1';
+  }
+
+  /** Port the server listens on, known once started */
+  get port(): number {
+    return this._port;
+  }
+
+  get serverPrvKey(): string {
+    return this._serverPrvKey;
+  }
+
+  get serverId(): string {
+    return this._serverId;
+  }
+
+  /**
+   * Start listening for RPC requests and subscriptions
+   */
+  async start(): Promise<void> {
+    if (this.httpServer) {
+      throw new Error('Test server already started');
+    }
+    const httpServer = createServer((req, res) => this.handleRequest(req, res));
+    const wss = new WebSocketServer({ server: httpServer, path: '/pubsub' });
+    wss.on('connection', (ws) => this.handleConnection(ws));
+
+    await new Promise<void>((resolve, reject) => {
+      httpServer.once('error', reject);
+      httpServer.listen(this.options.port ?? 0, this.host, () => {
+        httpServer.off('error', reject);
+        resolve();
+      });
+    });
+    this.httpServer = httpServer;
+    this.wss = wss;
+    this._port = (httpServer.address() as AddressInfo).port;
+  }
+
+  /**
+   * Close all connections and stop listening. Pending assign calls and
+   * subscriptions are dropped.
+   */
+  async stop(): Promise<void> {
+    const httpServer = this.httpServer;
+    const wss = this.wss;
+    if (!httpServer || !wss) return;
+    this.httpServer = null;
+    this.wss = null;
+
+    for (const ws of wss.clients) ws.terminate();
+    await new Promise<void>((resolve) => wss.close(() => resolve()));
+    httpServer.closeAllConnections();
+    await new Promise<void>((resolve) => httpServer.close(() => resolve()));
+    this.state.close();
+  }
+
+  /**
+   * Drop all colonies, executors, processes and other state
+   */
+  reset(): void {
+    this.state.close();
+    this.state = this.createState();
+  }
+
+  /**
+   * Create a client connected to this server
+   * @param privateKey - Key to sign requests with (default: the server key)
+   * @param config - Additional client configuration
+   */
+  client(privateKey: string = this._serverPrvKey, config: Partial<ColoniesClientConfig> = {}): ColoniesClient {
+    const client = new ColoniesClient({ ...config, host: this.host, port: this._port, tls: false });
+    if (!config.signer) client.setPrivateKey(privateKey);
+    return client;
+  }
+
+  /**
+   * Add a colony owned by a new key
+   * @param name - Colony name
+   */
+  async createColony(name: string): Promise<TestColony> {
+    const colonyPrvKey = generatePrivateKey();
+    const colonyId = deriveId(colonyPrvKey);
+    await this.client().addColony({ colonyid: colonyId, name });
+    return { colonyName: name, colonyPrvKey, colonyId };
+  }
+
+  /**
+   * Add and approve an executor with a new key
+   * @param colony - Colony returned by createColony()
+   * @param executorName - Executor name
+   * @param executorType - Executor type matched against process conditions
+   */
+  async createExecutor(colony: TestColony, executorName: string, executorType: string): Promise<TestExecutor> {
+    const executorPrvKey = generatePrivateKey();
+    const client = this.client(colony.colonyPrvKey);
+    await client.addExecutor({
+      executorid: deriveId(executorPrvKey),
+      executortype: executorType,
+      executorname: executorName,
+      colonyname: colony.colonyName,
+    });
+    const executor = await client.approveExecutor(colony.colonyName, executorName);
+    return { executor, executorPrvKey };
+  }
+
+  private createState(): TestServerState {
+    const state = new TestServerState(this._serverId);
+    // Every open subscription adds a listener
+    state.setMaxListeners(0);
+    return state;
+  }
+
+  // ==================== HTTP ====================
+
+  private handleRequest(req: IncomingMessage, res: ServerResponse): void {
+    if (req.method !== 'POST' || req.url !== '/api') {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found');
+      return;
+    }
+
+    const chunks: Buffer[] = [];
+    req.on('data', (chunk: Buffer) => chunks.push(chunk));
+    req.on('end', () => {
+      void this.dispatch(Buffer.concat(chunks).toString('utf-8'), res);
+    });
+  }
+
+  private async dispatch(body: string, res: ServerResponse): Promise<void> {
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+
+    let status = 200;
+    let reply: string;
+    try {
+      const { msg, callerId } = openMessage(body);
+      const result = await this.state.handle(msg, { callerId, signal: controller.signal });
+      reply = replyMessage(msg.msgtype, result);
+    } catch (err) {
+      const rpcError = toRPCError(err);
+      status = rpcError.status;
+      reply = errorMessage(rpcError.status, rpcError.message);
+    }
+
+    if (controller.signal.aborted) return;
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(reply);
+  }
+
+  // ==================== WebSocket ====================
+
+  private handleConnection(ws: WebSocket): void {
+    ws.once('message', (data) => {
+      try {
+        const { msg, callerId } = openMessage(data.toString());
+        const context: CallerContext = { callerId, signal: new AbortController().signal };
+        if (msg.msgtype === 'subscribechannelmsg') {
+          this.subscribeChannel(ws, msg, context);
+        } else if (msg.msgtype === 'subscribeprocessmsg') {
+          this.subscribeProcess(ws, msg, context);
+        } else {
+          throw new RPCError(400, `Unsupported message type: ${msg.msgtype}`);
+        }
+      } catch (err) {
+        const rpcError = toRPCError(err);
+        ws.send(errorMessage(rpcError.status, rpcError.message));
+        ws.close();
+      }
+    });
+  }
+
+  private subscribeChannel(ws: WebSocket, msg: any, context: CallerContext): void {
+    const state = this.state;
+    const existing = state.channelRead(msg.processid, msg.name, msg.afterseq ?? 0, 0, context);
+    let lastSequence = msg.afterseq ?? 0;
+    if (existing.length > 0) {
+      ws.send(replyMessage(msg.msgtype, existing));
+      lastSequence = existing[existing.length - 1].sequence;
+    }
+
+    const onEntry = (processId: string, name: string, entry: StoredChannelEntry) => {
+      if (processId !== msg.processid || name !== msg.name || entry.sequence <= lastSequence) return;
+      ws.send(replyMessage(msg.msgtype, [entry]));
+    };
+    state.on('channel', onEntry);
+
+    const timer = msg.timeout > 0 ? setTimeout(() => ws.close(), msg.timeout * 1000) : null;
+    ws.on('close', () => {
+      if (timer) clearTimeout(timer);
+      state.off('channel', onEntry);
+    });
+  }
+
+  private subscribeProcess(ws: WebSocket, msg: any, context: CallerContext): void {
+    const state = this.state;
+    const process = state.getProcess(msg.processid, context);
+    if (process.state === msg.state) {
+      ws.send(replyMessage(msg.msgtype, process));
+      ws.close();
+      return;
+    }
+
+    const onProcess = (changed: StoredProcess) => {
+      if (changed.processid !== msg.processid || changed.state !== msg.state) return;
+      ws.send(replyMessage(msg.msgtype, changed));
+      ws.close();
+    };
+    state.on('process', onProcess);
+
+    const timer =
+      msg.timeout > 0
+        ? setTimeout(() => {
+          ws.send(errorMessage(408, 'Failed to subscribe to process, timeout'));
+          ws.close();
+        }, msg.timeout * 1000)
+        : null;
+    ws.on('close', () => {
+      if (timer) clearTimeout(timer);
+      state.off('process', onProcess);
+    });
+  }
+}
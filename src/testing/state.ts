@@ -0,0 +1,993 @@
+/**
+ * In-memory state and RPC handlers of the ColonyOS stand-in server
+ */
+
+import { EventEmitter } from 'node:events';
+import { randomBytes } from 'node:crypto';
+import { ProcessState } from '../client';
+import type {
+  Blueprint,
+  BlueprintDefinition,
+  Colony,
+  ColonyFunction,
+  Cron,
+  Executor,
+  FunctionSpec,
+  Process,
+  ProcessGraph,
+  WorkflowSpec,
+} from '../client';
+
+/**
+ * Error reply sent back to the client
+ */
+export class RPCError extends Error {
+  readonly status: number;
+
+  constructor(status: number, message: string) {
+    super(message);
+    this.status = status;
+  }
+}
+
+export interface CallerContext {
+  /** ID recovered from the request signature */
+  callerId: string;
+  /** Aborted when the client disconnects */
+  signal: AbortSignal;
+}
+
+export interface StoredProcess extends Process {
+  initiatorid: string;
+  colonyname: string;
+  assignedexecutorid: string;
+  waitforparents: boolean;
+  parents: string[];
+  children: string[];
+}
+
+export interface StoredProcessGraph extends ProcessGraph {
+  colonyname: string;
+  rootprocessids: string[];
+  processids: string[];
+  submissiontime: string;
+  endtime?: string;
+}
+
+export interface StoredChannelEntry {
+  sequence: number;
+  inreplyto: number;
+  /** Base64-encoded payload bytes */
+  payload: string;
+  senderid: string;
+  timestamp: string;
+}
+
+export interface StoredLog {
+  processid: string;
+  colonyname: string;
+  executorname: string;
+  message: string;
+  /** Increasing timestamp, compared against `since` when reading logs */
+  timestamp: number;
+}
+
+type Handler = (msg: any, context: CallerContext) => unknown | Promise<unknown>;
+
+interface AssignWaiter {
+  colonyName: string;
+  executor: Executor;
+  resolve: (process: StoredProcess) => void;
+}
+
+function newId(): string {
+  return randomBytes(32).toString('hex');
+}
+
+function now(): string {
+  return new Date().toISOString();
+}
+
+function clone<T>(value: T): T {
+  return value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
+
+function isFinished(state: ProcessState): boolean {
+  return state === ProcessState.SUCCESS || state === ProcessState.FAILED;
+}
+
+/**
+ * Colonies, executors, processes and the other resources of the stand-in
+ * server. Events: 'process' (StoredProcess) when a process changes state and
+ * 'channel' (processId, name, entry) when a channel entry is appended.
+ */
+export class TestServerState extends EventEmitter {
+  private serverId: string;
+  private colonies = new Map<string, Colony>();
+  private executors = new Map<string, Executor>();
+  private functions: ColonyFunction[] = [];
+  private processes = new Map<string, StoredProcess>();
+  private graphs = new Map<string, StoredProcessGraph>();
+  private channels = new Map<string, StoredChannelEntry[]>();
+  private logs: StoredLog[] = [];
+  private lastLogTimestamp = 0;
+  private crons = new Map<string, Cron>();
+  private definitions = new Map<string, BlueprintDefinition>();
+  private blueprints = new Map<string, Blueprint>();
+  private blueprintHistory = new Map<string, Blueprint[]>();
+  private assignWaiters: AssignWaiter[] = [];
+  private handlers: Record<string, Handler>;
+
+  constructor(serverId: string) {
+    super();
+    this.serverId = serverId;
+    this.handlers = {
+      getcoloniesmsg: (_msg, ctx) => this.getColonies(ctx),
+      getstatisticsmsg: (_msg, ctx) => this.getStatistics(ctx),
+      addcolonymsg: (msg, ctx) => this.addColony(msg.colony, ctx),
+      removecolonymsg: (msg, ctx) => this.removeColony(msg.colonyname, ctx),
+      getexecutorsmsg: (msg, ctx) => this.getExecutors(msg.colonyname, ctx),
+      getexecutormsg: (msg, ctx) => this.getExecutor(msg.colonyname, msg.executorname, ctx),
+      addexecutormsg: (msg, ctx) => this.addExecutor(msg.executor, ctx),
+      approveexecutormsg: (msg, ctx) => this.approveExecutor(msg.colonyname, msg.executorname, ctx),
+      removeexecutormsg: (msg, ctx) => this.removeExecutor(msg.colonyname, msg.executorname, ctx),
+      addfunctionmsg: (msg, ctx) => this.addFunction(msg.fun, ctx),
+      getfunctionsmsg: (msg, ctx) => this.getFunctions(msg.colonyname, msg.executorname, ctx),
+      submitfuncspecmsg: (msg, ctx) => this.submitFunctionSpec(msg.spec, ctx),
+      getprocessmsg: (msg, ctx) => this.getProcess(msg.processid, ctx),
+      getprocessesmsg: (msg, ctx) => this.getProcesses(msg, ctx),
+      removeprocessmsg: (msg, ctx) => this.removeProcess(msg.processid, ctx),
+      removeallprocessesmsg: (msg, ctx) => this.removeAllProcesses(msg.colonyname, msg.state, ctx),
+      assignprocessmsg: (msg, ctx) => this.assign(msg.colonyname, msg.timeout, ctx),
+      closesuccessfulmsg: (msg, ctx) => this.closeProcess(msg.processid, ProcessState.SUCCESS, msg.out ?? [], [], ctx),
+      closefailedmsg: (msg, ctx) => this.closeProcess(msg.processid, ProcessState.FAILED, [], msg.errors ?? [], ctx),
+      cancelprocessmsg: (msg, ctx) => this.cancelProcess(msg.processid, ctx),
+      submitworkflowspecmsg: (msg, ctx) => this.submitWorkflowSpec(msg.spec, ctx),
+      getprocessgraphmsg: (msg, ctx) => this.getProcessGraph(msg.processgraphid, ctx),
+      getprocessgraphsmsg: (msg, ctx) => this.getProcessGraphs(msg.colonyname, msg.count, msg.state, ctx),
+      removeprocessgraphmsg: (msg, ctx) => this.removeProcessGraph(msg.processgraphid, ctx),
+      removeallprocessgraphsmsg: (msg, ctx) => this.removeAllProcessGraphs(msg.colonyname, msg.state, ctx),
+      cancelprocessgraphmsg: (msg, ctx) => this.cancelProcessGraph(msg.processgraphid, ctx),
+      addlogmsg: (msg, ctx) => this.addLog(msg.processid, msg.message, ctx),
+      getlogsmsg: (msg, ctx) => this.getLogs(msg, ctx),
+      channelappendmsg: (msg, ctx) => this.channelAppend(msg, ctx),
+      channelreadmsg: (msg, ctx) => this.channelRead(msg.processid, msg.name, msg.afterseq, msg.limit, ctx),
+      addcronmsg: (msg, ctx) => this.addCron(msg.cron, ctx),
+      getcronsmsg: (msg, ctx) => this.getCrons(msg.colonyname, msg.count, ctx),
+      getcronmsg: (msg, ctx) => this.getCron(msg.cronid, ctx),
+      removecronmsg: (msg, ctx) => this.removeCron(msg.cronid, ctx),
+      runcronmsg: (msg, ctx) => this.runCron(msg.cronid, ctx),
+      addblueprintdefinitionmsg: (msg, ctx) => this.addBlueprintDefinition(msg.blueprintdefinition, ctx),
+      getblueprintdefinitionmsg: (msg, ctx) => this.getBlueprintDefinition(msg.colonyname, msg.name, ctx),
+      getblueprintdefinitionsmsg: (msg, ctx) => this.getBlueprintDefinitions(msg.colonyname, ctx),
+      removeblueprintdefinitionmsg: (msg, ctx) => this.removeBlueprintDefinition(msg.namespace, msg.name, ctx),
+      addblueprintmsg: (msg, ctx) => this.addBlueprint(msg.blueprint, ctx),
+      getblueprintmsg: (msg, ctx) => this.getBlueprint(msg.namespace, msg.name, ctx),
+      getblueprintsmsg: (msg, ctx) => this.getBlueprints(msg.namespace, msg.kind, msg.locationname, ctx),
+      updateblueprintmsg: (msg, ctx) => this.updateBlueprint(msg.blueprint, msg.forcegeneration, ctx),
+      removeblueprintmsg: (msg, ctx) => this.removeBlueprint(msg.namespace, msg.name, ctx),
+      updateblueprintstatusmsg: (msg, ctx) =>
+        this.updateBlueprintStatus(msg.colonyname, msg.blueprintname, msg.status, ctx),
+      reconcileblueprintmsg: (msg, ctx) => this.reconcileBlueprint(msg.namespace, msg.name, ctx),
+      getblueprinthistorymsg: (msg, ctx) => this.getBlueprintHistory(msg.blueprintid, msg.limit, ctx),
+    };
+  }
+
+  /**
+   * Handle a decoded RPC message from an authenticated caller
+   */
+  async handle(msg: any, context: CallerContext): Promise<unknown> {
+    const handler = this.handlers[msg.msgtype];
+    if (!handler) {
+      throw new RPCError(400, `Unsupported message type: ${msg.msgtype}`);
+    }
+    return clone(await handler(msg, context));
+  }
+
+  /**
+   * Release pending assign calls, e.g. when the server stops
+   */
+  close(): void {
+    this.assignWaiters = [];
+    this.removeAllListeners();
+  }
+
+  // ==================== Access Control ====================
+
+  private requireServerOwner(context: CallerContext): void {
+    if (context.callerId !== this.serverId) {
+      throw new RPCError(403, 'Access denied, not server owner');
+    }
+  }
+
+  private requireColony(colonyName: string): Colony {
+    const colony = this.colonies.get(colonyName);
+    if (!colony) {
+      throw new RPCError(404, `Colony with name ${colonyName} not found`);
+    }
+    return colony;
+  }
+
+  private requireColonyOwner(colonyName: string, context: CallerContext): void {
+    if (this.requireColony(colonyName).colonyid !== context.callerId) {
+      throw new RPCError(403, `Access denied, not colony owner of ${colonyName}`);
+    }
+  }
+
+  /**
+   * The colony owner and approved executors are members of a colony
+   */
+  requireMember(colonyName: string, context: CallerContext): Executor | null {
+    const colony = this.requireColony(colonyName);
+    if (colony.colonyid === context.callerId) return null;
+    const executor = this.findExecutorById(colonyName, context.callerId);
+    if (!executor || !executor.approved) {
+      throw new RPCError(403, `Access denied, not a member of colony ${colonyName}`);
+    }
+    return executor;
+  }
+
+  private findExecutorById(colonyName: string, executorId: string): Executor | undefined {
+    for (const executor of this.executors.values()) {
+      if (executor.colonyname === colonyName && executor.executorid === executorId) return executor;
+    }
+    return undefined;
+  }
+
+  // ==================== Colonies ====================
+
+  private getColonies(context: CallerContext): Colony[] {
+    this.requireServerOwner(context);
+    return [...this.colonies.values()];
+  }
+
+  private getStatistics(context: CallerContext): Record<string, number> {
+    this.requireServerOwner(context);
+    const processes = [...this.processes.values()];
+    const graphs = [...this.graphs.values()];
+    const count = <T extends { state: ProcessState }>(items: T[], state: ProcessState) =>
+      items.filter((item) => item.state === state).length;
+    return {
+      colonies: this.colonies.size,
+      executors: this.executors.size,
+      waitingprocesses: count(processes, ProcessState.WAITING),
+      runningprocesses: count(processes, ProcessState.RUNNING),
+      successfulprocesses: count(processes, ProcessState.SUCCESS),
+      failedprocesses: count(processes, ProcessState.FAILED),
+      waitingworkflows: count(graphs, ProcessState.WAITING),
+      runningworkflows: count(graphs, ProcessState.RUNNING),
+      successfulworkflows: count(graphs, ProcessState.SUCCESS),
+      failedworkflows: count(graphs, ProcessState.FAILED),
+    };
+  }
+
+  private addColony(colony: Colony, context: CallerContext): Colony {
+    this.requireServerOwner(context);
+    if (!colony?.name || !colony.colonyid) {
+      throw new RPCError(400, 'Colony name and ID are required');
+    }
+    if (this.colonies.has(colony.name)) {
+      throw new RPCError(409, `Colony with name ${colony.name} already exists`);
+    }
+    const stored = { colonyid: colony.colonyid, name: colony.name };
+    this.colonies.set(colony.name, stored);
+    return stored;
+  }
+
+  private removeColony(colonyName: string, context: CallerContext): void {
+    this.requireServerOwner(context);
+    this.requireColony(colonyName);
+    this.colonies.delete(colonyName);
+    for (const [key, executor] of this.executors) {
+      if (executor.colonyname === colonyName) this.executors.delete(key);
+    }
+    this.functions = this.functions.filter((f) => f.colonyname !== colonyName);
+    for (const process of [...this.processes.values()]) {
+      if (process.colonyname === colonyName) this.deleteProcess(process);
+    }
+    for (const [id, graph] of this.graphs) {
+      if (graph.colonyname === colonyName) this.graphs.delete(id);
+    }
+    this.logs = this.logs.filter((log) => log.colonyname !== colonyName);
+    for (const [id, cron] of this.crons) {
+      if (cron.colonyname === colonyName) this.crons.delete(id);
+    }
+    for (const [key, definition] of this.definitions) {
+      if (definition.metadata.colonyname === colonyName) this.definitions.delete(key);
+    }
+    for (const [key, blueprint] of this.blueprints) {
+      if (blueprint.metadata.colonyname === colonyName) {
+        this.blueprints.delete(key);
+        this.blueprintHistory.delete(blueprint.blueprintid!);
+      }
+    }
+  }
+
+  // ==================== Executors ====================
+
+  private getExecutors(colonyName: string, context: CallerContext): Executor[] {
+    this.requireMember(colonyName, context);
+    return [...this.executors.values()].filter((e) => e.colonyname === colonyName);
+  }
+
+  private getExecutor(colonyName: string, executorName: string, context: CallerContext): Executor {
+    this.requireMember(colonyName, context);
+    const executor = this.executors.get(`${colonyName}/${executorName}`);
+    if (!executor) {
+      throw new RPCError(404, `Executor with name ${executorName} not found`);
+    }
+    return executor;
+  }
+
+  private addExecutor(executor: Executor, context: CallerContext): Executor {
+    if (!executor?.executorname || !executor.executorid || !executor.colonyname) {
+      throw new RPCError(400, 'Executor name, ID and colony name are required');
+    }
+    this.requireColonyOwner(executor.colonyname, context);
+    if (this.executors.has(`${executor.colonyname}/${executor.executorname}`)) {
+      throw new RPCError(409, `Executor with name ${executor.executorname} already exists`);
+    }
+    if ([...this.executors.values()].some((e) => e.executorid === executor.executorid)) {
+      throw new RPCError(409, `Executor with ID ${executor.executorid} already exists`);
+    }
+    const stored = { ...executor, approved: false };
+    this.executors.set(`${executor.colonyname}/${executor.executorname}`, stored);
+    return stored;
+  }
+
+  private approveExecutor(colonyName: string, executorName: string, context: CallerContext): Executor {
+    this.requireColonyOwner(colonyName, context);
+    const executor = this.executors.get(`${colonyName}/${executorName}`);
+    if (!executor) {
+      throw new RPCError(404, `Executor with name ${executorName} not found`);
+    }
+    executor.approved = true;
+    return executor;
+  }
+
+  private removeExecutor(colonyName: string, executorName: string, context: CallerContext): void {
+    this.requireColonyOwner(colonyName, context);
+    if (!this.executors.delete(`${colonyName}/${executorName}`)) {
+      throw new RPCError(404, `Executor with name ${executorName} not found`);
+    }
+    this.functions = this.functions.filter((f) => f.colonyname !== colonyName || f.executorname !== executorName);
+  }
+
+  // ==================== Functions ====================
+
+  private addFunction(func: ColonyFunction, context: CallerContext): ColonyFunction {
+    this.requireMember(func?.colonyname, context);
+    this.functions = this.functions.filter(
+      (f) => f.colonyname !== func.colonyname || f.executorname !== func.executorname || f.funcname !== func.funcname
+    );
+    this.functions.push(func);
+    return func;
+  }
+
+  private getFunctions(colonyName: string, executorName: string, context: CallerContext): ColonyFunction[] {
+    this.requireMember(colonyName, context);
+    return this.functions.filter((f) => f.colonyname === colonyName && (!executorName || f.executorname === executorName));
+  }
+
+  // ==================== Processes ====================
+
+  private createProcess(spec: FunctionSpec, initiatorId: string): StoredProcess {
+    const colonyName = spec?.conditions?.colonyname;
+    if (!spec?.funcname || !colonyName) {
+      throw new RPCError(400, 'Function name and colony name are required');
+    }
+    this.requireColony(colonyName);
+    const process: StoredProcess = {
+      processid: newId(),
+      processgraphid: '',
+      initiatorid: initiatorId,
+      colonyname: colonyName,
+      state: ProcessState.WAITING,
+      spec: clone(spec),
+      assignedexecutorid: '',
+      assignedexecutorname: '',
+      assignedexecutortype: '',
+      submissiontime: now(),
+      waitforparents: false,
+      parents: [],
+      children: [],
+      out: [],
+      errors: [],
+    };
+    this.processes.set(process.processid, process);
+    return process;
+  }
+
+  private submitFunctionSpec(spec: FunctionSpec, context: CallerContext): StoredProcess {
+    this.requireMember(spec?.conditions?.colonyname ?? '', context);
+    const process = this.createProcess(spec, context.callerId);
+    this.wakeAssignWaiters();
+    return process;
+  }
+
+  private requireProcess(processId: string, context: CallerContext): StoredProcess {
+    const process = this.processes.get(processId);
+    if (!process) {
+      throw new RPCError(404, `Process with ID ${processId} not found`);
+    }
+    this.requireMember(process.colonyname, context);
+    return process;
+  }
+
+  getProcess(processId: string, context: CallerContext): StoredProcess {
+    return this.requireProcess(processId, context);
+  }
+
+  private getProcesses(msg: any, context: CallerContext): StoredProcess[] {
+    this.requireMember(msg.colonyname, context);
+    const count = msg.count > 0 ? msg.count : Infinity;
+    return [...this.processes.values()]
+      .filter(
+        (p) =>
+          p.colonyname === msg.colonyname &&
+          (msg.state === undefined || msg.state === -1 || p.state === msg.state) &&
+          (!msg.processgraphid || p.processgraphid === msg.processgraphid)
+      )
+      .slice(0, count);
+  }
+
+  private deleteProcess(process: StoredProcess): void {
+    this.processes.delete(process.processid);
+    for (const key of this.channels.keys()) {
+      if (key.startsWith(`${process.processid}/`)) this.channels.delete(key);
+    }
+    this.logs = this.logs.filter((log) => log.processid !== process.processid);
+  }
+
+  private removeProcess(processId: string, context: CallerContext): void {
+    const process = this.requireProcess(processId, context);
+    if (process.processgraphid) {
+      throw new RPCError(400, `Process with ID ${processId} is part of a workflow, remove the workflow instead`);
+    }
+    this.deleteProcess(process);
+  }
+
+  private removeAllProcesses(colonyName: string, state: number | undefined, context: CallerContext): void {
+    this.requireMember(colonyName, context);
+    for (const process of [...this.processes.values()]) {
+      if (
+        process.colonyname === colonyName &&
+        !process.processgraphid &&
+        (state === undefined || state === -1 || process.state === state)
+      ) {
+        this.deleteProcess(process);
+      }
+    }
+  }
+
+  private canAssign(process: StoredProcess, colonyName: string, executor: Executor): boolean {
+    const conditions = process.spec.conditions ?? {};
+    return (
+      process.colonyname === colonyName &&
+      process.state === ProcessState.WAITING &&
+      !process.waitforparents &&
+      (!conditions.executortype || conditions.executortype === executor.executortype) &&
+      (!conditions.executornames?.length || conditions.executornames.includes(executor.executorname))
+    );
+  }
+
+  private tryAssign(colonyName: string, executor: Executor): StoredProcess | null {
+    let selected: StoredProcess | null = null;
+    for (const process of this.processes.values()) {
+      if (!this.canAssign(process, colonyName, executor)) continue;
+      // Highest priority first, then in submission order
+      if (!selected || (process.spec.priority ?? 0) > (selected.spec.priority ?? 0)) {
+        selected = process;
+      }
+    }
+    if (!selected) return null;
+
+    selected.state = ProcessState.RUNNING;
+    selected.assignedexecutorid = executor.executorid;
+    selected.assignedexecutorname = executor.executorname;
+    selected.assignedexecutortype = executor.executortype;
+    selected.starttime = now();
+    this.updateGraph(selected);
+    this.emit('process', selected);
+    return selected;
+  }
+
+  private wakeAssignWaiters(): void {
+    for (const waiter of [...this.assignWaiters]) {
+      const process = this.tryAssign(waiter.colonyName, waiter.executor);
+      if (!process) continue;
+      this.assignWaiters.splice(this.assignWaiters.indexOf(waiter), 1);
+      waiter.resolve(process);
+    }
+  }
+
+  private assign(colonyName: string, timeout: number, context: CallerContext): Promise<StoredProcess> | StoredProcess {
+    this.requireColony(colonyName);
+    const executor = this.findExecutorById(colonyName, context.callerId);
+    if (!executor || !executor.approved) {
+      throw new RPCError(403, `Access denied, not an approved executor of colony ${colonyName}`);
+    }
+
+    const process = this.tryAssign(colonyName, executor);
+    if (process) return process;
+
+    // Long poll until a process becomes available or the timeout expires
+    return new Promise((resolve, reject) => {
+      const waiter: AssignWaiter = {
+        colonyName,
+        executor,
+        resolve: (assigned) => {
+          clearTimeout(timer);
+          context.signal.removeEventListener('abort', onAbort);
+          resolve(assigned);
+        },
+      };
+      const remove = () => {
+        const index = this.assignWaiters.indexOf(waiter);
+        if (index !== -1) this.assignWaiters.splice(index, 1);
+      };
+      const timer = setTimeout(() => {
+        remove();
+        context.signal.removeEventListener('abort', onAbort);
+        reject(new RPCError(408, 'Failed to assign process, timeout'));
+      }, Math.max(0, timeout) * 1000);
+      const onAbort = () => {
+        clearTimeout(timer);
+        remove();
+      };
+      context.signal.addEventListener('abort', onAbort, { once: true });
+      this.assignWaiters.push(waiter);
+    });
+  }
+
+  private closeProcess(
+    processId: string,
+    state: ProcessState,
+    out: string[],
+    errors: string[],
+    context: CallerContext
+  ): void {
+    const process = this.requireProcess(processId, context);
+    if (process.state !== ProcessState.RUNNING) {
+      throw new RPCError(400, `Process with ID ${processId} is not running`);
+    }
+    if (process.assignedexecutorid !== context.callerId) {
+      throw new RPCError(403, `Access denied, process with ID ${processId} is not assigned to caller`);
+    }
+    this.finish(process, state, out, errors);
+  }
+
+  private finish(process: StoredProcess, state: ProcessState, out: string[], errors: string[]): void {
+    process.state = state;
+    process.out = out;
+    process.errors = errors;
+    process.endtime = now();
+
+    if (state === ProcessState.SUCCESS) {
+      // Release children once all their parents have succeeded
+      for (const childId of process.children) {
+        const child = this.processes.get(childId);
+        const ready = child?.parents.every((id) => this.processes.get(id)?.state === ProcessState.SUCCESS);
+        if (child && ready) child.waitforparents = false;
+      }
+    }
+    this.updateGraph(process);
+    this.emit('process', process);
+    this.wakeAssignWaiters();
+  }
+
+  private cancelProcess(processId: string, context: CallerContext): void {
+    const process = this.requireProcess(processId, context);
+    if (isFinished(process.state)) {
+      throw new RPCError(400, `Process with ID ${processId} has already finished`);
+    }
+    this.finish(process, ProcessState.FAILED, [], ['Process cancelled']);
+  }
+
+  // ==================== Workflows ====================
+
+  private submitWorkflowSpec(workflowSpec: WorkflowSpec, context: CallerContext): StoredProcessGraph {
+    this.requireMember(workflowSpec?.colonyname, context);
+    return this.createWorkflow(workflowSpec, context.callerId);
+  }
+
+  private createWorkflow(workflowSpec: WorkflowSpec, initiatorId: string): StoredProcessGraph {
+    const specs = workflowSpec.functionspecs ?? [];
+    if (specs.length === 0) {
+      throw new RPCError(400, 'Workflow has no function specs');
+    }
+    const names = new Set<string>();
+    for (const spec of specs) {
+      if (!spec.nodename) {
+        throw new RPCError(400, 'Every function spec in a workflow needs a node name');
+      }
+      if (names.has(spec.nodename)) {
+        throw new RPCError(400, `Duplicate node name in workflow: ${spec.nodename}`);
+      }
+      names.add(spec.nodename);
+    }
+    for (const spec of specs) {
+      for (const dependency of spec.conditions?.dependencies ?? []) {
+        if (!names.has(dependency)) {
+          throw new RPCError(400, `Node ${spec.nodename} depends on unknown node ${dependency}`);
+        }
+      }
+    }
+
+    const graph: StoredProcessGraph = {
+      processgraphid: newId(),
+      colonyname: workflowSpec.colonyname,
+      state: ProcessState.WAITING,
+      rootprocessids: [],
+      processids: [],
+      submissiontime: now(),
+    };
+    const byName = new Map<string, StoredProcess>();
+    for (const spec of specs) {
+      const conditions = { ...spec.conditions, colonyname: spec.conditions?.colonyname ?? workflowSpec.colonyname };
+      const process = this.createProcess({ ...spec, conditions }, initiatorId);
+      process.processgraphid = graph.processgraphid;
+      byName.set(spec.nodename!, process);
+      graph.processids.push(process.processid);
+    }
+    for (const spec of specs) {
+      const process = byName.get(spec.nodename!)!;
+      for (const dependency of spec.conditions?.dependencies ?? []) {
+        const parent = byName.get(dependency)!;
+        process.parents.push(parent.processid);
+        parent.children.push(process.processid);
+      }
+      process.waitforparents = process.parents.length > 0;
+      if (!process.waitforparents) graph.rootprocessids.push(process.processid);
+    }
+    graph.roots = graph.rootprocessids;
+    this.graphs.set(graph.processgraphid, graph);
+    this.wakeAssignWaiters();
+    return graph;
+  }
+
+  private updateGraph(process: StoredProcess): void {
+    const graph = process.processgraphid ? this.graphs.get(process.processgraphid) : undefined;
+    if (!graph) return;
+    const states = graph.processids.map((id) => this.processes.get(id)?.state);
+    if (states.some((state) => state === ProcessState.FAILED)) {
+      graph.state = ProcessState.FAILED;
+    } else if (states.every((state) => state === ProcessState.SUCCESS)) {
+      graph.state = ProcessState.SUCCESS;
+    } else if (states.some((state) => state !== ProcessState.WAITING)) {
+      graph.state = ProcessState.RUNNING;
+    }
+    if (isFinished(graph.state) && !graph.endtime) graph.endtime = now();
+  }
+
+  private requireGraph(processGraphId: string, context: CallerContext): StoredProcessGraph {
+    const graph = this.graphs.get(processGraphId);
+    if (!graph) {
+      throw new RPCError(404, `Process graph with ID ${processGraphId} not found`);
+    }
+    this.requireMember(graph.colonyname, context);
+    return graph;
+  }
+
+  private getProcessGraph(processGraphId: string, context: CallerContext): StoredProcessGraph {
+    return this.requireGraph(processGraphId, context);
+  }
+
+  private getProcessGraphs(
+    colonyName: string,
+    count: number,
+    state: number | undefined,
+    context: CallerContext
+  ): StoredProcessGraph[] {
+    this.requireMember(colonyName, context);
+    return [...this.graphs.values()]
+      .filter((g) => g.colonyname === colonyName && (state === undefined || state === -1 || g.state === state))
+      .slice(0, count > 0 ? count : Infinity);
+  }
+
+  private deleteGraph(graph: StoredProcessGraph): void {
+    for (const processId of graph.processids) {
+      const process = this.processes.get(processId);
+      if (process) this.deleteProcess(process);
+    }
+    this.graphs.delete(graph.processgraphid);
+  }
+
+  private removeProcessGraph(processGraphId: string, context: CallerContext): void {
+    this.deleteGraph(this.requireGraph(processGraphId, context));
+  }
+
+  private removeAllProcessGraphs(colonyName: string, state: number | undefined, context: CallerContext): void {
+    this.requireMember(colonyName, context);
+    for (const graph of [...this.graphs.values()]) {
+      if (graph.colonyname === colonyName && (state === undefined || state === -1 || graph.state === state)) {
+        this.deleteGraph(graph);
+      }
+    }
+  }
+
+  private cancelProcessGraph(processGraphId: string, context: CallerContext): void {
+    const graph = this.requireGraph(processGraphId, context);
+    for (const processId of graph.processids) {
+      const process = this.processes.get(processId);
+      if (process && !isFinished(process.state)) {
+        this.finish(process, ProcessState.FAILED, [], ['Process graph cancelled']);
+      }
+    }
+  }
+
+  // ==================== Logs ====================
+
+  private addLog(processId: string, message: string, context: CallerContext): void {
+    const process = this.requireProcess(processId, context);
+    if (process.state !== ProcessState.RUNNING || process.assignedexecutorid !== context.callerId) {
+      throw new RPCError(403, `Access denied, process with ID ${processId} is not assigned to caller`);
+    }
+    // Keep timestamps unique so that `since` never skips or repeats a log
+    this.lastLogTimestamp = Math.max(Date.now() * 1000, this.lastLogTimestamp + 1);
+    this.logs.push({
+      processid: processId,
+      colonyname: process.colonyname,
+      executorname: process.assignedexecutorname ?? '',
+      message,
+      timestamp: this.lastLogTimestamp,
+    });
+  }
+
+  private getLogs(msg: any, context: CallerContext): StoredLog[] {
+    this.requireMember(msg.colonyname, context);
+    return this.logs
+      .filter(
+        (log) =>
+          log.colonyname === msg.colonyname &&
+          (msg.processid ? log.processid === msg.processid : log.executorname === msg.executorname) &&
+          log.timestamp > (msg.since ?? 0)
+      )
+      .slice(0, msg.count > 0 ? msg.count : Infinity);
+  }
+
+  // ==================== Channels ====================
+
+  requireChannel(processId: string, name: string, context: CallerContext): StoredChannelEntry[] {
+    const process = this.requireProcess(processId, context);
+    if (!process.spec.channels?.includes(name)) {
+      throw new RPCError(404, `Channel ${name} not found in process with ID ${processId}`);
+    }
+    const key = `${processId}/${name}`;
+    let entries = this.channels.get(key);
+    if (!entries) {
+      entries = [];
+      this.channels.set(key, entries);
+    }
+    return entries;
+  }
+
+  private channelAppend(msg: any, context: CallerContext): void {
+    const entries = this.requireChannel(msg.processid, msg.name, context);
+    const payload =
+      typeof msg.payload === 'string' ? msg.payload : Buffer.from(msg.payload ?? []).toString('base64');
+    const entry: StoredChannelEntry = {
+      sequence: msg.sequence,
+      inreplyto: msg.inreplyto ?? 0,
+      payload,
+      senderid: context.callerId,
+      timestamp: now(),
+    };
+    entries.push(entry);
+    entries.sort((a, b) => a.sequence - b.sequence);
+    this.emit('channel', msg.processid, msg.name, entry);
+  }
+
+  channelRead(
+    processId: string,
+    name: string,
+    afterSeq: number,
+    limit: number,
+    context: CallerContext
+  ): StoredChannelEntry[] {
+    const entries = this.requireChannel(processId, name, context).filter((e) => e.sequence > (afterSeq ?? 0));
+    return limit > 0 ? entries.slice(0, limit) : entries;
+  }
+
+  // ==================== Crons ====================
+
+  private addCron(cron: Cron, context: CallerContext): Cron {
+    this.requireMember(cron?.colonyname, context);
+    if (!cron.name) {
+      throw new RPCError(400, 'Cron name is required');
+    }
+    if ([...this.crons.values()].some((c) => c.colonyname === cron.colonyname && c.name === cron.name)) {
+      throw new RPCError(409, `Cron with name ${cron.name} already exists`);
+    }
+    const stored = { ...cron, cronid: newId() };
+    this.crons.set(stored.cronid, stored);
+    return stored;
+  }
+
+  private requireCron(cronId: string, context: CallerContext): Cron {
+    const cron = this.crons.get(cronId);
+    if (!cron) {
+      throw new RPCError(404, `Cron with ID ${cronId} not found`);
+    }
+    this.requireMember(cron.colonyname, context);
+    return cron;
+  }
+
+  private getCrons(colonyName: string, count: number, context: CallerContext): Cron[] {
+    this.requireMember(colonyName, context);
+    return [...this.crons.values()]
+      .filter((c) => c.colonyname === colonyName)
+      .slice(0, count > 0 ? count : Infinity);
+  }
+
+  private getCron(cronId: string, context: CallerContext): Cron {
+    return this.requireCron(cronId, context);
+  }
+
+  private removeCron(cronId: string, context: CallerContext): void {
+    this.requireCron(cronId, context);
+    this.crons.delete(cronId);
+  }
+
+  private runCron(cronId: string, context: CallerContext): Cron {
+    const cron = this.requireCron(cronId, context);
+    if (cron.workflowspec) {
+      // Workflow specs of crons may be stored JSON encoded
+      const spec = typeof cron.workflowspec === 'string' ? JSON.parse(cron.workflowspec) : cron.workflowspec;
+      this.createWorkflow({ ...spec, colonyname: spec.colonyname ?? cron.colonyname }, context.callerId);
+    }
+    cron.lastrun = now();
+    return cron;
+  }
+
+  // ==================== Blueprints ====================
+
+  private addBlueprintDefinition(definition: BlueprintDefinition, context: CallerContext): BlueprintDefinition {
+    const colonyName = definition?.metadata?.colonyname;
+    this.requireColonyOwner(colonyName, context);
+    const key = `${colonyName}/${definition.metadata.name}`;
+    if (this.definitions.has(key)) {
+      throw new RPCError(409, `Blueprint definition with name ${definition.metadata.name} already exists`);
+    }
+    this.definitions.set(key, definition);
+    return definition;
+  }
+
+  private getBlueprintDefinition(colonyName: string, name: string, context: CallerContext): BlueprintDefinition {
+    this.requireMember(colonyName, context);
+    const definition = this.definitions.get(`${colonyName}/${name}`);
+    if (!definition) {
+      throw new RPCError(404, `Blueprint definition with name ${name} not found`);
+    }
+    return definition;
+  }
+
+  private getBlueprintDefinitions(colonyName: string, context: CallerContext): BlueprintDefinition[] {
+    this.requireMember(colonyName, context);
+    return [...this.definitions.values()].filter((d) => d.metadata.colonyname === colonyName);
+  }
+
+  private removeBlueprintDefinition(colonyName: string, name: string, context: CallerContext): void {
+    this.requireColonyOwner(colonyName, context);
+    if (!this.definitions.delete(`${colonyName}/${name}`)) {
+      throw new RPCError(404, `Blueprint definition with name ${name} not found`);
+    }
+  }
+
+  private requireBlueprint(colonyName: string, name: string, context: CallerContext): Blueprint {
+    this.requireMember(colonyName, context);
+    const blueprint = this.blueprints.get(`${colonyName}/${name}`);
+    if (!blueprint) {
+      throw new RPCError(404, `Blueprint with name ${name} not found`);
+    }
+    return blueprint;
+  }
+
+  private recordBlueprint(blueprint: Blueprint): void {
+    const history = this.blueprintHistory.get(blueprint.blueprintid!) ?? [];
+    history.unshift(clone(blueprint));
+    this.blueprintHistory.set(blueprint.blueprintid!, history);
+  }
+
+  // Reconcile processes are picked up by the executor type named in the handler
+  private submitReconcile(blueprint: Blueprint, initiatorId: string): StoredProcess | null {
+    if (!blueprint.handler?.executortype) return null;
+    const process = this.createProcess(
+      {
+        funcname: 'reconcile',
+        kwargs: { kind: blueprint.kind, blueprintName: blueprint.metadata.name },
+        conditions: { colonyname: blueprint.metadata.colonyname, executortype: blueprint.handler.executortype },
+        maxwaittime: -1,
+        maxexectime: -1,
+      },
+      initiatorId
+    );
+    this.wakeAssignWaiters();
+    return process;
+  }
+
+  private addBlueprint(blueprint: Blueprint, context: CallerContext): Blueprint {
+    const colonyName = blueprint?.metadata?.colonyname;
+    this.requireMember(colonyName, context);
+    if (![...this.definitions.values()].some((d) => d.metadata.colonyname === colonyName && d.kind === blueprint.kind)) {
+      throw new RPCError(404, `Blueprint definition for kind ${blueprint.kind} not found`);
+    }
+    const key = `${colonyName}/${blueprint.metadata.name}`;
+    if (this.blueprints.has(key)) {
+      throw new RPCError(409, `Blueprint with name ${blueprint.metadata.name} already exists`);
+    }
+    const stored: Blueprint = {
+      ...clone(blueprint),
+      blueprintid: newId(),
+      metadata: { ...blueprint.metadata, generation: 1 },
+    };
+    this.blueprints.set(key, stored);
+    this.recordBlueprint(stored);
+    this.submitReconcile(stored, context.callerId);
+    return stored;
+  }
+
+  private getBlueprint(colonyName: string, name: string, context: CallerContext): Blueprint {
+    return this.requireBlueprint(colonyName, name, context);
+  }
+
+  private getBlueprints(
+    colonyName: string,
+    kind: string | undefined,
+    location: string | undefined,
+    context: CallerContext
+  ): Blueprint[] {
+    this.requireMember(colonyName, context);
+    return [...this.blueprints.values()].filter(
+      (b) =>
+        b.metadata.colonyname === colonyName &&
+        (!kind || b.kind === kind) &&
+        (!location || b.metadata.locationname === location)
+    );
+  }
+
+  private updateBlueprint(blueprint: Blueprint, forceGeneration: boolean, context: CallerContext): Blueprint {
+    const stored = this.requireBlueprint(blueprint?.metadata?.colonyname, blueprint?.metadata?.name, context);
+    const changed = JSON.stringify(stored.spec) !== JSON.stringify(blueprint.spec);
+    stored.spec = clone(blueprint.spec);
+    if (blueprint.handler) stored.handler = clone(blueprint.handler);
+    if (changed || forceGeneration) {
+      stored.metadata.generation = ((stored.metadata.generation as number) ?? 0) + 1;
+      this.recordBlueprint(stored);
+      this.submitReconcile(stored, context.callerId);
+    }
+    return stored;
+  }
+
+  private removeBlueprint(colonyName: string, name: string, context: CallerContext): void {
+    const blueprint = this.requireBlueprint(colonyName, name, context);
+    this.blueprints.delete(`${colonyName}/${name}`);
+    this.blueprintHistory.delete(blueprint.blueprintid!);
+  }
+
+  private updateBlueprintStatus(
+    colonyName: string,
+    name: string,
+    status: Record<string, unknown>,
+    context: CallerContext
+  ): void {
+    this.requireBlueprint(colonyName, name, context).status = clone(status);
+  }
+
+  private reconcileBlueprint(colonyName: string, name: string, context: CallerContext): Blueprint {
+    const blueprint = this.requireBlueprint(colonyName, name, context);
+    if (!this.submitReconcile(blueprint, context.callerId)) {
+      throw new RPCError(400, `Blueprint with name ${name} has no handler`);
+    }
+    return blueprint;
+  }
+
+  private getBlueprintHistory(blueprintId: string, limit: number | undefined, context: CallerContext): Blueprint[] {
+    const history = this.blueprintHistory.get(blueprintId);
+    if (!history) {
+      throw new RPCError(404, `Blueprint with ID ${blueprintId} not found`);
+    }
+    this.requireMember(history[0].metadata.colonyname, context);
+    return limit !== undefined && limit > 0 ? history.slice(0, limit) : history;
+  }
+}
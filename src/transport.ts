@@ -0,0 +1,92 @@
+/**
+ * Transports carry signed RPC messages between ColoniesClient and the server
+ */
+
+import type { RPCMessage } from './client';
+
+export interface TransportRequest {
+  /** RPC endpoint, e.g. http://localhost:50080/api */
+  url: string;
+  /** Signed RPC message */
+  message: RPCMessage;
+  /** HTTP headers to send with the request */
+  headers: Record<string, string>;
+  /** Aborted when the call times out or is cancelled */
+  signal: AbortSignal;
+}
+
+export interface TransportResponse {
+  /** HTTP status of the reply */
+  status: number;
+  statusText?: string;
+  /** Raw reply body, normally a JSON-encoded RPC message */
+  body: string;
+}
+
+export interface Transport {
+  /**
+   * Send a signed RPC message and return the raw reply. Rejections are
+   * reported as TransportError unless the request was aborted.
+   */
+  send(request: TransportRequest): Promise<TransportResponse>;
+
+  /**
+   * Open a WebSocket for a subscription (default: `new WebSocket(url)`)
+   * @param url - Pubsub endpoint, e.g. ws://localhost:50080/pubsub
+   */
+  connect?(url: string): WebSocket;
+}
+
+/**
+ * Default transport, sends requests with the global fetch
+ */
+export class FetchTransport implements Transport {
+  async send(request: TransportRequest): Promise<TransportResponse> {
+    const response = await fetch(request.url, {
+      method: 'POST',
+      headers: request.headers,
+      body: JSON.stringify(request.message),
+      signal: request.signal,
+    });
+    return {
+      status: response.status,
+      statusText: response.statusText,
+      body: await response.text(),
+    };
+  }
+
+  connect(url: string): WebSocket {
+    return new WebSocket(url);
+  }
+}
+
+export interface InterceptorContext {
+  /** Message type of the call, e.g. 'getprocessmsg' */
+  msgtype: string;
+}
+
+export interface SignedRequest {
+  message: RPCMessage;
+  headers: Record<string, string>;
+}
+
+/**
+ * Hooks around each RPC call. Hooks may return a replacement value, or
+ * nothing to keep the original; interceptors run in the order configured.
+ */
+export interface Interceptor {
+  /** Inspect or replace the message before it is signed */
+  beforeSign?(msg: any, context: InterceptorContext): any | Promise<any>;
+
+  /** Inspect the signed message or add headers before it is sent */
+  afterSign?(request: SignedRequest, context: InterceptorContext): SignedRequest | void | Promise<SignedRequest | void>;
+
+  /** Inspect or replace the raw reply of each attempt */
+  onResponse?(
+    response: TransportResponse,
+    context: InterceptorContext
+  ): TransportResponse | void | Promise<TransportResponse | void>;
+
+  /** Observe the error a call fails with; throwing replaces the error */
+  onError?(error: Error, context: InterceptorContext): void | Promise<void>;
+}
@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import { assertValidResponse, validateResponse } from './validation';
+import { ValidationError } from './errors';
+
+const process = {
+  processid: 'p1',
+  state: 0,
+  spec: { funcname: 'echo', conditions: { colonyname: 'test', executortype: 'worker' } },
+};
+
+describe('validation', () => {
+  describe('validateResponse', () => {
+    it('should accept responses matching the type', () => {
+      expect(validateResponse('getprocessmsg', process)).toEqual([]);
+    });
+
+    it('should allow fields the type does not declare', () => {
+      expect(validateResponse('getprocessmsg', { ...process, initiatorid: 'i1', retries: 0 })).toEqual([]);
+    });
+
+    it('should accept null for optional fields and empty lists', () => {
+      expect(validateResponse('getprocessmsg', { ...process, out: null, errors: null })).toEqual([]);
+      expect(validateResponse('getprocessesmsg', null)).toEqual([]);
+    });
+
+    it('should report the path of each invalid value', () => {
+      const issues = validateResponse('getprocessesmsg', [
+        process,
+        { ...process, state: 7, spec: { ...process.spec, funcname: 1, conditions: { executornames: ['a', 2] } } },
+      ]);
+
+      expect(issues).toEqual([
+        { path: '$[1].state', message: 'expected one of 0, 1, 2, 3, got 7' },
+        { path: '$[1].spec.funcname', message: 'expected string, got number' },
+        { path: '$[1].spec.conditions.executornames[1]', message: 'expected string, got number' },
+      ]);
+    });
+
+    it('should report missing required fields', () => {
+      const issues = validateResponse('getexecutormsg', {
+        executorId: 'e1',
+        executortype: 'worker',
+        executorname: 'worker-1',
+        colonyname: 'test',
+      });
+
+      expect(issues).toEqual([{ path: '$.executorid', message: 'expected string, got undefined' }]);
+    });
+
+    it('should check nested records', () => {
+      const issues = validateResponse('getblueprintmsg', {
+        kind: 'Service',
+        metadata: { name: 'web' },
+        spec: [],
+      });
+
+      expect(issues).toEqual([
+        { path: '$.metadata.colonyname', message: 'expected string, got undefined' },
+        { path: '$.spec', message: 'expected object, got array' },
+      ]);
+    });
+
+    it('should accept both payload encodings of channel entries', () => {
+      expect(
+        validateResponse('channelreadmsg', [
+          { sequence: 1, inreplyto: 0, payload: 'aGk=' },
+          { sequence: 2, inreplyto: 1, payload: [104, 105] },
+        ])
+      ).toEqual([]);
+      expect(validateResponse('channelreadmsg', [{ sequence: 1, inreplyto: 0, payload: [104, 'x'] }])).toEqual([
+        { path: '$[0].payload[1]', message: 'expected number, got string' },
+      ]);
+    });
+
+    it('should not check message types without a typed response', () => {
+      expect(validateResponse('removeprocessmsg', { anything: true })).toEqual([]);
+      expect(validateResponse('getstatisticsmsg', 42)).toEqual([]);
+    });
+  });
+
+  describe('assertValidResponse', () => {
+    it('should throw a ValidationError listing the issues', () => {
+      let error: unknown;
+      try {
+        assertValidResponse('getcoloniesmsg', [{ colonyid: 1, name: 'test' }]);
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect((error as ValidationError).message).toBe(
+        'Invalid response to getcoloniesmsg: $[0].colonyid: expected string, got number'
+      );
+      expect((error as ValidationError).payloadtype).toBe('getcoloniesmsg');
+      expect((error as ValidationError).issues).toHaveLength(1);
+    });
+
+    it('should summarize long lists of issues', () => {
+      const colonies = [1, 2, 3, 4, 5].map(() => ({ colonyid: 'c', name: null }));
+      expect(() => assertValidResponse('getcoloniesmsg', colonies)).toThrow('(and 2 more)');
+    });
+  });
+});
@@ -0,0 +1,343 @@
+/**
+ * Runtime validation of server responses
+ * Schemas mirror the interfaces in client.ts and only check the fields
+ * declared there; fields the interfaces do not know about are allowed.
+ */
+
+import { ValidationError } from './errors';
+import type { ValidationIssue } from './errors';
+
+type Schema = (value: unknown, path: string, issues: ValidationIssue[]) => void;
+
+function typeName(value: unknown): string {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function primitive(type: 'string' | 'number' | 'boolean'): Schema {
+  return (value, path, issues) => {
+    if (typeof value !== type || (type === 'number' && !Number.isFinite(value))) {
+      issues.push({ path, message: `expected ${type}, got ${typeName(value)}` });
+    }
+  };
+}
+
+const string = primitive('string');
+const number = primitive('number');
+const boolean = primitive('boolean');
+const unknown: Schema = () => {};
+
+// The server encodes unset slices and pointers as null, so optional
+// fields accept null as well as a missing value
+function optional(schema: Schema): Schema {
+  return (value, path, issues) => {
+    if (value !== undefined && value !== null) schema(value, path, issues);
+  };
+}
+
+function oneOf(...values: (string | number)[]): Schema {
+  return (value, path, issues) => {
+    if (!values.includes(value as string | number)) {
+      issues.push({ path, message: `expected one of ${values.join(', ')}, got ${JSON.stringify(value)}` });
+    }
+  };
+}
+
+function anyOf(...schemas: Schema[]): Schema {
+  return (value, path, issues) => {
+    const failures = schemas.map((schema) => {
+      const found: ValidationIssue[] = [];
+      schema(value, path, found);
+      return found;
+    });
+    if (failures.every((found) => found.length > 0)) {
+      // Report the alternative that got furthest
+      issues.push(...failures.reduce((best, found) => (found[0].path.length > best[0].path.length ? found : best)));
+    }
+  };
+}
+
+function array(item: Schema): Schema {
+  return (value, path, issues) => {
+    if (!Array.isArray(value)) {
+      issues.push({ path, message: `expected array, got ${typeName(value)}` });
+      return;
+    }
+    value.forEach((element, index) => item(element, `${path}[${index}]`, issues));
+  };
+}
+
+function record(item: Schema): Schema {
+  return (value, path, issues) => {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+      issues.push({ path, message: `expected object, got ${typeName(value)}` });
+      return;
+    }
+    for (const [key, element] of Object.entries(value)) item(element, `${path}.${key}`, issues);
+  };
+}
+
+function object(shape: Record<string, Schema>): Schema {
+  return (value, path, issues) => {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+      issues.push({ path, message: `expected object, got ${typeName(value)}` });
+      return;
+    }
+    for (const [key, schema] of Object.entries(shape)) {
+      schema((value as Record<string, unknown>)[key], `${path}.${key}`, issues);
+    }
+  };
+}
+
+// ==================== Response Types ====================
+
+const colony = object({ colonyid: string, name: string });
+
+const user = object({ colonyname: string, userid: string, name: string, email: string, phone: string });
+
+const executor = object({
+  executorid: string,
+  executortype: string,
+  executorname: string,
+  colonyname: string,
+  approved: optional(boolean),
+});
+
+const functionSpec = object({
+  nodename: optional(string),
+  funcname: string,
+  args: optional(array(unknown)),
+  kwargs: optional(record(unknown)),
+  priority: optional(number),
+  maxwaittime: optional(number),
+  maxexectime: optional(number),
+  maxretries: optional(number),
+  conditions: optional(
+    object({
+      colonyname: optional(string),
+      executornames: optional(array(string)),
+      executortype: optional(string),
+      dependencies: optional(array(string)),
+      nodes: optional(number),
+      cpu: optional(string),
+      processes: optional(number),
+      processespernode: optional(number),
+      mem: optional(string),
+      storage: optional(string),
+      gpu: optional(
+        object({ name: optional(string), mem: optional(string), count: optional(number), nodecount: optional(number) })
+      ),
+      walltime: optional(number),
+    })
+  ),
+  label: optional(string),
+  fs: unknown,
+  env: optional(record(string)),
+  channels: optional(array(string)),
+});
+
+const processState = oneOf(0, 1, 2, 3);
+
+const process = object({
+  processid: string,
+  processgraphid: optional(string),
+  state: processState,
+  spec: functionSpec,
+  assignedexecutorname: optional(string),
+  assignedexecutortype: optional(string),
+  waitingtime: optional(number),
+  exectime: optional(number),
+  out: optional(array(string)),
+  errors: optional(array(string)),
+  submissiontime: optional(string),
+  starttime: optional(string),
+  endtime: optional(string),
+});
+
+const workflowSpec = object({ colonyname: string, functionspecs: array(functionSpec) });
+
+const processGraph = object({
+  processgraphid: string,
+  state: processState,
+  colonyname: optional(string),
+  roots: optional(array(string)),
+});
+
+const colonyFunction = object({
+  funcname: string,
+  executorname: string,
+  executortype: string,
+  colonyname: string,
+  description: optional(string),
+  locationname: optional(string),
+  args: optional(
+    array(
+      object({
+        name: string,
+        type: string,
+        description: optional(string),
+        required: optional(boolean),
+        enum: optional(array(string)),
+      })
+    )
+  ),
+});
+
+const colonyFile = object({
+  fileid: optional(string),
+  colonyname: string,
+  label: string,
+  name: string,
+  size: number,
+  checksum: string,
+  checksumalg: string,
+  ref: object({
+    protocol: string,
+    s3object: object({
+      server: string,
+      port: number,
+      tls: boolean,
+      accesskey: string,
+      secretkey: string,
+      region: string,
+      bucket: string,
+      object: string,
+    }),
+  }),
+});
+
+const attribute = object({
+  attributeid: optional(string),
+  targetid: string,
+  targetcolonyname: string,
+  targetprocessgraphid: string,
+  attributetype: number,
+  key: string,
+  value: string,
+});
+
+// Workflow specs of crons and generators may be stored JSON encoded
+const cron = object({
+  cronid: optional(string),
+  colonyname: string,
+  name: string,
+  cron: string,
+  workflowspec: optional(anyOf(workflowSpec, string)),
+  nextrun: optional(string),
+  lastrun: optional(string),
+  checkin: optional(string),
+});
+
+const generator = object({
+  generatorid: optional(string),
+  colonyname: string,
+  name: string,
+  workflowspec: optional(anyOf(workflowSpec, string)),
+  trigger: optional(number),
+  timeout: optional(number),
+  lastrun: optional(string),
+});
+
+const blueprintMetadata = object({ name: string, colonyname: string });
+
+const blueprintDefinition = object({ kind: string, metadata: blueprintMetadata, spec: optional(record(unknown)) });
+
+const blueprint = object({
+  blueprintid: optional(string),
+  kind: string,
+  metadata: blueprintMetadata,
+  handler: optional(object({ executortype: string })),
+  spec: record(unknown),
+  status: optional(record(unknown)),
+});
+
+// Payloads are decoded from base64 strings or byte arrays after validation
+const channelEntry = object({
+  sequence: number,
+  inreplyto: number,
+  payload: anyOf(string, array(number)),
+});
+
+const log = object({
+  processid: optional(string),
+  executorname: optional(string),
+  message: string,
+  timestamp: optional(number),
+});
+
+// Empty lists may be encoded as null
+function list(item: Schema): Schema {
+  return optional(array(item));
+}
+
+const RESPONSE_SCHEMAS: Record<string, Schema> = {
+  getcoloniesmsg: list(colony),
+  addcolonymsg: colony,
+  getexecutorsmsg: list(executor),
+  getexecutormsg: executor,
+  addexecutormsg: executor,
+  approveexecutormsg: executor,
+  submitfuncspecmsg: process,
+  getprocessmsg: process,
+  getprocessesmsg: list(process),
+  assignprocessmsg: process,
+  submitworkflowspecmsg: processGraph,
+  getprocessgraphmsg: processGraph,
+  getprocessgraphsmsg: list(processGraph),
+  getlogsmsg: list(log),
+  addfunctionmsg: colonyFunction,
+  getfunctionsmsg: list(colonyFunction),
+  getcronsmsg: list(cron),
+  getcronmsg: cron,
+  addcronmsg: cron,
+  getgeneratorsmsg: list(generator),
+  getgeneratormsg: generator,
+  addgeneratormsg: generator,
+  getusersmsg: list(user),
+  addusermsg: user,
+  getfilelabelsmsg: list(string),
+  getfilesmsg: list(colonyFile),
+  getfilemsg: colonyFile,
+  addfilemsg: colonyFile,
+  addattributemsg: attribute,
+  getattributemsg: attribute,
+  channelreadmsg: list(channelEntry),
+  addblueprintdefinitionmsg: blueprintDefinition,
+  getblueprintdefinitionmsg: blueprintDefinition,
+  getblueprintdefinitionsmsg: list(blueprintDefinition),
+  addblueprintmsg: blueprint,
+  getblueprintmsg: blueprint,
+  getblueprintsmsg: list(blueprint),
+  updateblueprintmsg: blueprint,
+  reconcileblueprintmsg: blueprint,
+  getblueprinthistorymsg: list(blueprint),
+  subscribeprocessmsg: process,
+  subscribechannelmsg: list(channelEntry),
+};
+
+/**
+ * Check a response against the schema of the type returned for its message
+ * type. Message types without a typed response are not checked.
+ * @param msgtype - Message type of the request, e.g. 'getprocessmsg'
+ * @param value - Decoded response payload
+ * @returns Every invalid value found, empty if the response is valid
+ */
+export function validateResponse(msgtype: string, value: unknown): ValidationIssue[] {
+  const schema = RESPONSE_SCHEMAS[msgtype];
+  const issues: ValidationIssue[] = [];
+  schema?.(value, '$', issues);
+  return issues;
+}
+
+/**
+ * Throw a ValidationError if a response does not match its schema
+ * @param msgtype - Message type of the request
+ * @param value - Decoded response payload
+ */
+export function assertValidResponse(msgtype: string, value: unknown): void {
+  const issues = validateResponse(msgtype, value);
+  if (issues.length > 0) {
+    throw new ValidationError(msgtype, issues);
+  }
+}
@@ -0,0 +1,117 @@
+import { describe, it, expect } from 'vitest';
+import { spec } from './spec';
+import { workflow, WorkflowBuilder, WorkflowStep } from './workflow';
+
+describe('workflow', () => {
+  it('should build the JSON submitWorkflowSpec sends', () => {
+    const etl = workflow('my-colony');
+    const extract = etl.step('extract', spec('extract').executorType('etl'));
+    const clean = etl.step('clean', { funcname: 'clean', conditions: { executortype: 'etl' } }, extract);
+    etl.step('load', spec('load').executorType('etl').maxExecTime(60), extract, clean);
+
+    expect(etl.build()).toEqual({
+      colonyname: 'my-colony',
+      functionspecs: [
+        { nodename: 'extract', funcname: 'extract', conditions: { colonyname: 'my-colony', executortype: 'etl' } },
+        {
+          nodename: 'clean',
+          funcname: 'clean',
+          conditions: { colonyname: 'my-colony', executortype: 'etl', dependencies: ['extract'] },
+        },
+        {
+          nodename: 'load',
+          funcname: 'load',
+          maxexectime: 60,
+          conditions: { colonyname: 'my-colony', executortype: 'etl', dependencies: ['extract', 'clean'] },
+        },
+      ],
+    });
+  });
+
+  it('should add dependencies declared after a step was created', () => {
+    const wf = workflow('test');
+    const report = wf.step('report', spec('report'));
+    const fetch = wf.step('fetch', spec('fetch'));
+    report.dependsOn(fetch, fetch);
+
+    expect(report.dependencies).toEqual([fetch]);
+    expect(wf.build().functionspecs[0].conditions!.dependencies).toEqual(['fetch']);
+    expect(JSON.parse(JSON.stringify(wf))).toEqual(wf.build());
+  });
+
+  it('should merge dependencies named in the spec with handles', () => {
+    const wf = workflow('test');
+    const a = wf.step('a', spec('a'));
+    wf.step('b', spec('b'));
+    wf.step('c', { funcname: 'c', conditions: { dependencies: ['b', 'a'] } }, a);
+
+    expect(wf.build().functionspecs[2].conditions!.dependencies).toEqual(['b', 'a']);
+  });
+
+  it('should name the node of a builder spec before checking its dependencies', () => {
+    const wf = workflow('test');
+    wf.step('a', spec('x'));
+    const builder = spec('x').dependencies('a');
+    wf.step('b', builder);
+
+    expect(wf.build().functionspecs[1]).toMatchObject({ nodename: 'b', conditions: { dependencies: ['a'] } });
+    expect(() => builder.build()).toThrow('Dependencies require a node name');
+    expect(() => wf.step('c', spec('x').dependencies('c'))).toThrow('Node c cannot depend on itself');
+  });
+
+  it('should reject duplicate and invalid node names', () => {
+    const wf = workflow('test');
+    wf.step('a', spec('a'));
+    expect(() => wf.step('a', spec('other'))).toThrow('Duplicate node name: a');
+    expect(() => wf.step('', spec('f'))).toThrow('Invalid node name');
+    expect(() => wf.step('b', spec('f').nodeName('c'))).toThrow('Step b has a spec with node name c');
+    expect(() => workflow('')).toThrow('Invalid colony name');
+  });
+
+  it('should reject specs for another colony', () => {
+    expect(() => workflow('test').step('a', spec('a').colony('other'))).toThrow(
+      'Step a targets colony other, expected test'
+    );
+  });
+
+  it('should reject dependencies on unknown steps', () => {
+    const wf = workflow('test');
+    wf.step('extract', spec('extract'));
+    wf.step('load', { funcname: 'load', conditions: { dependencies: ['extrct'] } });
+    expect(() => wf.build()).toThrow('Step load depends on unknown step extrct');
+  });
+
+  it('should reject steps of another workflow', () => {
+    const other = workflow('test').step('a', spec('a'));
+    const wf = workflow('test');
+    expect(() => wf.step('b', spec('b'), other)).toThrow('Step b cannot depend on a step of another workflow');
+  });
+
+  it('should detect dependency cycles', () => {
+    const wf = workflow('test');
+    const a = wf.step('a', spec('a'));
+    const b = wf.step('b', spec('b'), a);
+    const c = wf.step('c', spec('c'), b);
+    wf.step('d', spec('d'), a);
+    a.dependsOn(c);
+    expect(() => wf.build()).toThrow('Dependency cycle: a -> c -> b -> a');
+
+    const self = workflow('test');
+    const step = self.step('a', spec('a'));
+    step.dependsOn(step);
+    expect(() => self.build()).toThrow('Dependency cycle: a -> a');
+  });
+
+  it('should not change specs passed to step', () => {
+    const functionSpec = { funcname: 'f', conditions: { executortype: 'etl' } };
+    workflow('test').step('a', functionSpec).dependsOn();
+    expect(functionSpec).toEqual({ funcname: 'f', conditions: { executortype: 'etl' } });
+  });
+
+  it('should create builders with the workflow function', () => {
+    const wf = workflow('test');
+    expect(wf).toBeInstanceOf(WorkflowBuilder);
+    expect(wf.step('a', spec('a'))).toBeInstanceOf(WorkflowStep);
+    expect(wf.steps.map((step) => step.name)).toEqual(['a']);
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * Builder for workflow specs
+ * Steps reference each other by handle instead of by node name, and the
+ * dependency graph is checked before anything is sent to the server.
+ */
+
+import type { FunctionSpec, WorkflowSpec } from './client';
+import { FunctionSpecBuilder } from './spec';
+
+/**
+ * Handle to a step added with WorkflowBuilder.step()
+ */
+export class WorkflowStep {
+  readonly name: string;
+  private readonly owner: WorkflowBuilder;
+  private readonly after: WorkflowStep[] = [];
+
+  /** @internal Steps are created by WorkflowBuilder.step() */
+  constructor(owner: WorkflowBuilder, name: string) {
+    this.owner = owner;
+    this.name = name;
+  }
+
+  /** Steps that must succeed before this one runs */
+  get dependencies(): WorkflowStep[] {
+    return [...this.after];
+  }
+
+  /**
+   * Add steps that must succeed before this one runs
+   * @param steps - Steps of the same workflow
+   */
+  dependsOn(...steps: WorkflowStep[]): this {
+    for (const step of steps) {
+      if (!(step instanceof WorkflowStep) || step.owner !== this.owner) {
+        throw new Error(`Step ${this.name} cannot depend on a step of another workflow`);
+      }
+      if (!this.after.includes(step)) this.after.push(step);
+    }
+    return this;
+  }
+}
+
+interface StepEntry {
+  step: WorkflowStep;
+  spec: FunctionSpec;
+}
+
+/**
+ * Builds a WorkflowSpec from steps linked by handle. build() checks that
+ * every dependency exists and that the steps form a DAG.
+ *
+ * @example
+ * const etl = workflow('my-colony');
+ * const extract = etl.step('extract', spec('extract').executorType('etl'));
+ * const load = etl.step('load', spec('load').executorType('etl'), extract);
+ * const graph = await client.submitWorkflowSpec(etl.build());
+ */
+export class WorkflowBuilder {
+  readonly colonyName: string;
+  private entries: StepEntry[] = [];
+
+  constructor(colonyName: string) {
+    if (typeof colonyName !== 'string' || colonyName.trim() === '') {
+      throw new Error(`Invalid colony name: ${JSON.stringify(colonyName)}`);
+    }
+    this.colonyName = colonyName;
+  }
+
+  /** Steps in the order they were added */
+  get steps(): WorkflowStep[] {
+    return this.entries.map((entry) => entry.step);
+  }
+
+  /**
+   * Add a step to the workflow
+   * @param nodeName - Node name, unique within the workflow
+   * @param functionSpec - Spec or spec builder of the process the step runs
+   * @param dependsOn - Steps that must succeed before this one runs
+   * @returns Handle used to declare dependencies on this step
+   */
+  step(
+    nodeName: string,
+    functionSpec: FunctionSpec | FunctionSpecBuilder,
+    ...dependsOn: WorkflowStep[]
+  ): WorkflowStep {
+    if (typeof nodeName !== 'string' || nodeName.trim() === '') {
+      throw new Error(`Invalid node name: ${JSON.stringify(nodeName)}`);
+    }
+    if (this.entries.some((entry) => entry.step.name === nodeName)) {
+      throw new Error(`Duplicate node name: ${nodeName}`);
+    }
+
+    const built = functionSpec instanceof FunctionSpecBuilder ? functionSpec.buildNode(nodeName) : functionSpec;
+    const copy: FunctionSpec = JSON.parse(JSON.stringify(built));
+    if (copy.nodename !== undefined && copy.nodename !== nodeName) {
+      throw new Error(`Step ${nodeName} has a spec with node name ${copy.nodename}`);
+    }
+    const colonyName = copy.conditions?.colonyname;
+    if (colonyName !== undefined && colonyName !== this.colonyName) {
+      throw new Error(`Step ${nodeName} targets colony ${colonyName}, expected ${this.colonyName}`);
+    }
+
+    const step = new WorkflowStep(this, nodeName).dependsOn(...dependsOn);
+    this.entries.push({ step, spec: copy });
+    return step;
+  }
+
+  /**
+   * Check the dependency graph and return the workflow spec. Dependencies
+   * declared by name in a step's spec are checked along with handles.
+   * @throws If a dependency names an unknown step or the steps form a cycle
+   */
+  build(): WorkflowSpec {
+    const graph = new Map<string, string[]>();
+    for (const { step, spec } of this.entries) {
+      const names = [...(spec.conditions?.dependencies ?? []), ...step.dependencies.map((dep) => dep.name)];
+      graph.set(step.name, [...new Set(names)]);
+    }
+
+    for (const [name, dependencies] of graph) {
+      for (const dependency of dependencies) {
+        if (!graph.has(dependency)) {
+          throw new Error(`Step ${name} depends on unknown step ${dependency}`);
+        }
+      }
+    }
+
+    const cycle = findCycle(graph);
+    if (cycle) {
+      throw new Error(`Dependency cycle: ${cycle.join(' -> ')}`);
+    }
+
+    const functionspecs = this.entries.map(({ step, spec }) => {
+      const dependencies = graph.get(step.name)!;
+      const conditions = { ...spec.conditions, colonyname: this.colonyName };
+      if (dependencies.length > 0) {
+        conditions.dependencies = dependencies;
+      } else {
+        delete conditions.dependencies;
+      }
+      return { ...spec, nodename: step.name, conditions };
+    });
+    return JSON.parse(JSON.stringify({ colonyname: this.colonyName, functionspecs }));
+  }
+
+  toJSON(): WorkflowSpec {
+    return this.build();
+  }
+}
+
+/**
+ * Find a dependency cycle with a depth-first search
+ * @returns Node names along the cycle, starting and ending with the same node
+ */
+function findCycle(graph: Map<string, string[]>): string[] | undefined {
+  const done = new Set<string>();
+  const path: string[] = [];
+
+  const visit = (name: string): string[] | undefined => {
+    const index = path.indexOf(name);
+    if (index !== -1) return [...path.slice(index), name];
+    if (done.has(name)) return undefined;
+    path.push(name);
+    for (const dependency of graph.get(name) ?? []) {
+      const cycle = visit(dependency);
+      if (cycle) return cycle;
+    }
+    path.pop();
+    done.add(name);
+    return undefined;
+  };
+
+  for (const name of graph.keys()) {
+    const cycle = visit(name);
+    if (cycle) return cycle;
+  }
+  return undefined;
+}
+
+/**
+ * Start building a workflow spec
+ * @param colonyName - Colony the workflow is submitted to
+ */
+export function workflow(colonyName: string): WorkflowBuilder {
+  return new WorkflowBuilder(colonyName);
+}
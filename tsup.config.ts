@@ -1,10 +1,17 @@
 import { defineConfig } from 'tsup';
 
 export default defineConfig({
-  entry: ['src/index.ts'],
+  entry: {
+    index: 'src/index.ts',
+    keystore: 'src/keystore.ts',
+    node: 'src/node.ts',
+    testing: 'src/testing/index.ts',
+  },
   format: ['cjs', 'esm'],
   dts: true,
-  splitting: false,
+  // Entries share one copy of the client and error classes, so that
+  // instanceof works across colonies-ts and its subpath exports
+  splitting: true,
   sourcemap: true,
   clean: true,
   minify: false,